@@ -0,0 +1,37 @@
+-- DropForeignKey
+ALTER TABLE "accountlines" DROP CONSTRAINT "accountlines_issue_id_fkey";
+
+-- CreateTable
+CREATE TABLE "old_issues" (
+    "issue_id" INTEGER NOT NULL,
+    "borrowernumber" INTEGER,
+    "itemnumber" INTEGER,
+    "issuedate" TIMESTAMP(3),
+    "date_due" TIMESTAMP(3) NOT NULL,
+    "returndate" TIMESTAMP(3),
+    "lastreneweddate" TIMESTAMP(3),
+    "renewals_count" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3),
+
+    CONSTRAINT "old_issues_pkey" PRIMARY KEY ("issue_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_old_issues_borrowernumber" ON "old_issues"("borrowernumber");
+
+-- CreateIndex
+CREATE INDEX "idx_old_issues_itemnumber" ON "old_issues"("itemnumber");
+
+-- AddForeignKey
+ALTER TABLE "old_issues" ADD CONSTRAINT "old_issues_borrowernumber_fkey" FOREIGN KEY ("borrowernumber") REFERENCES "borrowers"("borrowernumber") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "old_issues" ADD CONSTRAINT "old_issues_itemnumber_fkey" FOREIGN KEY ("itemnumber") REFERENCES "items"("itemnumber") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Move already returned loans out of the active issues table
+INSERT INTO "old_issues" ("issue_id", "borrowernumber", "itemnumber", "issuedate", "date_due", "returndate", "lastreneweddate", "renewals_count", "created_at")
+SELECT "issue_id", "borrowernumber", "itemnumber", "issuedate", "date_due", "returndate", "lastreneweddate", "renewals_count", "created_at"
+FROM "issues"
+WHERE "returndate" IS NOT NULL;
+
+DELETE FROM "issues" WHERE "returndate" IS NOT NULL;
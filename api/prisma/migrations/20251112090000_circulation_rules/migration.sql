@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "circulation_rules" (
+    "rule_id" SERIAL NOT NULL,
+    "categorycode" TEXT NOT NULL DEFAULT '*',
+    "itemtype" TEXT NOT NULL DEFAULT '*',
+    "loan_period_days" INTEGER,
+    "max_renewals" INTEGER,
+    "fine_per_day" DECIMAL(10,2),
+    "fine_cap" DECIMAL(10,2),
+    "max_checkouts" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "circulation_rules_pkey" PRIMARY KEY ("rule_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "idx_circulation_rules_scope" ON "circulation_rules"("categorycode", "itemtype");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "holidays" (
+    "holiday_id" SERIAL NOT NULL,
+    "holiday_date" DATE NOT NULL,
+    "description" TEXT,
+    "repeat_yearly" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "holidays_pkey" PRIMARY KEY ("holiday_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "idx_holidays_date" ON "holidays"("holiday_date");
+
+-- Weekly closed days (0 = Sunday ... 6 = Saturday)
+INSERT INTO "systempreferences" ("variable", "value", "explanation", "type")
+VALUES ('closed_weekdays', '', 'Comma-separated weekdays the library is closed (0 = Sunday, 6 = Saturday)', 'Free')
+ON CONFLICT ("variable") DO NOTHING;
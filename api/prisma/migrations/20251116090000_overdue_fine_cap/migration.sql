@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "circulation_rules" ADD COLUMN "cap_fine_to_replacement_price" BOOLEAN;
+
+-- Library-wide defaults used when no circulation rule sets a cap
+INSERT INTO "systempreferences" ("variable", "value", "explanation", "type")
+VALUES
+    ('overdue_fine_cap', '', 'Maximum overdue fine charged per loan (empty for no cap)', 'Currency'),
+    ('cap_fine_to_replacement_price', 'false', 'Never charge more overdue fine than the item replacement price', 'YesNo')
+ON CONFLICT ("variable") DO NOTHING;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "account_offsets" (
+    "offset_id" SERIAL NOT NULL,
+    "credit_id" INTEGER,
+    "debit_id" INTEGER,
+    "type" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "account_offsets_pkey" PRIMARY KEY ("offset_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_account_offsets_credit" ON "account_offsets"("credit_id");
+
+-- CreateIndex
+CREATE INDEX "idx_account_offsets_debit" ON "account_offsets"("debit_id");
+
+-- AddForeignKey
+ALTER TABLE "account_offsets" ADD CONSTRAINT "account_offsets_credit_id_fkey" FOREIGN KEY ("credit_id") REFERENCES "accountlines"("accountlines_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_offsets" ADD CONSTRAINT "account_offsets_debit_id_fkey" FOREIGN KEY ("debit_id") REFERENCES "accountlines"("accountlines_id") ON DELETE CASCADE ON UPDATE CASCADE;
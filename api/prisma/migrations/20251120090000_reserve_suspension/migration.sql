@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "reserves" ADD COLUMN "suspended" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "suspend_until" DATE;
@@ -0,0 +1,71 @@
+-- CreateTable
+CREATE TABLE "message_templates" (
+    "template_id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_templates_pkey" PRIMARY KEY ("template_id")
+);
+
+-- CreateTable
+CREATE TABLE "message_queue" (
+    "message_id" SERIAL NOT NULL,
+    "borrowernumber" INTEGER,
+    "code" TEXT NOT NULL,
+    "to_address" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "last_error" TEXT,
+    "dedupe_key" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sent_at" TIMESTAMP(3),
+
+    CONSTRAINT "message_queue_pkey" PRIMARY KEY ("message_id")
+);
+
+-- CreateTable
+CREATE TABLE "message_preferences" (
+    "preference_id" SERIAL NOT NULL,
+    "borrowernumber" INTEGER NOT NULL,
+    "code" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "days_in_advance" INTEGER,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_preferences_pkey" PRIMARY KEY ("preference_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "idx_message_templates_code" ON "message_templates"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "idx_message_queue_dedupe" ON "message_queue"("dedupe_key");
+
+-- CreateIndex
+CREATE INDEX "idx_message_queue_status" ON "message_queue"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "idx_message_preferences_borrower_code" ON "message_preferences"("borrowernumber", "code");
+
+-- AddForeignKey
+ALTER TABLE "message_queue" ADD CONSTRAINT "message_queue_borrowernumber_fkey" FOREIGN KEY ("borrowernumber") REFERENCES "borrowers"("borrowernumber") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_preferences" ADD CONSTRAINT "message_preferences_borrowernumber_fkey" FOREIGN KEY ("borrowernumber") REFERENCES "borrowers"("borrowernumber") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Default notice templates
+INSERT INTO "message_templates" ("code", "name", "subject", "body")
+VALUES
+    (E'HOLD_AVAILABLE', E'Hold available for pickup', E'Your hold is ready: {{title}}', E'Dear {{full_name}},\n\n"{{title}}" (barcode {{barcode}}) is waiting for you at the library. Please collect it by {{expirationdate}}.'),
+    (E'DUE_SOON', E'Courtesy notice before the due date', E'Due soon: {{title}}', E'Dear {{full_name}},\n\n"{{title}}" (barcode {{barcode}}) is due on {{date_due}}.'),
+    (E'OVERDUE', E'Overdue notice', E'Overdue: {{title}}', E'Dear {{full_name}},\n\n"{{title}}" (barcode {{barcode}}) was due on {{date_due}}. Please return or renew it as soon as possible.')
+ON CONFLICT ("code") DO NOTHING;
+
+INSERT INTO "systempreferences" ("variable", "value", "explanation", "type")
+VALUES ('due_soon_days', '2', 'Days before the due date to send the courtesy notice', 'Integer')
+ON CONFLICT ("variable") DO NOTHING;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "borrowers" ADD COLUMN "token_version" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "refresh_tokens" (
+    "token_id" SERIAL NOT NULL,
+    "borrowernumber" INTEGER NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "family_id" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+    "replaced_by" INTEGER,
+    "created_ip" TEXT,
+    "user_agent" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refresh_tokens_pkey" PRIMARY KEY ("token_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "idx_refresh_tokens_hash" ON "refresh_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "idx_refresh_tokens_borrower" ON "refresh_tokens"("borrowernumber");
+
+-- CreateIndex
+CREATE INDEX "idx_refresh_tokens_family" ON "refresh_tokens"("family_id");
+
+-- AddForeignKey
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_borrowernumber_fkey" FOREIGN KEY ("borrowernumber") REFERENCES "borrowers"("borrowernumber") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "password_reset_tokens" (
+    "token_id" SERIAL NOT NULL,
+    "borrowernumber" INTEGER NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "requested_ip" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "password_reset_tokens_pkey" PRIMARY KEY ("token_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "idx_password_reset_tokens_hash" ON "password_reset_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "idx_password_reset_tokens_borrower" ON "password_reset_tokens"("borrowernumber");
+
+-- AddForeignKey
+ALTER TABLE "password_reset_tokens" ADD CONSTRAINT "password_reset_tokens_borrowernumber_fkey" FOREIGN KEY ("borrowernumber") REFERENCES "borrowers"("borrowernumber") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Password reset mail template
+INSERT INTO "message_templates" ("code", "name", "subject", "body")
+VALUES
+    (E'PASSWORD_RESET', E'Password reset link', E'Reset your library password', E'Dear {{full_name}},\n\nUse the link below to choose a new password. It expires in {{expires_minutes}} minutes and can only be used once.\n\n{{reset_url}}\n\nIf you did not ask for a reset, you can ignore this message.')
+ON CONFLICT ("code") DO NOTHING;
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'STAFF';
+
+-- AlterTable
+ALTER TABLE "borrowers" ADD COLUMN "permissions" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "borrowers" ADD COLUMN "login_attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "locked_until" TIMESTAMP(3);
+
+INSERT INTO "systempreferences" ("variable", "value", "explanation", "type")
+VALUES
+    ('failed_login_attempts', '5', 'Failed logins before an account is locked (0 to disable)', 'Integer'),
+    ('lockout_minutes', '15', 'Minutes an account stays locked after too many failed logins', 'Integer')
+ON CONFLICT ("variable") DO NOTHING;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "audit_log" (
+    "audit_id" SERIAL NOT NULL,
+    "actor_id" INTEGER,
+    "action" TEXT NOT NULL,
+    "entity_type" TEXT NOT NULL,
+    "entity_id" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "ip" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_log_pkey" PRIMARY KEY ("audit_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_audit_log_actor" ON "audit_log"("actor_id");
+
+-- CreateIndex
+CREATE INDEX "idx_audit_log_entity" ON "audit_log"("entity_type", "entity_id");
+
+-- CreateIndex
+CREATE INDEX "idx_audit_log_created" ON "audit_log"("created_at");
+
+-- The audit log is append-only: rows can be inserted but never changed or
+-- removed. actor_id deliberately has no foreign key so entries outlive the
+-- borrowers they mention.
+CREATE FUNCTION "audit_log_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "audit_log_no_update_delete"
+BEFORE UPDATE OR DELETE ON "audit_log"
+FOR EACH ROW EXECUTE FUNCTION "audit_log_append_only"();
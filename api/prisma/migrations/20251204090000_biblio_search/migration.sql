@@ -0,0 +1,15 @@
+-- Catalogue search: full-text and trigram indexes on biblio. Prisma cannot
+-- express these, so searchService queries them with raw SQL.
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- The expression must match DOCUMENT in src/services/searchService.js
+CREATE INDEX "idx_biblio_search_document" ON "biblio" USING gin ((
+  setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce("subtitle", '')), 'B') ||
+  setweight(to_tsvector('simple', coalesce("author", '')), 'B') ||
+  setweight(to_tsvector('english', coalesce("abstract", '')), 'C')
+));
+
+CREATE INDEX "idx_biblio_title_trgm" ON "biblio" USING gin ("title" gin_trgm_ops);
+
+CREATE INDEX "idx_biblio_author_trgm" ON "biblio" USING gin ("author" gin_trgm_ops);
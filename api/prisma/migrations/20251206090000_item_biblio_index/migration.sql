@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "idx_items_biblionumber" ON "items"("biblionumber");
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "idx_reserves_biblionumber" ON "reserves"("biblionumber");
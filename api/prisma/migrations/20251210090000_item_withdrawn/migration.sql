@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "items" ADD COLUMN "withdrawn_at" TIMESTAMP(3);
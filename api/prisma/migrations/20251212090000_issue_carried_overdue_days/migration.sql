@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "issues" ADD COLUMN "carried_overdue_days" INTEGER NOT NULL DEFAULT 0;
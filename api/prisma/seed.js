@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { DEFAULT_TEMPLATES } from '../src/notifications/templates.js';
 
 const prisma = new PrismaClient();
 
@@ -67,7 +68,13 @@ async function main() {
     { variable: 'max_fine_allowed', value: '5.00', explanation: 'Maximum fine amount before checkouts are blocked', type: 'Currency' },
     { variable: 'fine_per_day', value: '0.25', explanation: 'Fine amount per day for overdue items', type: 'Currency' },
     { variable: 'max_renewals', value: '3', explanation: 'Maximum number of renewals allowed per item', type: 'Integer' },
-    { variable: 'hold_expiry_days', value: '7', explanation: 'Number of days before canceling waiting hold', type: 'Integer' }
+    { variable: 'hold_expiry_days', value: '7', explanation: 'Number of days before canceling waiting hold', type: 'Integer' },
+    { variable: 'closed_weekdays', value: '', explanation: 'Comma-separated weekdays the library is closed (0 = Sunday, 6 = Saturday)', type: 'Free' },
+    { variable: 'overdue_fine_cap', value: '', explanation: 'Maximum overdue fine charged per loan (empty for no cap)', type: 'Currency' },
+    { variable: 'cap_fine_to_replacement_price', value: 'false', explanation: 'Never charge more overdue fine than the item replacement price', type: 'YesNo' },
+    { variable: 'due_soon_days', value: '2', explanation: 'Days before the due date to send the courtesy notice', type: 'Integer' },
+    { variable: 'failed_login_attempts', value: '5', explanation: 'Failed logins before an account is locked (0 to disable)', type: 'Integer' },
+    { variable: 'lockout_minutes', value: '15', explanation: 'Minutes an account stays locked after too many failed logins', type: 'Integer' }
   ];
 
   await Promise.all(
@@ -83,6 +90,16 @@ async function main() {
       })
     )
   );
+
+  await Promise.all(
+    DEFAULT_TEMPLATES.map((template) =>
+      prisma.messageTemplate.upsert({
+        where: { code: template.code },
+        update: {},
+        create: template
+      })
+    )
+  );
 }
 
 main()
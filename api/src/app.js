@@ -8,6 +8,7 @@ import routes from './routes/index.js';
 import { config } from './config/env.js';
 import { swaggerSpec } from './docs/swagger.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { requestContext } from './middleware/requestContext.js';
 import { ApiError } from './utils/apiError.js';
 
 const app = express();
@@ -17,6 +18,7 @@ app.use(cors());
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
+app.use(requestContext);
 
 app.get('/', (_req, res) => {
   res.json({ success: true, message: 'Welcome to the Library Management API' });
@@ -6,10 +6,26 @@ export const config = {
   port: process.env.PORT || 4000,
   env: process.env.NODE_ENV || 'development',
   jwtSecret: process.env.JWT_SECRET || 'changeme',
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10),
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+  authRateLimitMax: parseInt(process.env.AUTH_RATE_LIMIT_MAX || '20', 10),
+  authRateLimitWindowMinutes: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES || '15', 10),
   bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS || '10', 10),
   swaggerUser: process.env.SWAGGER_USERNAME,
-  swaggerPass: process.env.SWAGGER_PASSWORD
+  swaggerPass: process.env.SWAGGER_PASSWORD,
+  jobsEnabled: process.env.JOBS_ENABLED !== 'false',
+  jobIntervalMinutes: parseInt(process.env.JOB_INTERVAL_MINUTES || '60', 10),
+  dailyJobsHour: parseInt(process.env.DAILY_JOBS_HOUR || '1', 10),
+  notificationTransport: process.env.NOTIFICATION_TRANSPORT || 'log',
+  notificationFile: process.env.NOTIFICATION_FILE || 'logs/notifications.log',
+  mailFrom: process.env.MAIL_FROM || 'library@localhost',
+  smtpHost: process.env.SMTP_HOST || 'localhost',
+  smtpPort: parseInt(process.env.SMTP_PORT || '1025', 10),
+  smtpSecure: process.env.SMTP_SECURE === 'true',
+  smtpUser: process.env.SMTP_USER,
+  smtpPass: process.env.SMTP_PASS
 };
 
 export default config;
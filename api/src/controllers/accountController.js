@@ -1,22 +1,37 @@
-import { listAccounts, payFine } from '../services/accountService.js';
+import {
+  listAccounts,
+  listBalances,
+  getBorrowerAccount,
+  payFine,
+  payBorrowerFines,
+  writeOffFine,
+  refundCredit,
+  createAccountCredit
+} from '../services/accountService.js';
 import { successResponse } from '../utils/apiResponse.js';
 import { ApiError } from '../utils/apiError.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const optionalAmount = (value) => (value === undefined ? undefined : Number(value));
 
 export const index = async (req, res, next) => {
   try {
-    const { borrower } = req.query;
+    const borrower = req.query.borrower ?? req.query.borrowernumber;
     const resolvedBorrower = borrower ? Number(borrower) : undefined;
 
-    if (req.user.role !== 'ADMIN') {
-      if (resolvedBorrower && resolvedBorrower !== req.user.id) {
-        throw new ApiError(403, 'Members can only view their own accounts');
-      }
-      const accounts = await listAccounts({ borrower: req.user.id });
-      return successResponse(res, { data: accounts });
+    const canManage = hasPermission(req.user, 'manage_fines');
+    if (!canManage && resolvedBorrower && resolvedBorrower !== req.user.id) {
+      throw new ApiError(403, 'Members can only view their own accounts');
+    }
+
+    const scopedBorrower = canManage ? resolvedBorrower : req.user.id;
+    if (scopedBorrower) {
+      const { transactions, ...summary } = await getBorrowerAccount(scopedBorrower);
+      return successResponse(res, { data: transactions, meta: summary });
     }
 
-    const accounts = await listAccounts({ borrower: resolvedBorrower });
-    return successResponse(res, { data: accounts });
+    const [accounts, balances] = await Promise.all([listAccounts({}), listBalances()]);
+    return successResponse(res, { data: accounts, meta: { balances } });
   } catch (error) {
     return next(error);
   }
@@ -24,7 +39,7 @@ export const index = async (req, res, next) => {
 
 export const pay = async (req, res, next) => {
   try {
-    if (req.user.role !== 'ADMIN') {
+    if (!hasPermission(req.user, 'manage_fines')) {
       throw new ApiError(403, 'Only staff can record payments');
     }
     const accountLine = await payFine({
@@ -37,4 +52,61 @@ export const pay = async (req, res, next) => {
   } catch (error) {
     return next(error);
   }
-};
\ No newline at end of file
+};
+
+export const payBorrower = async (req, res, next) => {
+  try {
+    const result = await payBorrowerFines({
+      borrowernumber: Number(req.params.borrowernumber),
+      amount: Number(req.body.amount),
+      accountLineIds: req.body.accountlines,
+      paymentType: req.body.payment_type,
+      managerId: req.user.id
+    });
+    return successResponse(res, { message: 'Payment recorded', data: result });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const writeOff = async (req, res, next) => {
+  try {
+    const accountLine = await writeOffFine({
+      accountLineId: Number(req.params.id),
+      amount: optionalAmount(req.body.amount),
+      reason: req.body.reason,
+      managerId: req.user.id
+    });
+    return successResponse(res, { message: 'Fine written off', data: accountLine });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const refund = async (req, res, next) => {
+  try {
+    const accountLine = await refundCredit({
+      accountLineId: Number(req.params.id),
+      amount: optionalAmount(req.body.amount),
+      paymentType: req.body.payment_type,
+      managerId: req.user.id
+    });
+    return successResponse(res, { message: 'Refund recorded', data: accountLine });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const credit = async (req, res, next) => {
+  try {
+    const accountLine = await createAccountCredit({
+      borrowernumber: Number(req.params.borrowernumber),
+      amount: Number(req.body.amount),
+      description: req.body.description,
+      managerId: req.user.id
+    });
+    return successResponse(res, { status: 201, message: 'Credit recorded', data: accountLine });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,12 @@
+import { listAuditLog } from '../services/auditService.js';
+import { successResponse } from '../utils/apiResponse.js';
+
+export const index = async (req, res, next) => {
+  try {
+    const { page, limit, actor, action, entityType, entityId, from, to } = req.query;
+    const result = await listAuditLog({ page, limit, actor, action, entityType, entityId, from, to });
+    return successResponse(res, { data: result.data, meta: result.meta });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,15 +1,26 @@
-import { registerUser, loginUser, getProfile } from '../services/authService.js';
+import {
+  registerUser,
+  loginUser,
+  getProfile,
+  createSession,
+  refreshSession,
+  logoutSession,
+  changePassword,
+  requestPasswordReset,
+  resetPassword
+} from '../services/authService.js';
 import { successResponse } from '../utils/apiResponse.js';
-import { generateToken } from '../utils/token.js';
+
+const sessionContext = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
 
 export const register = async (req, res, next) => {
   try {
     const user = await registerUser(req.body);
-    const token = generateToken({ id: user.borrowernumber, role: user.role });
+    const session = await createSession(user.borrowernumber, sessionContext(req));
     return successResponse(res, {
       status: 201,
       message: 'Registration successful',
-      data: { user, token }
+      data: { user, ...session }
     });
   } catch (error) {
     return next(error);
@@ -19,16 +30,71 @@ export const register = async (req, res, next) => {
 export const login = async (req, res, next) => {
   try {
     const user = await loginUser(req.body);
-    const token = generateToken({ id: user.borrowernumber, role: user.role });
+    const session = await createSession(user.borrowernumber, sessionContext(req));
     return successResponse(res, {
       message: 'Login successful',
-      data: { user, token }
+      data: { user, ...session }
     });
   } catch (error) {
     return next(error);
   }
 };
 
+export const refresh = async (req, res, next) => {
+  try {
+    const session = await refreshSession(req.body.refreshToken, sessionContext(req));
+    return successResponse(res, { message: 'Session refreshed', data: session });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const logout = async (req, res, next) => {
+  try {
+    await logoutSession(req.body.refreshToken, { allSessions: req.body.allSessions });
+    return successResponse(res, { message: 'Logged out' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const updatePassword = async (req, res, next) => {
+  try {
+    const session = await changePassword(
+      {
+        borrowernumber: req.user.id,
+        currentPassword: req.body.currentPassword,
+        newPassword: req.body.newPassword
+      },
+      sessionContext(req)
+    );
+    return successResponse(res, { message: 'Password changed', data: session });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const forgotPassword = async (req, res, next) => {
+  try {
+    await requestPasswordReset(req.body, { ip: req.ip });
+    return successResponse(res, {
+      status: 202,
+      message: 'If the account exists, a password reset link has been sent'
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const completePasswordReset = async (req, res, next) => {
+  try {
+    await resetPassword(req.body);
+    return successResponse(res, { message: 'Password has been reset' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 export const me = async (req, res, next) => {
   try {
     const profile = await getProfile(req.user.id);
@@ -1,10 +1,17 @@
 import {
   listBiblios,
   getBiblio,
+  getBiblioByIsbn,
+  findDuplicateBiblios,
   createBiblio,
   updateBiblio,
-  deleteBiblio
+  deleteBiblio,
+  mergeBiblios,
+  importMarcRecords,
+  exportMarcRecords
 } from '../services/biblioService.js';
+import { searchBiblios, FACET_NAMES } from '../services/searchService.js';
+import { ApiError } from '../utils/apiError.js';
 import { successResponse } from '../utils/apiResponse.js';
 
 export const index = async (req, res, next) => {
@@ -20,6 +27,17 @@ export const index = async (req, res, next) => {
   }
 };
 
+export const search = async (req, res, next) => {
+  try {
+    const { q, page, limit } = req.query;
+    const filters = Object.fromEntries(FACET_NAMES.map((facet) => [facet, req.query[facet]]));
+    const result = await searchBiblios({ q, filters, page, limit });
+    return successResponse(res, { data: result.data, meta: result.meta });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 export const show = async (req, res, next) => {
   try {
     const record = await getBiblio(Number(req.params.id));
@@ -29,6 +47,25 @@ export const show = async (req, res, next) => {
   }
 };
 
+export const showByIsbn = async (req, res, next) => {
+  try {
+    const record = await getBiblioByIsbn(req.params.isbn);
+    return successResponse(res, { data: record });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const duplicates = async (req, res, next) => {
+  try {
+    const { minSimilarity, limit } = req.query;
+    const report = await findDuplicateBiblios({ minSimilarity, limit });
+    return successResponse(res, { data: report });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 export const store = async (req, res, next) => {
   try {
     const record = await createBiblio(req.body);
@@ -59,3 +96,43 @@ export const destroy = async (req, res, next) => {
     return next(error);
   }
 };
+
+export const merge = async (req, res, next) => {
+  try {
+    const result = await mergeBiblios(Number(req.params.id), req.body.source_ids);
+    return successResponse(res, { message: 'Bibliographic records merged', data: result });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const importMarc = async (req, res, next) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      throw new ApiError(400, 'MARC file is required');
+    }
+
+    const { dryRun, withItems, itemtype } = req.query;
+    const report = await importMarcRecords(req.body, { dryRun, withItems, itemtype });
+    return successResponse(res, {
+      status: dryRun ? 200 : 201,
+      message: dryRun ? 'MARC import preview' : 'MARC records imported',
+      data: report
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const exportMarc = async (req, res, next) => {
+  try {
+    const { format, ids, search, itemtype } = req.query;
+    const result = await exportMarcRecords({ format, ids, search, itemtype });
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.set('X-Total-Count', String(result.count));
+    return res.status(200).send(result.content);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -3,8 +3,11 @@ import {
   getBorrower,
   createBorrower,
   updateBorrower,
-  deleteBorrower
+  deleteBorrower,
+  importBorrowers
 } from '../services/borrowerService.js';
+import { revokeAllSessions, unlockBorrower } from '../services/authService.js';
+import { ApiError } from '../utils/apiError.js';
 import { successResponse } from '../utils/apiResponse.js';
 
 export const index = async (req, res, next) => {
@@ -31,7 +34,7 @@ export const show = async (req, res, next) => {
 
 export const store = async (req, res, next) => {
   try {
-    const borrower = await createBorrower(req.body);
+    const borrower = await createBorrower(req.body, req.user);
     return successResponse(res, {
       status: 201,
       message: 'Borrower created',
@@ -42,9 +45,22 @@ export const store = async (req, res, next) => {
   }
 };
 
+export const importCsv = async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      throw new ApiError(400, 'CSV file is required');
+    }
+
+    const result = await importBorrowers(req.body, { mode: req.query.mode, actor: req.user });
+    return successResponse(res, { message: 'Borrower import finished', data: result });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 export const update = async (req, res, next) => {
   try {
-    const borrower = await updateBorrower(Number(req.params.id), req.body);
+    const borrower = await updateBorrower(Number(req.params.id), req.body, req.user);
     return successResponse(res, { message: 'Borrower updated', data: borrower });
   } catch (error) {
     return next(error);
@@ -53,9 +69,27 @@ export const update = async (req, res, next) => {
 
 export const destroy = async (req, res, next) => {
   try {
-    await deleteBorrower(Number(req.params.id));
+    await deleteBorrower(Number(req.params.id), req.user);
     return successResponse(res, { message: 'Borrower deleted' });
   } catch (error) {
     return next(error);
   }
 };
+
+export const revokeSessions = async (req, res, next) => {
+  try {
+    const result = await revokeAllSessions(Number(req.params.id), req.user);
+    return successResponse(res, { message: 'Sessions revoked', data: result });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const unlock = async (req, res, next) => {
+  try {
+    const result = await unlockBorrower(Number(req.params.id), req.user);
+    return successResponse(res, { message: 'Borrower unlocked', data: result });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,43 @@
+import { listHolidays, createHoliday, updateHoliday, deleteHoliday } from '../services/calendarService.js';
+import { successResponse } from '../utils/apiResponse.js';
+
+export const index = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const holidays = await listHolidays({ from, to });
+    return successResponse(res, { data: holidays });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const store = async (req, res, next) => {
+  try {
+    const holiday = await createHoliday(req.body);
+    return successResponse(res, {
+      status: 201,
+      message: 'Holiday created',
+      data: holiday
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const update = async (req, res, next) => {
+  try {
+    const holiday = await updateHoliday(Number(req.params.id), req.body);
+    return successResponse(res, { message: 'Holiday updated', data: holiday });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const destroy = async (req, res, next) => {
+  try {
+    await deleteHoliday(Number(req.params.id));
+    return successResponse(res, { message: 'Holiday deleted' });
+  } catch (error) {
+    return next(error);
+  }
+};
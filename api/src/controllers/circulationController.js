@@ -1,10 +1,11 @@
 import { checkoutItem, returnItem, renewItem, listCirculationHistory } from '../services/circulationService.js';
 import { successResponse } from '../utils/apiResponse.js';
 import { ApiError } from '../utils/apiError.js';
+import { hasPermission } from '../utils/permissions.js';
 
 export const checkout = async (req, res, next) => {
   try {
-    if (req.user.role !== 'ADMIN' && req.body.borrowernumber !== req.user.id) {
+    if (!hasPermission(req.user, 'circulate') && req.body.borrowernumber !== req.user.id) {
       throw new ApiError(403, 'Members can only checkout items for themselves');
     }
     const issue = await checkoutItem(req.body, req.user);
@@ -20,9 +21,6 @@ export const checkout = async (req, res, next) => {
 
 export const processReturn = async (req, res, next) => {
   try {
-    if (req.user.role !== 'ADMIN' && req.user.role !== 'MEMBER') {
-      throw new ApiError(403, 'Unauthorized');
-    }
     const issue = await returnItem(req.body, req.user);
     return successResponse(res, {
       message: 'Return processed',
@@ -35,9 +33,6 @@ export const processReturn = async (req, res, next) => {
 
 export const renew = async (req, res, next) => {
   try {
-    if (req.user.role !== 'ADMIN' && req.user.role !== 'MEMBER') {
-      throw new ApiError(403, 'Unauthorized');
-    }
     const issue = await renewItem(req.body, req.user);
     return successResponse(res, {
       message: 'Renewal successful',
@@ -50,7 +45,16 @@ export const renew = async (req, res, next) => {
 
 export const history = async (req, res, next) => {
   try {
-    const { page, limit, issuedFrom, issuedTo, returnedFrom, returnedTo } = req.query;
+    const {
+      page,
+      limit,
+      borrowernumber,
+      itemnumber,
+      issuedFrom,
+      issuedTo,
+      returnedFrom,
+      returnedTo
+    } = req.query;
 
     if (issuedFrom && issuedTo && new Date(issuedFrom) > new Date(issuedTo)) {
       throw new ApiError(400, 'issuedFrom must be before issuedTo');
@@ -63,6 +67,8 @@ export const history = async (req, res, next) => {
     const result = await listCirculationHistory({
       page,
       limit,
+      borrowernumber,
+      itemnumber,
       issuedFrom,
       issuedTo,
       returnedFrom,
@@ -0,0 +1,58 @@
+import {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getEffectiveRule
+} from '../services/circulationRuleService.js';
+import { successResponse } from '../utils/apiResponse.js';
+
+export const index = async (_req, res, next) => {
+  try {
+    const rules = await listRules();
+    return successResponse(res, { data: rules });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const resolve = async (req, res, next) => {
+  try {
+    const { categorycode, itemtype } = req.query;
+    const rule = await getEffectiveRule({ categorycode, itemtype });
+    return successResponse(res, { data: rule });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const store = async (req, res, next) => {
+  try {
+    const rule = await createRule(req.body);
+    return successResponse(res, {
+      status: 201,
+      message: 'Circulation rule created',
+      data: rule
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const update = async (req, res, next) => {
+  try {
+    const rule = await updateRule(Number(req.params.id), req.body);
+    return successResponse(res, { message: 'Circulation rule updated', data: rule });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const destroy = async (req, res, next) => {
+  try {
+    await deleteRule(Number(req.params.id));
+    return successResponse(res, { message: 'Circulation rule deleted' });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -44,8 +44,10 @@ export const update = async (req, res, next) => {
 
 export const destroy = async (req, res, next) => {
   try {
-    await deleteItem(Number(req.params.id));
-    return successResponse(res, { message: 'Item deleted' });
+    const result = await deleteItem(Number(req.params.id));
+    return result.withdrawn
+      ? successResponse(res, { message: 'Item withdrawn', data: result.item })
+      : successResponse(res, { message: 'Item deleted' });
   } catch (error) {
     return next(error);
   }
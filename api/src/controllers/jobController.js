@@ -0,0 +1,20 @@
+import { listJobs, runJob } from '../jobs/index.js';
+import { successResponse } from '../utils/apiResponse.js';
+
+export const index = async (_req, res, next) => {
+  try {
+    return successResponse(res, { data: listJobs() });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const run = async (req, res, next) => {
+  try {
+    const options = req.body.asOf ? { now: new Date(req.body.asOf) } : {};
+    const result = await runJob(req.params.name, options);
+    return successResponse(res, { message: 'Job completed', data: result });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,33 @@
+import { getPatronSummary } from '../services/patronService.js';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences
+} from '../services/notificationService.js';
+import { successResponse } from '../utils/apiResponse.js';
+
+export const summary = async (req, res, next) => {
+  try {
+    const result = await getPatronSummary(req.user.id);
+    return successResponse(res, { data: result });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const notificationPreferences = async (req, res, next) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.id);
+    return successResponse(res, { data: preferences });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const saveNotificationPreferences = async (req, res, next) => {
+  try {
+    const preferences = await updateNotificationPreferences(req.user.id, req.body.preferences);
+    return successResponse(res, { message: 'Notification preferences updated', data: preferences });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,30 @@
+import { listTemplates, updateTemplate, listMessages } from '../services/notificationService.js';
+import { successResponse } from '../utils/apiResponse.js';
+
+export const templates = async (_req, res, next) => {
+  try {
+    const result = await listTemplates();
+    return successResponse(res, { data: result });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const saveTemplate = async (req, res, next) => {
+  try {
+    const template = await updateTemplate(req.params.code, req.body);
+    return successResponse(res, { message: 'Message template updated', data: template });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const queue = async (req, res, next) => {
+  try {
+    const { page, limit, status, borrowernumber } = req.query;
+    const result = await listMessages({ page, limit, status, borrowernumber });
+    return successResponse(res, { data: result.data, meta: result.meta });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,15 +1,27 @@
-import { listReserves, createReserve, cancelReserve } from '../services/reserveService.js';
+import {
+  listReserves,
+  createReserve,
+  cancelReserve,
+  getReserveQueue,
+  reorderReserveQueue,
+  setReservePriority,
+  suspendReserve,
+  resumeReserve,
+  listHoldsAwaitingPickup
+} from '../services/reserveService.js';
 import { successResponse } from '../utils/apiResponse.js';
 import { ApiError } from '../utils/apiError.js';
+import { hasPermission } from '../utils/permissions.js';
 
 export const index = async (req, res, next) => {
   try {
     const { page, limit, borrower } = req.query;
     const resolvedBorrower = borrower ? Number(borrower) : undefined;
-    if (req.user.role !== 'ADMIN' && resolvedBorrower && resolvedBorrower !== req.user.id) {
+    const canCirculate = hasPermission(req.user, 'circulate');
+    if (!canCirculate && resolvedBorrower && resolvedBorrower !== req.user.id) {
       throw new ApiError(403, 'Members can only view their own holds');
     }
-    const effectiveBorrower = req.user.role === 'ADMIN' ? resolvedBorrower : req.user.id;
+    const effectiveBorrower = canCirculate ? resolvedBorrower : req.user.id;
     const result = await listReserves({ page, limit, borrower: effectiveBorrower });
     return successResponse(res, { data: result.data, meta: result.meta });
   } catch (error) {
@@ -38,3 +50,57 @@ export const cancel = async (req, res, next) => {
     return next(error);
   }
 };
+
+export const queue = async (req, res, next) => {
+  try {
+    const reserves = await getReserveQueue(Number(req.params.biblionumber));
+    return successResponse(res, { data: reserves });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const reorder = async (req, res, next) => {
+  try {
+    const reserves = await reorderReserveQueue(Number(req.params.biblionumber), req.body.reserve_ids);
+    return successResponse(res, { message: 'Hold queue reordered', data: reserves });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const prioritize = async (req, res, next) => {
+  try {
+    const reserve = await setReservePriority(Number(req.params.id), req.body.priority);
+    return successResponse(res, { message: 'Hold priority updated', data: reserve });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const suspend = async (req, res, next) => {
+  try {
+    const reserve = await suspendReserve(Number(req.params.id), { until: req.body.until }, req.user);
+    return successResponse(res, { message: 'Hold suspended', data: reserve });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const resume = async (req, res, next) => {
+  try {
+    const reserve = await resumeReserve(Number(req.params.id), req.user);
+    return successResponse(res, { message: 'Hold resumed', data: reserve });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export const awaitingPickup = async (_req, res, next) => {
+  try {
+    const reserves = await listHoldsAwaitingPickup();
+    return successResponse(res, { data: reserves });
+  } catch (error) {
+    return next(error);
+  }
+};
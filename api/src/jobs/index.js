@@ -0,0 +1,84 @@
+import { config } from '../config/env.js';
+import { ApiError } from '../utils/apiError.js';
+import { expireWaitingHolds, resumeSuspendedHolds } from '../services/reserveService.js';
+import { accrueOverdueFines } from '../services/circulationService.js';
+import { queueDueDateNotices, sendQueuedNotices } from '../services/notificationService.js';
+
+export const jobs = {
+  'expire-holds': {
+    description: 'Cancel waiting holds that were not collected within hold_expiry_days',
+    run: expireWaitingHolds
+  },
+  'resume-holds': {
+    description: 'Reactivate suspended holds whose resume date has arrived',
+    run: resumeSuspendedHolds
+  },
+  'accrue-fines': {
+    description: 'Create or update the running OVERDUE fine for every open overdue loan',
+    daily: true,
+    run: accrueOverdueFines
+  },
+  'due-date-notices': {
+    description: 'Queue courtesy notices for loans due soon and notices for overdue loans',
+    daily: true,
+    run: queueDueDateNotices
+  },
+  'send-notices': {
+    description: 'Deliver pending notices through the configured transport',
+    run: sendQueuedNotices
+  }
+};
+
+export const listJobs = () =>
+  Object.entries(jobs).map(([name, job]) => ({
+    name,
+    description: job.description,
+    schedule: job.daily ? 'daily' : 'interval'
+  }));
+
+export const runJob = async (name, options = {}) => {
+  const job = jobs[name];
+  if (!job) {
+    throw new ApiError(404, `Job ${name} not found`);
+  }
+
+  const startedAt = new Date();
+  const result = await job.run(options);
+  return { name, startedAt, finishedAt: new Date(), result };
+};
+
+// Every job runs on each tick, except daily jobs: those run on the first tick
+// at or after `dailyHour` (server time) each day.
+export const startScheduler = ({
+  intervalMinutes = config.jobIntervalMinutes,
+  dailyHour = config.dailyJobsHour
+} = {}) => {
+  let lastDailyRun = null;
+
+  const runAll = async () => {
+    const now = new Date();
+    const today = now.toDateString();
+    const dailyDue = now.getHours() >= dailyHour && lastDailyRun !== today;
+    if (dailyDue) {
+      lastDailyRun = today;
+    }
+
+    for (const [name, job] of Object.entries(jobs)) {
+      if (job.daily && !dailyDue) {
+        continue;
+      }
+      try {
+        await runJob(name);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`Scheduled job ${name} failed`, error);
+      }
+    }
+  };
+
+  const timer = setInterval(runAll, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+export default runJob;
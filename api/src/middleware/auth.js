@@ -2,6 +2,8 @@ import jwt from 'jsonwebtoken';
 import { config } from '../config/env.js';
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
+import { resolvePermissions } from '../utils/permissions.js';
+import { getRequestContext } from '../utils/requestContext.js';
 
 export const authenticate = async (req, _res, next) => {
   try {
@@ -20,7 +22,9 @@ export const authenticate = async (req, _res, next) => {
         full_name: true,
         email: true,
         role: true,
-        categorycode: true
+        permissions: true,
+        categorycode: true,
+        token_version: true
       }
     });
 
@@ -28,13 +32,19 @@ export const authenticate = async (req, _res, next) => {
       throw new ApiError(401, 'Invalid token subject');
     }
 
+    if ((decoded.ver ?? 0) !== borrower.token_version) {
+      throw new ApiError(401, 'Session has been revoked');
+    }
+
     req.user = {
       id: borrower.borrowernumber,
       name: borrower.full_name,
       email: borrower.email,
       role: borrower.role,
+      permissions: resolvePermissions(borrower),
       categorycode: borrower.categorycode
     };
+    getRequestContext().actorId = borrower.borrowernumber;
 
     next();
   } catch (error) {
@@ -46,13 +56,14 @@ export const authenticate = async (req, _res, next) => {
   }
 };
 
-export const authorize = (...roles) => {
+// Allows the request when the user holds any of the listed permissions.
+export const authorize = (...permissions) => {
   return (req, _res, next) => {
     if (!req.user) {
       return next(new ApiError(401, 'Authentication required'));
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.some((permission) => req.user.permissions.includes(permission))) {
       return next(new ApiError(403, 'You do not have permission to perform this action'));
     }
 
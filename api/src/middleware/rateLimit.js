@@ -0,0 +1,55 @@
+import { config } from '../config/env.js';
+import { ApiError } from '../utils/apiError.js';
+
+// Fixed-window request counter keyed by client IP. Counts live in process
+// memory, so each API instance throttles independently.
+export const createRateLimiter = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  const sweep = (now) => {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  };
+
+  const limiter = (req, res, next) => {
+    if (max <= 0) {
+      return next();
+    }
+
+    const now = Date.now();
+    if (hits.size > 10000) {
+      sweep(now);
+    }
+
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    entry.count += 1;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return next(new ApiError(429, message));
+    }
+
+    return next();
+  };
+
+  limiter.reset = () => hits.clear();
+  return limiter;
+};
+
+export const authRateLimiter = createRateLimiter({
+  windowMs: config.authRateLimitWindowMinutes * 60 * 1000,
+  max: config.authRateLimitMax,
+  message: 'Too many authentication attempts, please try again later'
+});
+
+export default authRateLimiter;
@@ -0,0 +1,5 @@
+import { runWithContext } from '../utils/requestContext.js';
+
+export const requestContext = (req, _res, next) => runWithContext({ ip: req.ip, actorId: null }, next);
+
+export default requestContext;
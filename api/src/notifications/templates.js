@@ -0,0 +1,34 @@
+export const NOTICE_CODES = ['HOLD_AVAILABLE', 'DUE_SOON', 'OVERDUE'];
+
+export const DEFAULT_TEMPLATES = [
+  {
+    code: 'HOLD_AVAILABLE',
+    name: 'Hold available for pickup',
+    subject: 'Your hold is ready: {{title}}',
+    body:
+      'Dear {{full_name}},\n\n"{{title}}" (barcode {{barcode}}) is waiting for you at the library. ' +
+      'Please collect it by {{expirationdate}}.'
+  },
+  {
+    code: 'DUE_SOON',
+    name: 'Courtesy notice before the due date',
+    subject: 'Due soon: {{title}}',
+    body: 'Dear {{full_name}},\n\n"{{title}}" (barcode {{barcode}}) is due on {{date_due}}.'
+  },
+  {
+    code: 'OVERDUE',
+    name: 'Overdue notice',
+    subject: 'Overdue: {{title}}',
+    body:
+      'Dear {{full_name}},\n\n"{{title}}" (barcode {{barcode}}) was due on {{date_due}}. ' +
+      'Please return or renew it as soon as possible.'
+  },
+  {
+    code: 'PASSWORD_RESET',
+    name: 'Password reset link',
+    subject: 'Reset your library password',
+    body:
+      'Dear {{full_name}},\n\nUse the link below to choose a new password. It expires in {{expires_minutes}} minutes ' +
+      'and can only be used once.\n\n{{reset_url}}\n\nIf you did not ask for a reset, you can ignore this message.'
+  }
+];
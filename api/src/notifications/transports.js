@@ -0,0 +1,57 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+import { config } from '../config/env.js';
+
+// A transport delivers one rendered message ({ to, subject, text }) and throws
+// when delivery fails so the outbox can retry it.
+
+const createSmtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: config.smtpHost,
+    port: config.smtpPort,
+    secure: config.smtpSecure,
+    auth: config.smtpUser ? { user: config.smtpUser, pass: config.smtpPass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => mailer.sendMail({ from: config.mailFrom, ...message })
+  };
+};
+
+const createFileTransport = ({ filePath = config.notificationFile } = {}) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify({ from: config.mailFrom, ...message, sent_at: new Date() })}\n`);
+  }
+});
+
+const createLogTransport = () => ({
+  name: 'log',
+  send: async (message) => {
+    // eslint-disable-next-line no-console
+    console.log(`[notice] to=${message.to} subject="${message.subject}"`);
+  }
+});
+
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  log: createLogTransport
+};
+
+export const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+export const createTransport = (name = config.notificationTransport, options = {}) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown notification transport "${name}"`);
+  }
+  return factory(options);
+};
+
+export default createTransport;
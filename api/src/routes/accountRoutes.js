@@ -1,8 +1,14 @@
 import express from 'express';
-import { index, pay } from '../controllers/accountController.js';
+import { index, pay, payBorrower, writeOff, refund, credit } from '../controllers/accountController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { payFineValidator } from '../validators/accountValidators.js';
+import {
+  payFineValidator,
+  payBorrowerValidator,
+  writeOffValidator,
+  refundValidator,
+  creditValidator
+} from '../validators/accountValidators.js';
 
 const router = express.Router();
 
@@ -17,7 +23,8 @@ const router = express.Router();
  * @swagger
  * /accounts:
  *   get:
- *     summary: List account lines and fines
+ *     summary: List account transactions with the borrower's balance
+ *     description: Members always receive their own account. Charges have positive amounts; payments, credits and write-offs are negative and list the offsets applying them to charges.
  *     tags: [Accounts]
  *     security:
  *       - bearerAuth: []
@@ -26,13 +33,9 @@ const router = express.Router();
  *         name: borrowernumber
  *         schema:
  *           type: integer
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
  *     responses:
  *       200:
- *         description: Account lines returned
+ *         description: Account lines returned, with the balance in meta
  */
 router.get('/', authenticate, index);
 
@@ -66,6 +69,143 @@ router.get('/', authenticate, index);
  *       200:
  *         description: Payment recorded
  */
-router.post('/:id/pay', authenticate, authorize('ADMIN'), validate(payFineValidator), pay);
+router.post('/:id/pay', authenticate, authorize('manage_fines'), validate(payFineValidator), pay);
+
+/**
+ * @swagger
+ * /accounts/{id}/writeoff:
+ *   post:
+ *     summary: Write off all or part of a charge
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the full outstanding amount
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Charge written off
+ */
+router.post('/:id/writeoff', authenticate, authorize('manage_fines'), validate(writeOffValidator), writeOff);
+
+/**
+ * @swagger
+ * /accounts/{id}/refund:
+ *   post:
+ *     summary: Refund unused credit to the borrower
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to all remaining credit on the line
+ *               payment_type:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund recorded
+ */
+router.post('/:id/refund', authenticate, authorize('manage_fines'), validate(refundValidator), refund);
+
+/**
+ * @swagger
+ * /accounts/borrower/{borrowernumber}/pay:
+ *   post:
+ *     summary: Take one payment and allocate it across a borrower's outstanding charges
+ *     description: Charges are paid oldest first unless accountlines gives the order. Any amount left over stays on the account as credit.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: borrowernumber
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               accountlines:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               payment_type:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment recorded with its allocation breakdown
+ */
+router.post(
+  '/borrower/:borrowernumber/pay',
+  authenticate,
+  authorize('manage_fines'),
+  validate(payBorrowerValidator),
+  payBorrower
+);
+
+/**
+ * @swagger
+ * /accounts/borrower/{borrowernumber}/credit:
+ *   post:
+ *     summary: Add a credit to a borrower's account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: borrowernumber
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Credit recorded
+ */
+router.post('/borrower/:borrowernumber/credit', authenticate, authorize('manage_fines'), validate(creditValidator), credit);
 
 export default router;
@@ -0,0 +1,67 @@
+import express from 'express';
+import { index } from '../controllers/auditController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { listAuditLogValidator } from '../validators/auditValidators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Append-only log of staff and patron actions
+ */
+
+/**
+ * @swagger
+ * /audit-log:
+ *   get:
+ *     summary: Search the audit log
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: integer
+ *         description: Borrower number of the user who performed the action
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           example: item
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ */
+router.get('/', authenticate, authorize('view_audit_log'), validate(listAuditLogValidator), index);
+
+export default router;
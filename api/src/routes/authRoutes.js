@@ -1,8 +1,26 @@
 import express from 'express';
-import { register, login, me } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  updatePassword,
+  forgotPassword,
+  completePasswordReset,
+  me
+} from '../controllers/authController.js';
 import { validate } from '../middleware/validate.js';
-import { registerValidator, loginValidator } from '../validators/authValidators.js';
+import {
+  registerValidator,
+  loginValidator,
+  refreshValidator,
+  logoutValidator,
+  changePasswordValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator
+} from '../validators/authValidators.js';
 import { authenticate } from '../middleware/auth.js';
+import { authRateLimiter } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -33,18 +51,18 @@ const router = express.Router();
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [ADMIN, MEMBER]
+ *                 enum: [ADMIN, STAFF, MEMBER]
  *     responses:
  *       201:
  *         description: Registration successful
  */
-router.post('/register', validate(registerValidator), register);
+router.post('/register', authRateLimiter, validate(registerValidator), register);
 
 /**
  * @swagger
  * /auth/login:
  *   post:
- *     summary: Login and receive a JWT token
+ *     summary: Login and receive an access token and a refresh token
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -64,8 +82,139 @@ router.post('/register', validate(registerValidator), register);
  *     responses:
  *       200:
  *         description: Login successful
+ *       401:
+ *         description: Unknown account, wrong password or account temporarily locked
+ *       429:
+ *         description: Too many authentication requests from this IP
  */
-router.post('/login', validate(loginValidator), login);
+router.post('/login', authRateLimiter, validate(loginValidator), login);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session refreshed
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post('/refresh', authRateLimiter, validate(refreshValidator), refresh);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Revoke the session behind a refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *               allSessions:
+ *                 type: boolean
+ *                 description: Also revoke every other session and access token of the borrower
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post('/logout', validate(logoutValidator), logout);
+
+/**
+ * @swagger
+ * /auth/password/change:
+ *   post:
+ *     summary: Change the authenticated user's password
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed; other sessions are signed out and a new session is returned
+ *       400:
+ *         description: Current password is incorrect
+ */
+router.post('/password/change', authenticate, validate(changePasswordValidator), updatePassword);
+
+/**
+ * @swagger
+ * /auth/password/forgot:
+ *   post:
+ *     summary: Email a single-use password reset link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               cardnumber:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Accepted whether or not the account exists
+ */
+router.post('/password/forgot', authRateLimiter, validate(forgotPasswordValidator), forgotPassword);
+
+/**
+ * @swagger
+ * /auth/password/reset:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, newPassword]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password has been reset
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/password/reset', authRateLimiter, validate(resetPasswordValidator), completePasswordReset);
 
 /**
  * @swagger
@@ -1,11 +1,40 @@
 import express from 'express';
-import { index, show, store, update, destroy } from '../controllers/biblioController.js';
+import {
+	index,
+	search,
+	show,
+	showByIsbn,
+	duplicates,
+	store,
+	update,
+	destroy,
+	merge,
+	importMarc,
+	exportMarc
+} from '../controllers/biblioController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { createBiblioValidator, updateBiblioValidator } from '../validators/biblioValidators.js';
+import {
+	createBiblioValidator,
+	updateBiblioValidator,
+	searchBiblioValidator,
+	importMarcValidator,
+	exportMarcValidator,
+	isbnLookupValidator,
+	duplicatesValidator,
+	mergeBiblioValidator
+} from '../validators/biblioValidators.js';
 
 const router = express.Router();
 
+const MARC_CONTENT_TYPES = [
+	'application/marc',
+	'application/marcxml+xml',
+	'application/xml',
+	'text/xml',
+	'application/octet-stream'
+];
+
 /**
  * @swagger
  * tags:
@@ -75,7 +104,216 @@ router
 	 *       201:
 	 *         description: Biblio record created
 	 */
-	.post(authenticate, authorize('ADMIN'), validate(createBiblioValidator), store);
+	.post(authenticate, authorize('catalogue'), validate(createBiblioValidator), store);
+
+/**
+ * @swagger
+ * /biblio/search:
+ *   get:
+ *     summary: Relevance-ranked catalogue search with facets
+ *     description: >
+ *       Full-text search over title, subtitle, author and abstract with typo-tolerant trigram matching on
+ *       title and author. Quoted text is matched as a phrase and author:, title: and isbn: restrict a term
+ *       to one field, e.g. `dune "desert planet" author:herbert`. Facet parameters may be repeated to
+ *       select several values; meta.facets holds the counts for each facet.
+ *     tags: [Biblio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: itemtype
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: publisher
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: year
+ *         description: Year or range, e.g. 1990-1999
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [available, checked_out, unavailable]
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matching records ordered by relevance, each with a score, plus facet counts
+ */
+router.get('/search', authenticate, validate(searchBiblioValidator), search);
+
+/**
+ * @swagger
+ * /biblio/import:
+ *   post:
+ *     summary: Import MARC21 (ISO 2709) or MARCXML records
+ *     tags: [Biblio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Report matches and duplicates without writing anything
+ *       - in: query
+ *         name: withItems
+ *         schema:
+ *           type: boolean
+ *         description: Create items from 952 holdings
+ *       - in: query
+ *         name: itemtype
+ *         schema:
+ *           type: string
+ *         description: Item type for records without 942$c
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/marc:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/marcxml+xml:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Dry-run report
+ *       201:
+ *         description: Records imported, per-record report returned
+ *       400:
+ *         description: File missing or not parseable
+ */
+router.post(
+	'/import',
+	authenticate,
+	authorize('catalogue'),
+	express.raw({ type: MARC_CONTENT_TYPES, limit: '10mb' }),
+	validate(importMarcValidator),
+	importMarc
+);
+
+/**
+ * @swagger
+ * /biblio/export:
+ *   get:
+ *     summary: Export bibliographic records with their items as MARC
+ *     tags: [Biblio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [marcxml, iso2709]
+ *       - in: query
+ *         name: ids
+ *         schema:
+ *           type: string
+ *         description: Comma separated biblio ids; when omitted the search filters apply
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: itemtype
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: MARC file
+ */
+router.get('/export', authenticate, authorize('catalogue'), validate(exportMarcValidator), exportMarc);
+
+/**
+ * @swagger
+ * /biblio/isbn/{isbn}:
+ *   get:
+ *     summary: Fetch a bibliographic record by ISBN
+ *     description: Accepts the ISBN-10 or ISBN-13 form, with or without hyphens.
+ *     tags: [Biblio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Biblio record details
+ *       404:
+ *         description: No record with this ISBN
+ *       422:
+ *         description: Invalid ISBN
+ */
+router.get('/isbn/:isbn', authenticate, validate(isbnLookupValidator), showByIsbn);
+
+/**
+ * @swagger
+ * /biblio/duplicates:
+ *   get:
+ *     summary: Report probable duplicate bibliographic records
+ *     description: >
+ *       Groups records sharing an ISBN in any form and pairs records without a common ISBN whose title
+ *       (and author, when both have one) similarity reaches minSimilarity.
+ *     tags: [Biblio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: minSimilarity
+ *         schema:
+ *           type: number
+ *           minimum: 0.3
+ *           maximum: 1
+ *           default: 0.6
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: ISBN groups and similar record pairs
+ */
+router.get('/duplicates', authenticate, authorize('catalogue'), validate(duplicatesValidator), duplicates);
 
 router
 	.route('/:id')
@@ -123,7 +361,7 @@ router
 	 *       200:
 	 *         description: Biblio record updated
 	 */
-	.put(authenticate, authorize('ADMIN'), validate(updateBiblioValidator), update)
+	.put(authenticate, authorize('catalogue'), validate(updateBiblioValidator), update)
 	/**
 	 * @swagger
 	 * /biblio/{id}:
@@ -141,7 +379,52 @@ router
 	 *     responses:
 	 *       200:
 	 *         description: Biblio record removed
+	 *       409:
+	 *         description: >
+	 *           A copy is checked out, held or has outstanding fines, or a copy (even withdrawn) or past
+	 *           hold carries history; errors lists the reasons
 	 */
-	.delete(authenticate, authorize('ADMIN'), destroy);
+	.delete(authenticate, authorize('catalogue'), destroy);
+
+/**
+ * @swagger
+ * /biblio/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate bibliographic records into this one
+ *     description: >
+ *       Moves the items and holds of every source record onto the target, fills the target's empty fields
+ *       from the sources and deletes the sources, in one transaction. Duplicate pending holds by the same
+ *       borrower are cancelled and the hold queue is renumbered in priority order, ranking holds at the
+ *       same position by the date they were placed.
+ *     tags: [Biblio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source_ids]
+ *             properties:
+ *               source_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Merged record with a summary of what moved
+ *       400:
+ *         description: Target listed among the sources
+ *       404:
+ *         description: Target or source record not found
+ */
+router.post('/:id/merge', authenticate, authorize('catalogue'), validate(mergeBiblioValidator), merge);
 
 export default router;
@@ -1,8 +1,21 @@
 import express from 'express';
-import { index, show, store, update, destroy } from '../controllers/borrowerController.js';
+import {
+  index,
+  show,
+  store,
+  update,
+  destroy,
+  revokeSessions,
+  unlock,
+  importCsv
+} from '../controllers/borrowerController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { createBorrowerValidator, updateBorrowerValidator } from '../validators/borrowerValidators.js';
+import {
+  createBorrowerValidator,
+  updateBorrowerValidator,
+  importBorrowersValidator
+} from '../validators/borrowerValidators.js';
 
 const router = express.Router();
 
@@ -13,7 +26,7 @@ const router = express.Router();
  *   description: Patron administration
  */
 
-router.use(authenticate, authorize('ADMIN'));
+router.use(authenticate, authorize('manage_borrowers'));
 
 router
   .route('/')
@@ -63,20 +76,75 @@ router
    *                 type: string
    *               fullName:
    *                 type: string
+   *               preferredName:
+   *                 type: string
    *               email:
    *                 type: string
    *               password:
    *                 type: string
    *               categorycode:
    *                 type: string
+   *               phone:
+   *                 type: string
+   *               address:
+   *                 type: object
+   *               dateexpiry:
+   *                 type: string
+   *                 format: date
    *               role:
    *                 type: string
+   *                 enum: [ADMIN, STAFF, MEMBER]
+   *               permissions:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   enum: [circulate, catalogue, manage_borrowers, manage_fines, manage_preferences, view_audit_log]
    *     responses:
    *       201:
    *         description: Borrower created
    */
   .post(validate(createBorrowerValidator), store);
 
+/**
+ * @swagger
+ * /borrowers/import:
+ *   post:
+ *     summary: Create or update borrowers from a CSV file
+ *     description: >
+ *       Rows are matched by cardnumber: new card numbers are created and known ones updated, using the same
+ *       validation as the single-record endpoints. Columns are cardnumber, fullName (or full_name), email,
+ *       password, categorycode, preferredName, phone, address, dateexpiry, role and permissions
+ *       (semicolon separated). Empty cells are ignored.
+ *     tags: [Borrowers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [transaction, row]
+ *           default: transaction
+ *         description: transaction rolls back the whole file when any row fails; row saves each valid row
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Per-row import report
+ *       422:
+ *         description: At least one row failed in transaction mode; nothing was saved
+ */
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '5mb' }),
+  validate(importBorrowersValidator),
+  importCsv
+);
+
 router
   .route('/:id')
   /**
@@ -120,6 +188,10 @@ router
    *     responses:
    *       200:
    *         description: Borrower updated
+   *       422:
+   *         description: The categorycode does not exist
+   *       403:
+   *         description: The borrower holds permissions the caller does not
    */
   .put(validate(updateBorrowerValidator), update)
   /**
@@ -139,7 +211,53 @@ router
    *     responses:
    *       200:
    *         description: Borrower deleted
+   *       403:
+   *         description: The borrower holds permissions the caller does not
    */
   .delete(destroy);
 
+/**
+ * @swagger
+ * /borrowers/{id}/sessions:
+ *   delete:
+ *     summary: Revoke every refresh token and access token issued to a borrower
+ *     tags: [Borrowers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: The borrower holds permissions the caller does not
+ */
+router.delete('/:id/sessions', revokeSessions);
+
+/**
+ * @swagger
+ * /borrowers/{id}/unlock:
+ *   post:
+ *     summary: Clear failed login attempts and lift a login lockout
+ *     tags: [Borrowers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Borrower unlocked
+ *       403:
+ *         description: The borrower holds permissions the caller does not
+ */
+router.post('/:id/unlock', unlock);
+
 export default router;
@@ -0,0 +1,122 @@
+import express from 'express';
+import { index, store, update, destroy } from '../controllers/calendarController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listHolidaysValidator,
+  createHolidayValidator,
+  updateHolidayValidator,
+  deleteHolidayValidator
+} from '../validators/calendarValidators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: Library closed days used for due dates and fines
+ */
+
+/**
+ * @swagger
+ * /calendar/holidays:
+ *   get:
+ *     summary: List holidays and closed days
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Holiday list returned
+ */
+router.get('/holidays', authenticate, validate(listHolidaysValidator), index);
+
+/**
+ * @swagger
+ * /calendar/holidays:
+ *   post:
+ *     summary: Add a closed day
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               description:
+ *                 type: string
+ *               repeat_yearly:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Holiday created
+ *       409:
+ *         description: Holiday already exists on this date
+ */
+router.post('/holidays', authenticate, authorize('manage_preferences'), validate(createHolidayValidator), store);
+
+/**
+ * @swagger
+ * /calendar/holidays/{id}:
+ *   put:
+ *     summary: Update a closed day
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Holiday updated
+ */
+router.put('/holidays/:id', authenticate, authorize('manage_preferences'), validate(updateHolidayValidator), update);
+
+/**
+ * @swagger
+ * /calendar/holidays/{id}:
+ *   delete:
+ *     summary: Remove a closed day
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Holiday deleted
+ */
+router.delete('/holidays/:id', authenticate, authorize('manage_preferences'), validate(deleteHolidayValidator), destroy);
+
+export default router;
@@ -92,6 +92,47 @@ router.post('/return', authenticate, validate(returnValidator), processReturn);
  */
 router.post('/renew', authenticate, validate(renewValidator), renew);
 
-router.get('/history', authenticate, authorize('ADMIN'), validate(historyValidator), history);
+/**
+ * @swagger
+ * /circulation/history:
+ *   get:
+ *     summary: List current and past loans
+ *     tags: [Circulation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: borrowernumber
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: itemnumber
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: issuedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: issuedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: returnedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: returnedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Loan history returned
+ */
+router.get('/history', authenticate, authorize('circulate'), validate(historyValidator), history);
 
 export default router;
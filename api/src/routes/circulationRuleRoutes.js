@@ -0,0 +1,144 @@
+import express from 'express';
+import { index, resolve, store, update, destroy } from '../controllers/circulationRuleController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  createRuleValidator,
+  updateRuleValidator,
+  deleteRuleValidator,
+  resolveRuleValidator
+} from '../validators/circulationRuleValidators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: CirculationRules
+ *   description: Loan, renewal and fine rules by patron category and item type
+ */
+
+router.use(authenticate, authorize('manage_preferences'));
+
+/**
+ * @swagger
+ * /circulation-rules:
+ *   get:
+ *     summary: List circulation rules
+ *     tags: [CirculationRules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rule list returned
+ */
+router.get('/', index);
+
+/**
+ * @swagger
+ * /circulation-rules/resolve:
+ *   get:
+ *     summary: Resolve the effective rule for a category and item type
+ *     tags: [CirculationRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: categorycode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: itemtype
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Effective rule returned
+ */
+router.get('/resolve', validate(resolveRuleValidator), resolve);
+
+/**
+ * @swagger
+ * /circulation-rules:
+ *   post:
+ *     summary: Create a circulation rule
+ *     tags: [CirculationRules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categorycode:
+ *                 type: string
+ *                 description: Category code or * for all categories
+ *               itemtype:
+ *                 type: string
+ *                 description: Item type or * for all item types
+ *               loan_period_days:
+ *                 type: integer
+ *               max_renewals:
+ *                 type: integer
+ *               fine_per_day:
+ *                 type: number
+ *               fine_cap:
+ *                 type: number
+ *               max_checkouts:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       409:
+ *         description: Rule already exists for this scope
+ */
+router.post('/', validate(createRuleValidator), store);
+
+/**
+ * @swagger
+ * /circulation-rules/{id}:
+ *   put:
+ *     summary: Update a circulation rule
+ *     tags: [CirculationRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ */
+router.put('/:id', validate(updateRuleValidator), update);
+
+/**
+ * @swagger
+ * /circulation-rules/{id}:
+ *   delete:
+ *     summary: Delete a circulation rule
+ *     tags: [CirculationRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ */
+router.delete('/:id', validate(deleteRuleValidator), destroy);
+
+export default router;
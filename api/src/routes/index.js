@@ -4,9 +4,15 @@ import borrowerRoutes from './borrowerRoutes.js';
 import biblioRoutes from './biblioRoutes.js';
 import itemRoutes from './itemRoutes.js';
 import circulationRoutes from './circulationRoutes.js';
+import circulationRuleRoutes from './circulationRuleRoutes.js';
+import calendarRoutes from './calendarRoutes.js';
 import reserveRoutes from './reserveRoutes.js';
 import accountRoutes from './accountRoutes.js';
 import systemPreferenceRoutes from './systemPreferenceRoutes.js';
+import jobRoutes from './jobRoutes.js';
+import meRoutes from './meRoutes.js';
+import notificationRoutes from './notificationRoutes.js';
+import auditRoutes from './auditRoutes.js';
 
 const router = express.Router();
 
@@ -15,12 +21,18 @@ router.get('/health', (_req, res) => {
 });
 
 router.use('/auth', authRoutes);
+router.use('/me', meRoutes);
 router.use('/borrowers', borrowerRoutes);
 router.use('/biblio', biblioRoutes);
 router.use('/items', itemRoutes);
 router.use('/circulation', circulationRoutes);
+router.use('/circulation-rules', circulationRuleRoutes);
+router.use('/calendar', calendarRoutes);
 router.use('/reserves', reserveRoutes);
 router.use('/accounts', accountRoutes);
 router.use('/system-preferences', systemPreferenceRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/audit-log', auditRoutes);
 
 export default router;
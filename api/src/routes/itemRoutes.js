@@ -71,7 +71,7 @@ router
 	 *       201:
 	 *         description: Item created
 	 */
-	.post(authenticate, authorize('ADMIN'), validate(createItemValidator), store);
+	.post(authenticate, authorize('catalogue'), validate(createItemValidator), store);
 
 router
 	.route('/:id')
@@ -119,12 +119,15 @@ router
 	 *       200:
 	 *         description: Item updated
 	 */
-	.put(authenticate, authorize('ADMIN'), validate(updateItemValidator), update)
+	.put(authenticate, authorize('catalogue'), validate(updateItemValidator), update)
 	/**
 	 * @swagger
 	 * /items/{id}:
 	 *   delete:
 	 *     summary: Remove an item from inventory
+	 *     description: >
+	 *       Items referenced by past loans, holds or fines are withdrawn (kept with status withdrawn) rather
+	 *       than deleted, so that history keeps pointing at them.
 	 *     tags: [Items]
 	 *     security:
 	 *       - bearerAuth: []
@@ -136,8 +139,10 @@ router
 	 *         required: true
 	 *     responses:
 	 *       200:
-	 *         description: Item removed
+	 *         description: Item deleted or withdrawn
+	 *       409:
+	 *         description: Item is checked out, held or has outstanding fines; errors lists the reasons
 	 */
-	.delete(authenticate, authorize('ADMIN'), destroy);
+	.delete(authenticate, authorize('catalogue'), destroy);
 
 export default router;
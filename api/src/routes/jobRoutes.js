@@ -0,0 +1,63 @@
+import express from 'express';
+import { index, run } from '../controllers/jobController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { runJobValidator } from '../validators/jobValidators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Scheduled maintenance jobs
+ */
+
+router.use(authenticate, authorize('manage_preferences'));
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: List scheduled jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Job list returned
+ */
+router.get('/', index);
+
+/**
+ * @swagger
+ * /jobs/{name}/run:
+ *   post:
+ *     summary: Run a scheduled job immediately
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               asOf:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Job completed
+ *       404:
+ *         description: Job not found
+ */
+router.post('/:name/run', validate(runJobValidator), run);
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import { summary, notificationPreferences, saveNotificationPreferences } from '../controllers/meController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { updatePreferencesValidator } from '../validators/notificationValidators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Me
+ *   description: Patron self-service
+ */
+
+/**
+ * @swagger
+ * /me/summary:
+ *   get:
+ *     summary: Get the authenticated patron's loans, holds, fines and blocks
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account summary returned
+ */
+router.get('/summary', authenticate, summary);
+
+/**
+ * @swagger
+ * /me/notification-preferences:
+ *   get:
+ *     summary: Get which notices the authenticated patron receives
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences returned for every notice type
+ *   put:
+ *     summary: Opt in or out of notices and set the courtesy notice lead time
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [preferences]
+ *             properties:
+ *               preferences:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [code]
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       enum: [HOLD_AVAILABLE, DUE_SOON, OVERDUE]
+ *                     enabled:
+ *                       type: boolean
+ *                     days_in_advance:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ */
+router.get('/notification-preferences', authenticate, notificationPreferences);
+router.put(
+  '/notification-preferences',
+  authenticate,
+  validate(updatePreferencesValidator),
+  saveNotificationPreferences
+);
+
+export default router;
@@ -0,0 +1,100 @@
+import express from 'express';
+import { templates, saveTemplate, queue } from '../controllers/notificationController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { updateTemplateValidator, listMessagesValidator } from '../validators/notificationValidators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: Patron notice templates and outbox
+ */
+
+router.use(authenticate, authorize('manage_preferences'));
+
+/**
+ * @swagger
+ * /notifications/templates:
+ *   get:
+ *     summary: List notice templates
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates returned
+ */
+router.get('/templates', templates);
+
+/**
+ * @swagger
+ * /notifications/templates/{code}:
+ *   put:
+ *     summary: Update a notice template
+ *     description: Subject and body may use {{full_name}}, {{title}}, {{barcode}}, {{date_due}} and {{expirationdate}} placeholders.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         schema:
+ *           type: string
+ *           enum: [HOLD_AVAILABLE, DUE_SOON, OVERDUE, PASSWORD_RESET]
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [subject, body]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Template updated
+ */
+router.put('/templates/:code', validate(updateTemplateValidator), saveTemplate);
+
+/**
+ * @swagger
+ * /notifications/queue:
+ *   get:
+ *     summary: List queued, sent and failed notices
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed]
+ *       - in: query
+ *         name: borrowernumber
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Messages returned
+ */
+router.get('/queue', validate(listMessagesValidator), queue);
+
+export default router;
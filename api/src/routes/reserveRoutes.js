@@ -1,8 +1,26 @@
 import express from 'express';
-import { index, store, cancel } from '../controllers/reserveController.js';
-import { authenticate } from '../middleware/auth.js';
+import {
+  index,
+  store,
+  cancel,
+  queue,
+  reorder,
+  prioritize,
+  suspend,
+  resume,
+  awaitingPickup
+} from '../controllers/reserveController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { createReserveValidator, cancelReserveValidator } from '../validators/reserveValidators.js';
+import {
+  createReserveValidator,
+  cancelReserveValidator,
+  queueValidator,
+  reorderQueueValidator,
+  priorityValidator,
+  suspendReserveValidator,
+  resumeReserveValidator
+} from '../validators/reserveValidators.js';
 
 const router = express.Router();
 
@@ -40,6 +58,20 @@ const router = express.Router();
  */
 router.get('/', authenticate, index);
 
+/**
+ * @swagger
+ * /reserves/awaiting-pickup:
+ *   get:
+ *     summary: List waiting holds and the copies trapped for them on the hold shelf
+ *     tags: [Reserves]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Holds awaiting pickup, soonest pickup deadline first
+ */
+router.get('/awaiting-pickup', authenticate, authorize('circulate'), awaitingPickup);
+
 /**
  * @swagger
  * /reserves:
@@ -92,7 +124,143 @@ router.post('/', authenticate, validate(createReserveValidator), store);
  *     responses:
  *       200:
  *         description: Reserve cancelled
+ *       400:
+ *         description: The hold was already cancelled, expired or filled
  */
 router.patch('/:id/cancel', authenticate, validate(cancelReserveValidator), cancel);
 
+/**
+ * @swagger
+ * /reserves/biblio/{biblionumber}/queue:
+ *   get:
+ *     summary: List the pending hold queue for a title in priority order
+ *     tags: [Reserves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: biblionumber
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Hold queue returned
+ *   put:
+ *     summary: Reorder the pending hold queue for a title
+ *     tags: [Reserves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: biblionumber
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reserve_ids]
+ *             properties:
+ *               reserve_ids:
+ *                 type: array
+ *                 description: Every pending hold on the title, in the new order
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Hold queue reordered
+ */
+router.get('/biblio/:biblionumber/queue', authenticate, authorize('circulate'), validate(queueValidator), queue);
+router.put(
+  '/biblio/:biblionumber/queue',
+  authenticate,
+  authorize('circulate'),
+  validate(reorderQueueValidator),
+  reorder
+);
+
+/**
+ * @swagger
+ * /reserves/{id}/priority:
+ *   patch:
+ *     summary: Move a hold to a position in its title's queue
+ *     tags: [Reserves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [priority]
+ *             properties:
+ *               priority:
+ *                 type: integer
+ *                 description: 1 moves the hold to the top of the queue
+ *     responses:
+ *       200:
+ *         description: Hold priority updated
+ */
+router.patch('/:id/priority', authenticate, authorize('circulate'), validate(priorityValidator), prioritize);
+
+/**
+ * @swagger
+ * /reserves/{id}/suspend:
+ *   patch:
+ *     summary: Suspend a hold, optionally until a resume date
+ *     tags: [Reserves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Hold suspended
+ */
+router.patch('/:id/suspend', authenticate, validate(suspendReserveValidator), suspend);
+
+/**
+ * @swagger
+ * /reserves/{id}/resume:
+ *   patch:
+ *     summary: Resume a suspended hold
+ *     tags: [Reserves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Hold resumed
+ */
+router.patch('/:id/resume', authenticate, validate(resumeReserveValidator), resume);
+
 export default router;
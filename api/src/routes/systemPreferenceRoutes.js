@@ -25,7 +25,7 @@ const router = express.Router();
  *       200:
  *         description: Preference list returned
  */
-router.get('/', authenticate, authorize('ADMIN'), index);
+router.get('/', authenticate, authorize('manage_preferences'), index);
 
 /**
  * @swagger
@@ -55,6 +55,6 @@ router.get('/', authenticate, authorize('ADMIN'), index);
  *       200:
  *         description: Preference updated
  */
-router.put('/:variable', authenticate, authorize('ADMIN'), validate(updatePreferenceValidator), update);
+router.put('/:variable', authenticate, authorize('manage_preferences'), validate(updatePreferenceValidator), update);
 
 export default router;
@@ -1,9 +1,14 @@
 import app from './app.js';
 import { config } from './config/env.js';
+import { startScheduler } from './jobs/index.js';
 
 const { port } = config;
 
 app.listen(port, () => {
   // eslint-disable-next-line no-console
   console.log(`🚀 Library API listening on port ${port}`);
+
+  if (config.jobsEnabled) {
+    startScheduler();
+  }
 });
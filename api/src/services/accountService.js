@@ -1,48 +1,348 @@
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
+import { toMoney } from '../utils/fines.js';
+import { recordAudit } from './auditService.js';
+
+const lineInclude = {
+  borrower: { select: { borrowernumber: true, full_name: true } },
+  item: { select: { itemnumber: true, barcode: true } },
+  creditOffsets: true,
+  debitOffsets: true
+};
+
+const isCredit = (line) => Number(line.amount) < 0;
+
+const findLine = async (tx, accountLineId) => {
+  const line = await tx.accountLine.findUnique({
+    where: { accountlines_id: accountLineId }
+  });
+
+  if (!line) {
+    throw new ApiError(404, 'Account line not found');
+  }
+
+  return line;
+};
+
+const findOutstandingDebit = async (tx, accountLineId) => {
+  const debit = await findLine(tx, accountLineId);
+
+  if (isCredit(debit)) {
+    throw new ApiError(400, 'Account line is not a charge');
+  }
+
+  if (Number(debit.amountoutstanding) <= 0) {
+    throw new ApiError(400, 'Nothing outstanding to pay');
+  }
+
+  return debit;
+};
+
+const createCredit = async (tx, { borrowernumber, amount, accounttype, description, paymentType, managerId, note }) => {
+  const credit = await tx.accountLine.create({
+    data: {
+      borrowernumber,
+      amount: -amount,
+      amountoutstanding: -amount,
+      description,
+      accounttype,
+      payment_type: paymentType,
+      manager_id: managerId,
+      note,
+      status: 'open'
+    }
+  });
+  await recordAudit(tx, {
+    action: accounttype.toLowerCase(),
+    entityType: 'accountline',
+    entityId: credit.accountlines_id,
+    after: credit
+  });
+  return credit;
+};
+
+// Moves `amount` from a credit line onto a debit line and records the offset
+// between them, so every settled charge can be traced back to its credits.
+const applyCredit = async (tx, { credit, debit, amount }) => {
+  await tx.accountOffset.create({
+    data: {
+      credit_id: credit.accountlines_id,
+      debit_id: debit.accountlines_id,
+      type: credit.accounttype,
+      amount
+    }
+  });
+
+  const debitOutstanding = toMoney(Number(debit.amountoutstanding) - amount);
+  const settledStatus = credit.accounttype === 'WRITEOFF' ? 'written_off' : 'paid';
+  const updatedDebit = await tx.accountLine.update({
+    where: { accountlines_id: debit.accountlines_id },
+    data: {
+      amountoutstanding: debitOutstanding,
+      status: debitOutstanding === 0 ? settledStatus : 'partially_paid'
+    }
+  });
+  await recordAudit(tx, {
+    action: 'apply_credit',
+    entityType: 'accountline',
+    entityId: debit.accountlines_id,
+    before: debit,
+    after: { ...updatedDebit, credit_id: credit.accountlines_id }
+  });
+
+  const creditOutstanding = toMoney(Number(credit.amountoutstanding) + amount);
+  const updatedCredit = await tx.accountLine.update({
+    where: { accountlines_id: credit.accountlines_id },
+    data: {
+      amountoutstanding: creditOutstanding,
+      status: creditOutstanding === 0 ? 'applied' : 'open'
+    }
+  });
+
+  return { debit: updatedDebit, credit: updatedCredit };
+};
+
+const summarizeLines = (lines) => {
+  const outstanding = lines.reduce(
+    (totals, line) => {
+      const value = Number(line.amountoutstanding);
+      if (value > 0) {
+        totals.debits += value;
+      } else {
+        totals.credits -= value;
+      }
+      return totals;
+    },
+    { debits: 0, credits: 0 }
+  );
+
+  return {
+    balance: toMoney(outstanding.debits - outstanding.credits),
+    outstanding: toMoney(outstanding.debits),
+    credit: toMoney(outstanding.credits)
+  };
+};
 
 export const listAccounts = async ({ borrower }) => {
   const where = borrower ? { borrowernumber: borrower } : undefined;
   return prisma.accountLine.findMany({
     where,
-    orderBy: { created_at: 'desc' },
-    include: {
-      borrower: { select: { borrowernumber: true, full_name: true } },
-      item: { select: { itemnumber: true, barcode: true } }
-    }
+    orderBy: [{ date: 'desc' }, { accountlines_id: 'desc' }],
+    include: lineInclude
+  });
+};
+
+export const getBorrowerAccount = async (borrowernumber) => {
+  const transactions = await listAccounts({ borrower: borrowernumber });
+  return { borrowernumber, ...summarizeLines(transactions), transactions };
+};
+
+export const listBalances = async () => {
+  const grouped = await prisma.accountLine.groupBy({
+    by: ['borrowernumber'],
+    where: { borrowernumber: { not: null } },
+    _sum: { amountoutstanding: true },
+    orderBy: { borrowernumber: 'asc' }
   });
+
+  return grouped.map((row) => ({
+    borrowernumber: row.borrowernumber,
+    balance: toMoney(row._sum.amountoutstanding ?? 0)
+  }));
 };
 
 export const payFine = async ({ accountLineId, amount, paymentType, managerId }) => {
   return prisma.$transaction(async (tx) => {
-    const account = await tx.accountLine.findUnique({
-      where: { accountlines_id: accountLineId }
+    const debit = await findOutstandingDebit(tx, accountLineId);
+
+    if (amount > Number(debit.amountoutstanding)) {
+      throw new ApiError(400, 'Payment exceeds outstanding amount');
+    }
+
+    const credit = await createCredit(tx, {
+      borrowernumber: debit.borrowernumber,
+      amount,
+      accounttype: 'PAYMENT',
+      description: 'Payment',
+      paymentType,
+      managerId
+    });
+    await applyCredit(tx, { credit, debit, amount });
+
+    return tx.accountLine.findUnique({
+      where: { accountlines_id: debit.accountlines_id },
+      include: lineInclude
     });
+  });
+};
 
-    if (!account) {
-      throw new ApiError(404, 'Account line not found');
+const findAllocationTargets = async (tx, borrowernumber, accountLineIds) => {
+  const debits = await tx.accountLine.findMany({
+    where: {
+      borrowernumber,
+      amount: { gt: 0 },
+      amountoutstanding: { gt: 0 },
+      ...(accountLineIds ? { accountlines_id: { in: accountLineIds } } : {})
+    },
+    orderBy: [{ date: 'asc' }, { accountlines_id: 'asc' }]
+  });
+
+  if (!accountLineIds) {
+    return debits;
+  }
+
+  return [...new Set(accountLineIds)].map((id) => {
+    const debit = debits.find((line) => line.accountlines_id === id);
+    if (!debit) {
+      throw new ApiError(400, `Account line ${id} is not an outstanding charge for this borrower`);
     }
+    return debit;
+  });
+};
 
-    if (account.amountoutstanding <= 0) {
-      throw new ApiError(400, 'Nothing outstanding to pay');
+export const payBorrowerFines = async ({ borrowernumber, amount, accountLineIds, paymentType, managerId }) => {
+  return prisma.$transaction(async (tx) => {
+    const borrower = await tx.borrower.findUnique({ where: { borrowernumber } });
+    if (!borrower) {
+      throw new ApiError(404, 'Borrower not found');
     }
 
-    const newOutstanding = Number((account.amountoutstanding - amount).toFixed(2));
-    if (newOutstanding < 0) {
-      throw new ApiError(400, 'Payment exceeds outstanding amount');
+    const debits = await findAllocationTargets(tx, borrowernumber, accountLineIds);
+
+    let credit = await createCredit(tx, {
+      borrowernumber,
+      amount,
+      accounttype: 'PAYMENT',
+      description: 'Payment',
+      paymentType,
+      managerId
+    });
+
+    const allocations = [];
+    for (const debit of debits) {
+      const remaining = -Number(credit.amountoutstanding);
+      if (remaining <= 0) {
+        break;
+      }
+
+      const applied = toMoney(Math.min(remaining, Number(debit.amountoutstanding)));
+      const result = await applyCredit(tx, { credit, debit, amount: applied });
+      credit = result.credit;
+      allocations.push({
+        accountlines_id: debit.accountlines_id,
+        description: debit.description,
+        applied,
+        amountoutstanding: Number(result.debit.amountoutstanding),
+        status: result.debit.status
+      });
+    }
+
+    return {
+      payment: credit,
+      allocations,
+      credit: toMoney(-Number(credit.amountoutstanding))
+    };
+  });
+};
+
+export const writeOffFine = async ({ accountLineId, amount, reason, managerId }) => {
+  return prisma.$transaction(async (tx) => {
+    const debit = await findOutstandingDebit(tx, accountLineId);
+    const writeOffAmount = amount ?? Number(debit.amountoutstanding);
+
+    if (writeOffAmount > Number(debit.amountoutstanding)) {
+      throw new ApiError(400, 'Write-off exceeds outstanding amount');
+    }
+
+    const credit = await createCredit(tx, {
+      borrowernumber: debit.borrowernumber,
+      amount: writeOffAmount,
+      accounttype: 'WRITEOFF',
+      description: 'Write-off',
+      managerId,
+      note: reason
+    });
+    await applyCredit(tx, { credit, debit, amount: writeOffAmount });
+
+    return tx.accountLine.findUnique({
+      where: { accountlines_id: debit.accountlines_id },
+      include: lineInclude
+    });
+  });
+};
+
+export const createAccountCredit = async ({ borrowernumber, amount, description, managerId }) => {
+  return prisma.$transaction(async (tx) => {
+    const borrower = await tx.borrower.findUnique({ where: { borrowernumber } });
+    if (!borrower) {
+      throw new ApiError(404, 'Borrower not found');
+    }
+
+    return createCredit(tx, {
+      borrowernumber,
+      amount,
+      accounttype: 'CREDIT',
+      description: description ?? 'Credit',
+      managerId
+    });
+  });
+};
+
+export const refundCredit = async ({ accountLineId, amount, paymentType, managerId }) => {
+  return prisma.$transaction(async (tx) => {
+    const credit = await findLine(tx, accountLineId);
+
+    if (!isCredit(credit)) {
+      throw new ApiError(400, 'Only credits can be refunded');
     }
 
-    const updated = await tx.accountLine.update({
-      where: { accountlines_id: accountLineId },
+    const available = -Number(credit.amountoutstanding);
+    const refundAmount = amount ?? available;
+    if (available <= 0 || refundAmount > available) {
+      throw new ApiError(400, 'Refund exceeds available credit');
+    }
+
+    const refund = await tx.accountLine.create({
       data: {
-        amountoutstanding: newOutstanding,
+        borrowernumber: credit.borrowernumber,
+        amount: refundAmount,
+        amountoutstanding: 0,
+        description: 'Refund',
+        accounttype: 'REFUND',
         payment_type: paymentType,
-        status: newOutstanding === 0 ? 'paid' : 'partially_paid',
-        manager_id: managerId ?? account.manager_id,
-        note: account.note ? `${account.note}\nPayment recorded` : 'Payment recorded'
+        manager_id: managerId,
+        status: 'paid'
+      }
+    });
+
+    await tx.accountOffset.create({
+      data: {
+        credit_id: credit.accountlines_id,
+        debit_id: refund.accountlines_id,
+        type: 'REFUND',
+        amount: refundAmount
       }
     });
 
-    return updated;
+    const creditOutstanding = toMoney(Number(credit.amountoutstanding) + refundAmount);
+    const updatedCredit = await tx.accountLine.update({
+      where: { accountlines_id: credit.accountlines_id },
+      data: {
+        amountoutstanding: creditOutstanding,
+        status: creditOutstanding === 0 ? 'refunded' : 'open'
+      }
+    });
+    await recordAudit(tx, {
+      action: 'refund',
+      entityType: 'accountline',
+      entityId: credit.accountlines_id,
+      before: credit,
+      after: { ...updatedCredit, refund_id: refund.accountlines_id }
+    });
+
+    return tx.accountLine.findUnique({
+      where: { accountlines_id: refund.accountlines_id },
+      include: lineInclude
+    });
   });
 };
@@ -0,0 +1,54 @@
+import prisma from '../prisma.js';
+import { buildPagination, buildMeta } from '../utils/pagination.js';
+import { diffRecords } from '../utils/audit.js';
+import { getRequestContext } from '../utils/requestContext.js';
+
+// Appends an entry to the audit log using the caller's client, so the entry
+// commits or rolls back with the change it describes. The actor and IP come
+// from the current request unless given; entries written by jobs have neither.
+export const recordAudit = (client, { action, entityType, entityId = null, before = null, after = null, actorId }) => {
+  const context = getRequestContext();
+  const diff = diffRecords(before, after);
+
+  return client.auditLog.create({
+    data: {
+      actor_id: actorId ?? context.actorId ?? null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId === null ? null : String(entityId),
+      before: diff.before ?? undefined,
+      after: diff.after ?? undefined,
+      ip: context.ip ?? null
+    }
+  });
+};
+
+export const listAuditLog = async ({ page = 1, limit = 20, actor, action, entityType, entityId, from, to }) => {
+  const { skip } = buildPagination({ page, limit });
+  const createdAt = {
+    ...(from ? { gte: from } : {}),
+    ...(to ? { lte: to } : {})
+  };
+  const where = {
+    ...(actor ? { actor_id: actor } : {}),
+    ...(action ? { action } : {}),
+    ...(entityType ? { entity_type: entityType } : {}),
+    ...(entityId ? { entity_id: String(entityId) } : {}),
+    ...(Object.keys(createdAt).length ? { created_at: createdAt } : {})
+  };
+
+  const [total, entries] = await Promise.all([
+    prisma.auditLog.count({ where }),
+    prisma.auditLog.findMany({
+      where,
+      skip,
+      take: Number(limit),
+      orderBy: [{ created_at: 'desc' }, { audit_id: 'desc' }]
+    })
+  ]);
+
+  return {
+    data: entries,
+    meta: buildMeta({ total, page: Number(page), limit: Number(limit) })
+  };
+};
@@ -1,14 +1,55 @@
+import crypto from 'node:crypto';
 import bcrypt from 'bcryptjs';
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
 import { config } from '../config/env.js';
+import { addDays } from '../utils/date.js';
+import { generateToken, generateOpaqueToken, hashToken } from '../utils/token.js';
+import { renderTemplate } from '../utils/template.js';
+import { DEFAULT_TEMPLATES } from '../notifications/templates.js';
+import { createTransport } from '../notifications/transports.js';
+import { resolvePermissions } from '../utils/permissions.js';
+import { getSystemPreference } from './systemPreferenceService.js';
+import { recordAudit } from './auditService.js';
+import { assertCanManage } from './borrowerService.js';
 
 const sanitizeBorrower = (borrower) => {
   if (!borrower) return null;
-  const { password, staff_notes, ...safe } = borrower;
+  const { password, staff_notes, token_version, login_attempts, locked_until, ...safe } = borrower;
   return safe;
 };
 
+// Issues a short-lived access token and a new refresh token in the given
+// family. The access token carries the borrower's token_version so that
+// bumping it invalidates every access token already handed out.
+const issueSession = async (client, borrower, { familyId = crypto.randomUUID(), ip, userAgent } = {}) => {
+  const refreshToken = generateOpaqueToken();
+  const record = await client.refreshToken.create({
+    data: {
+      borrowernumber: borrower.borrowernumber,
+      token_hash: hashToken(refreshToken),
+      family_id: familyId,
+      expires_at: addDays(new Date(), config.refreshTokenTtlDays),
+      created_ip: ip,
+      user_agent: userAgent
+    }
+  });
+
+  const token = generateToken({
+    id: borrower.borrowernumber,
+    role: borrower.role,
+    ver: borrower.token_version
+  });
+
+  return { record, token, refreshToken };
+};
+
+const revokeFamily = (client, familyId, now = new Date()) =>
+  client.refreshToken.updateMany({
+    where: { family_id: familyId, revoked_at: null },
+    data: { revoked_at: now }
+  });
+
 export const registerUser = async ({
   cardnumber,
   fullName,
@@ -42,20 +83,90 @@ export const registerUser = async ({
 
   const hashed = await bcrypt.hash(password, config.bcryptSaltRounds);
 
-  const borrower = await prisma.borrower.create({
-    data: {
-      cardnumber,
-      full_name: fullName,
-      email,
-      password: hashed,
-      categorycode,
-      role: assignedRole
-    }
+  const borrower = await prisma.$transaction(async (tx) => {
+    const created = await tx.borrower.create({
+      data: {
+        cardnumber,
+        full_name: fullName,
+        email,
+        password: hashed,
+        categorycode,
+        role: assignedRole
+      }
+    });
+    await recordAudit(tx, {
+      action: 'register',
+      entityType: 'borrower',
+      entityId: created.borrowernumber,
+      after: created,
+      actorId: created.borrowernumber
+    });
+    return created;
   });
 
   return sanitizeBorrower(borrower);
 };
 
+// Counts a failed password and locks the account for `lockout_minutes` once
+// `failed_login_attempts` is reached; the counter starts over after a lockout.
+// The increment holds the row lock until the lock is written, so parallel bad
+// logins are counted one at a time and cannot overshoot the threshold.
+const recordFailedLogin = (borrowernumber, now) =>
+  prisma.$transaction(async (tx) => {
+    const [maxAttempts, lockoutMinutes] = await Promise.all([
+      getSystemPreference(tx, 'failed_login_attempts', '5').then(Number),
+      getSystemPreference(tx, 'lockout_minutes', '15').then(Number)
+    ]);
+
+    const { login_attempts: attempts } = await tx.borrower.update({
+      where: { borrowernumber },
+      data: { login_attempts: { increment: 1 } }
+    });
+    if (maxAttempts <= 0 || attempts < maxAttempts) {
+      return;
+    }
+
+    const locked = await tx.borrower.update({
+      where: { borrowernumber },
+      data: { login_attempts: 0, locked_until: new Date(now.getTime() + lockoutMinutes * 60 * 1000) }
+    });
+    await recordAudit(tx, {
+      action: 'lock',
+      entityType: 'borrower',
+      entityId: borrowernumber,
+      after: { locked_until: locked.locked_until }
+    });
+  });
+
+export const unlockBorrower = async (borrowernumber, actor) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.borrower.findUnique({ where: { borrowernumber } });
+      if (!existing) {
+        throw new ApiError(404, 'Borrower not found');
+      }
+      assertCanManage(actor, existing);
+      const borrower = await tx.borrower.update({
+        where: { borrowernumber },
+        data: { login_attempts: 0, locked_until: null }
+      });
+      await recordAudit(tx, {
+        action: 'unlock',
+        entityType: 'borrower',
+        entityId: borrowernumber,
+        before: existing,
+        after: borrower
+      });
+      return { borrowernumber: borrower.borrowernumber, login_attempts: 0, locked_until: null };
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new ApiError(404, 'Borrower not found');
+    }
+    throw error;
+  }
+};
+
 export const loginUser = async ({ email, cardnumber, password }) => {
   const borrower = await prisma.borrower.findFirst({
     where: {
@@ -70,19 +181,254 @@ export const loginUser = async ({ email, cardnumber, password }) => {
     throw new ApiError(401, 'Invalid credentials');
   }
 
+  // A locked account answers exactly like an unknown one, so triggering the
+  // lockout cannot be used to find out which card numbers exist.
+  const now = new Date();
+  if (borrower.locked_until && borrower.locked_until > now) {
+    throw new ApiError(401, 'Invalid credentials');
+  }
+
   const valid = await bcrypt.compare(password, borrower.password);
   if (!valid) {
+    await recordFailedLogin(borrower.borrowernumber, now);
     throw new ApiError(401, 'Invalid credentials');
   }
 
   await prisma.borrower.update({
     where: { borrowernumber: borrower.borrowernumber },
-    data: { lastseen: new Date() }
+    data: { lastseen: now, login_attempts: 0, locked_until: null }
   });
 
   return sanitizeBorrower(borrower);
 };
 
+export const createSession = async (borrowernumber, context = {}) => {
+  const borrower = await prisma.borrower.findUnique({
+    where: { borrowernumber },
+    select: { borrowernumber: true, role: true, token_version: true }
+  });
+
+  if (!borrower) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const { token, refreshToken } = await issueSession(prisma, borrower, context);
+  return { token, refreshToken };
+};
+
+// Rotates a refresh token: the presented token is revoked and replaced by a
+// new one in the same family. Presenting a token that was already rotated
+// means it has leaked, so the whole family is revoked.
+export const refreshSession = async (refreshToken, context = {}) => {
+  const now = new Date();
+  const stored = await prisma.refreshToken.findUnique({
+    where: { token_hash: hashToken(refreshToken) },
+    include: {
+      borrower: { select: { borrowernumber: true, role: true, token_version: true } }
+    }
+  });
+
+  if (!stored) {
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  if (stored.revoked_at) {
+    await revokeFamily(prisma, stored.family_id, now);
+    throw new ApiError(401, 'Refresh token has been revoked');
+  }
+
+  if (stored.expires_at <= now) {
+    throw new ApiError(401, 'Refresh token has expired');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.refreshToken.updateMany({
+      where: { token_id: stored.token_id, revoked_at: null },
+      data: { revoked_at: now }
+    });
+
+    if (count === 0) {
+      throw new ApiError(401, 'Refresh token has been revoked');
+    }
+
+    const session = await issueSession(tx, stored.borrower, { ...context, familyId: stored.family_id });
+    await tx.refreshToken.update({
+      where: { token_id: stored.token_id },
+      data: { replaced_by: session.record.token_id }
+    });
+
+    return { token: session.token, refreshToken: session.refreshToken };
+  });
+};
+
+const revokeBorrowerSessions = async (tx, borrowernumber, data = {}) => {
+  const borrower = await tx.borrower.update({
+    where: { borrowernumber },
+    data: { ...data, token_version: { increment: 1 } }
+  });
+  const { count } = await tx.refreshToken.updateMany({
+    where: { borrowernumber, revoked_at: null },
+    data: { revoked_at: new Date() }
+  });
+
+  return { borrower, count };
+};
+
+export const revokeAllSessions = async (borrowernumber, actor) => {
+  return prisma.$transaction(async (tx) => {
+    const borrower = await tx.borrower.findUnique({ where: { borrowernumber } });
+    if (!borrower) {
+      throw new ApiError(404, 'Borrower not found');
+    }
+    assertCanManage(actor, borrower);
+
+    const { count } = await revokeBorrowerSessions(tx, borrowernumber);
+    await recordAudit(tx, {
+      action: 'revoke_sessions',
+      entityType: 'borrower',
+      entityId: borrowernumber,
+      after: { revoked_sessions: count }
+    });
+    return { borrowernumber, revoked_sessions: count };
+  });
+};
+
+export const logoutSession = async (refreshToken, { allSessions = false } = {}) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { token_hash: hashToken(refreshToken) }
+  });
+
+  if (!stored) {
+    return;
+  }
+
+  if (allSessions) {
+    await revokeAllSessions(stored.borrowernumber);
+    return;
+  }
+
+  await revokeFamily(prisma, stored.family_id);
+};
+
+// Changing the password signs the borrower out everywhere; the caller gets a
+// fresh session in place of the one whose access token was just invalidated.
+export const changePassword = async ({ borrowernumber, currentPassword, newPassword }, context = {}) => {
+  const borrower = await prisma.borrower.findUnique({ where: { borrowernumber } });
+  if (!borrower) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const valid = await bcrypt.compare(currentPassword, borrower.password);
+  if (!valid) {
+    throw new ApiError(400, 'Current password is incorrect');
+  }
+
+  if (await bcrypt.compare(newPassword, borrower.password)) {
+    throw new ApiError(400, 'New password must differ from the current password');
+  }
+
+  const hashed = await bcrypt.hash(newPassword, config.bcryptSaltRounds);
+  return prisma.$transaction(async (tx) => {
+    const { borrower: updated } = await revokeBorrowerSessions(tx, borrowernumber, { password: hashed });
+    await recordAudit(tx, { action: 'password_change', entityType: 'borrower', entityId: borrowernumber });
+    const { token, refreshToken } = await issueSession(tx, updated, context);
+    return { token, refreshToken };
+  });
+};
+
+const renderResetMail = async (borrower, variables) => {
+  const template =
+    (await prisma.messageTemplate.findUnique({ where: { code: 'PASSWORD_RESET' } })) ??
+    DEFAULT_TEMPLATES.find((entry) => entry.code === 'PASSWORD_RESET');
+  const context = { full_name: borrower.full_name, ...variables };
+
+  return {
+    to: borrower.email,
+    subject: renderTemplate(template.subject, context),
+    text: renderTemplate(template.body, context)
+  };
+};
+
+// Always resolves the same way whether or not the account exists, so the
+// endpoint cannot be used to discover registered emails or card numbers; a
+// failed delivery is logged rather than reported for the same reason.
+// The mail is sent straight through the transport rather than the outbox so
+// the plain token is never stored.
+export const requestPasswordReset = async ({ email, cardnumber }, { ip, transport } = {}) => {
+  const borrower = await prisma.borrower.findFirst({
+    where: {
+      OR: [email ? { email } : undefined, cardnumber ? { cardnumber } : undefined].filter(Boolean)
+    }
+  });
+
+  if (!borrower?.email) {
+    return;
+  }
+
+  const now = new Date();
+  const token = generateOpaqueToken();
+  await prisma.$transaction([
+    prisma.passwordResetToken.updateMany({
+      where: { borrowernumber: borrower.borrowernumber, used_at: null },
+      data: { used_at: now }
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        borrowernumber: borrower.borrowernumber,
+        token_hash: hashToken(token),
+        expires_at: new Date(now.getTime() + config.passwordResetTtlMinutes * 60 * 1000),
+        requested_ip: ip
+      }
+    })
+  ]);
+
+  const resetUrl = new URL(config.passwordResetUrl);
+  resetUrl.searchParams.set('token', token);
+  const message = await renderResetMail(borrower, {
+    reset_url: resetUrl.toString(),
+    expires_minutes: config.passwordResetTtlMinutes
+  });
+
+  try {
+    await (transport ?? createTransport()).send(message);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Password reset mail for borrower ${borrower.borrowernumber} could not be sent`, error);
+  }
+};
+
+export const resetPassword = async ({ token, newPassword }) => {
+  const now = new Date();
+  const hashed = await bcrypt.hash(newPassword, config.bcryptSaltRounds);
+
+  return prisma.$transaction(async (tx) => {
+    const stored = await tx.passwordResetToken.findUnique({ where: { token_hash: hashToken(token) } });
+    if (!stored || stored.expires_at <= now) {
+      throw new ApiError(400, 'Invalid or expired reset token');
+    }
+
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { token_id: stored.token_id, used_at: null },
+      data: { used_at: now }
+    });
+    if (count === 0) {
+      throw new ApiError(400, 'Invalid or expired reset token');
+    }
+
+    await revokeBorrowerSessions(tx, stored.borrowernumber, {
+      password: hashed,
+      login_attempts: 0,
+      locked_until: null
+    });
+    await recordAudit(tx, {
+      action: 'password_reset',
+      entityType: 'borrower',
+      entityId: stored.borrowernumber,
+      actorId: stored.borrowernumber
+    });
+  });
+};
+
 export const getProfile = async (borrowernumber) => {
   const borrower = await prisma.borrower.findUnique({
     where: { borrowernumber },
@@ -95,5 +441,5 @@ export const getProfile = async (borrowernumber) => {
     throw new ApiError(404, 'User not found');
   }
 
-  return sanitizeBorrower(borrower);
+  return { ...sanitizeBorrower(borrower), effective_permissions: resolvePermissions(borrower) };
 };
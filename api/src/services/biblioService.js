@@ -1,10 +1,15 @@
+import { Prisma } from '@prisma/client';
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
 import { buildPagination, buildMeta } from '../utils/pagination.js';
+import { cleanIsbn, isbnVariants, toIsbn13 } from '../utils/isbn.js';
+import { biblioToMarc, marcToBiblio, parseMarc, serializeIso2709, serializeMarcXml } from '../utils/marc.js';
+import { recordAudit } from './auditService.js';
+import { findItemsWithHistory, findRemovalBlockers } from './itemService.js';
+import { resequenceReserves } from './reserveService.js';
+import { getAvailabilitySummaries } from './searchService.js';
 
-export const listBiblios = async ({ page = 1, limit = 20, search, itemtype }) => {
-  const { skip } = buildPagination({ page, limit });
-
+const buildBiblioWhere = ({ search, itemtype }) => {
   const where = {
     AND: [
       search
@@ -20,20 +25,26 @@ export const listBiblios = async ({ page = 1, limit = 20, search, itemtype }) =>
     ].filter(Boolean)
   };
 
-  if (!where.AND.length) delete where.AND;
+  return where.AND.length ? where : undefined;
+};
+
+export const listBiblios = async ({ page = 1, limit = 20, search, itemtype }) => {
+  const { skip } = buildPagination({ page, limit });
+  const where = buildBiblioWhere({ search, itemtype });
 
   const [total, biblios] = await Promise.all([
-    prisma.biblio.count({ where: where.AND ? where : undefined }),
+    prisma.biblio.count({ where }),
     prisma.biblio.findMany({
-      where: where.AND ? where : undefined,
+      where,
       skip,
       take: Number(limit),
       orderBy: { created_at: 'desc' }
     })
   ]);
+  const availability = await getAvailabilitySummaries(biblios.map((biblio) => biblio.biblionumber));
 
   return {
-    data: biblios,
+    data: biblios.map((biblio) => ({ ...biblio, availability: availability.get(biblio.biblionumber) })),
     meta: buildMeta({ total, page: Number(page), limit: Number(limit) })
   };
 };
@@ -51,12 +62,50 @@ export const getBiblio = async (id) => {
   return biblio;
 };
 
+// Matches records whose stored ISBN is any form of the given one, including
+// hyphenated or ISBN-10 values saved before ISBNs were normalized.
+const findByIsbnVariants = (client, variants) =>
+  client.$queryRaw`
+    SELECT biblionumber, title, author, isbn FROM biblio
+    WHERE upper(regexp_replace(coalesce(isbn, ''), '[^0-9Xx]', '', 'g')) = ANY(${variants}::text[])
+    ORDER BY biblionumber
+  `;
+
+const findIdsByIsbn = async (client, isbn) => {
+  const variants = isbnVariants(isbn);
+  if (!variants.length) {
+    return [];
+  }
+  const rows = await findByIsbnVariants(client, variants);
+  return rows.map((row) => row.biblionumber);
+};
+
+const assertIsbnAvailable = async (client, isbn, biblionumber) => {
+  if (!isbn) {
+    return;
+  }
+  const conflict = (await findIdsByIsbn(client, isbn)).find((id) => id !== biblionumber);
+  if (conflict) {
+    throw new ApiError(409, `ISBN already used by bibliographic record ${conflict}`);
+  }
+};
+
+const normalizeIsbn = (isbn) => (isbn ? toIsbn13(isbn) ?? cleanIsbn(isbn) : isbn);
+
+export const getBiblioByIsbn = async (isbn) => {
+  const [biblionumber] = await findIdsByIsbn(prisma, isbn);
+  if (!biblionumber) {
+    throw new ApiError(404, 'Bibliographic record not found');
+  }
+  return getBiblio(biblionumber);
+};
+
 export const createBiblio = async (payload) => {
   const data = {
     title: payload.title,
     subtitle: payload.subtitle,
     author: payload.author,
-    isbn: payload.isbn,
+    isbn: normalizeIsbn(payload.isbn),
     publisher: payload.publisher,
     publicationyear: payload.publicationyear,
     itemtype: payload.itemtype,
@@ -64,7 +113,12 @@ export const createBiblio = async (payload) => {
     abstract: payload.abstract
   };
 
-  return prisma.biblio.create({ data });
+  return prisma.$transaction(async (tx) => {
+    await assertIsbnAvailable(tx, data.isbn);
+    const biblio = await tx.biblio.create({ data });
+    await recordAudit(tx, { action: 'create', entityType: 'biblio', entityId: biblio.biblionumber, after: biblio });
+    return biblio;
+  });
 };
 
 export const updateBiblio = async (id, payload) => {
@@ -73,7 +127,7 @@ export const updateBiblio = async (id, payload) => {
       title: payload.title,
       subtitle: payload.subtitle,
       author: payload.author,
-      isbn: payload.isbn,
+      isbn: normalizeIsbn(payload.isbn),
       publisher: payload.publisher,
       publicationyear: payload.publicationyear,
       itemtype: payload.itemtype,
@@ -82,9 +136,15 @@ export const updateBiblio = async (id, payload) => {
       updated_at: new Date()
     };
 
-    return await prisma.biblio.update({
-      where: { biblionumber: id },
-      data
+    return await prisma.$transaction(async (tx) => {
+      await assertIsbnAvailable(tx, data.isbn, id);
+      const existing = await tx.biblio.findUnique({ where: { biblionumber: id } });
+      const biblio = await tx.biblio.update({
+        where: { biblionumber: id },
+        data
+      });
+      await recordAudit(tx, { action: 'update', entityType: 'biblio', entityId: id, before: existing, after: biblio });
+      return biblio;
     });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -94,14 +154,384 @@ export const updateBiblio = async (id, payload) => {
   }
 };
 
+// Deleting a record deletes its items and holds with it, so it is refused while
+// any copy is on loan, held or owes fines. It is also refused while any copy,
+// withdrawn or not, or any past hold on the record carries history: the cascade
+// would orphan old loans and fines and drop the holds. Such a record can only be
+// merged into another one, which keeps its copies and holds.
 export const deleteBiblio = async (id) => {
+  await prisma.$transaction(async (tx) => {
+    const biblio = await tx.biblio.findUnique({ where: { biblionumber: id } });
+    if (!biblio) {
+      throw new ApiError(404, 'Bibliographic record not found');
+    }
+
+    const blockers = await findRemovalBlockers(tx, { biblionumber: id });
+    const withHistory = await findItemsWithHistory(tx, { biblionumber: id });
+    withHistory.forEach(({ itemnumber, barcode }) => {
+      blockers.push({
+        reason: 'history',
+        itemnumber,
+        barcode,
+        message: `Copy ${barcode} has circulation history; merge the record into another one to keep it`
+      });
+    });
+    const pastHolds = await tx.reserve.findMany({
+      where: { biblionumber: id, itemnumber: null, OR: [{ cancellationdate: { not: null } }, { found: 'P' }] },
+      select: { reserve_id: true },
+      orderBy: { reserve_id: 'asc' }
+    });
+    if (pastHolds.length) {
+      blockers.push({
+        reason: 'history',
+        reserve_ids: pastHolds.map((hold) => hold.reserve_id),
+        message: `${pastHolds.length} past hold(s) on this record; merge the record into another one to keep them`
+      });
+    }
+    if (blockers.length) {
+      throw new ApiError(409, 'Bibliographic record cannot be deleted', blockers);
+    }
+
+    await tx.biblio.delete({ where: { biblionumber: id } });
+    await recordAudit(tx, { action: 'delete', entityType: 'biblio', entityId: id, before: biblio });
+  });
+  return true;
+};
+
+const MERGE_FIELDS = ['subtitle', 'author', 'isbn', 'publisher', 'publicationyear', 'itemtype', 'notes', 'abstract'];
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Moves the items and holds of the source records onto the target, fills the
+// target's empty fields from the sources (in the order given) and deletes the
+// sources, all in one transaction. A borrower holding both titles keeps only
+// their earliest pending hold; the merged queue keeps each record's priorities,
+// ranking holds at the same position by the date they were placed.
+export const mergeBiblios = async (targetId, sourceIds) => {
+  const ids = [...new Set(sourceIds)];
+  if (ids.includes(targetId)) {
+    throw new ApiError(400, 'A record cannot be merged into itself');
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    const target = await tx.biblio.findUnique({ where: { biblionumber: targetId } });
+    if (!target) {
+      throw new ApiError(404, 'Bibliographic record not found');
+    }
+    const found = await tx.biblio.findMany({ where: { biblionumber: { in: ids } } });
+    const sources = ids.map((id) => found.find((biblio) => biblio.biblionumber === id));
+    const missing = ids.filter((id, index) => !sources[index]);
+    if (missing.length) {
+      throw new ApiError(404, `Source records not found: ${missing.join(', ')}`);
+    }
+
+    const fills = Object.fromEntries(
+      MERGE_FIELDS.filter((field) => isEmpty(target[field]))
+        .map((field) => [field, sources.find((source) => !isEmpty(source[field]))?.[field]])
+        .filter(([, value]) => !isEmpty(value))
+    );
+
+    const items = await tx.item.updateMany({ where: { biblionumber: { in: ids } }, data: { biblionumber: targetId } });
+    const reserves = await tx.reserve.updateMany({
+      where: { biblionumber: { in: ids } },
+      data: { biblionumber: targetId }
+    });
+
+    const pending = await tx.reserve.findMany({
+      where: { biblionumber: targetId, cancellationdate: null, found: null },
+      orderBy: [{ reservedate: 'asc' }, { reserve_id: 'asc' }]
+    });
+    const holders = new Set();
+    const duplicateHolds = pending.filter((reserve) => {
+      if (holders.has(reserve.borrowernumber)) return true;
+      holders.add(reserve.borrowernumber);
+      return false;
+    });
+    for (const reserve of duplicateHolds) {
+      const note = `Cancelled: duplicate hold after merge into record ${targetId}`;
+      const cancelled = await tx.reserve.update({
+        where: { reserve_id: reserve.reserve_id },
+        data: { cancellationdate: new Date(), notes: reserve.notes ? `${reserve.notes}\n${note}` : note }
+      });
+      await recordAudit(tx, {
+        action: 'cancel',
+        entityType: 'reserve',
+        entityId: reserve.reserve_id,
+        before: reserve,
+        after: cancelled
+      });
+    }
+    await resequenceReserves(tx, targetId);
+
+    await tx.biblio.deleteMany({ where: { biblionumber: { in: ids } } });
+    for (const source of sources) {
+      await recordAudit(tx, {
+        action: 'merge',
+        entityType: 'biblio',
+        entityId: source.biblionumber,
+        before: source,
+        after: { merged_into: targetId }
+      });
+    }
+
+    const merged = await tx.biblio.update({
+      where: { biblionumber: targetId },
+      data: { ...fills, updated_at: new Date() }
+    });
+    await recordAudit(tx, { action: 'merge', entityType: 'biblio', entityId: targetId, before: target, after: merged });
+
+    return {
+      merged_ids: ids,
+      filled_fields: Object.keys(fills),
+      items_moved: items.count,
+      reserves_moved: reserves.count,
+      reserves_cancelled: duplicateHolds.map((reserve) => reserve.reserve_id)
+    };
+  });
+
+  return { biblio: await getBiblio(targetId), ...result };
+};
+
+const DUPLICATE_FIELDS = {
+  biblionumber: true,
+  title: true,
+  author: true,
+  isbn: true,
+  publisher: true,
+  publicationyear: true,
+  _count: { select: { items: true } }
+};
+
+// Probable duplicates, for review before merging. Records sharing an ISBN in
+// any form are grouped together; records with similar titles (and authors, when
+// both have one) are reported in pairs unless both carry an ISBN, in which case
+// they are either in an ISBN group already or different editions.
+export const findDuplicateBiblios = async ({ minSimilarity = 0.6, limit = 100 } = {}) => {
+  const withIsbn = await prisma.biblio.findMany({
+    where: { isbn: { not: null } },
+    select: { biblionumber: true, isbn: true },
+    orderBy: { biblionumber: 'asc' }
+  });
+  const groups = new Map();
+  withIsbn.forEach(({ biblionumber, isbn }) => {
+    const key = normalizeIsbn(isbn);
+    groups.set(key, [...(groups.get(key) ?? []), biblionumber]);
+  });
+  const isbnGroups = [...groups].filter(([, ids]) => ids.length > 1).slice(0, limit);
+
+  const pairs = await prisma.$queryRaw`
+    SELECT
+      a.biblionumber AS first,
+      b.biblionumber AS second,
+      similarity(a.title, b.title)::float8 AS title_similarity,
+      similarity(a.author, b.author)::float8 AS author_similarity
+    FROM biblio a
+    JOIN biblio b ON b.biblionumber > a.biblionumber AND b.title % a.title
+    WHERE similarity(a.title, b.title) >= ${minSimilarity}
+      AND (a.author IS NULL OR b.author IS NULL OR similarity(a.author, b.author) >= ${minSimilarity})
+      AND (a.isbn IS NULL OR b.isbn IS NULL)
+    ORDER BY
+      similarity(a.title, b.title) + coalesce(similarity(a.author, b.author), 0) DESC,
+      a.biblionumber,
+      b.biblionumber
+    LIMIT ${limit}
+  `;
+
+  const ids = [
+    ...new Set([...isbnGroups.flatMap(([, group]) => group), ...pairs.flatMap((pair) => [pair.first, pair.second])])
+  ];
+  const records = new Map(
+    (await prisma.biblio.findMany({ where: { biblionumber: { in: ids } }, select: DUPLICATE_FIELDS })).map(
+      ({ _count: count, ...biblio }) => [biblio.biblionumber, { ...biblio, items: count.items }]
+    )
+  );
+  const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+  return {
+    isbn_matches: isbnGroups.map(([isbn, group]) => ({ isbn, records: group.map((id) => records.get(id)) })),
+    similar_records: pairs.map((pair) => ({
+      title_similarity: round(pair.title_similarity),
+      author_similarity: round(pair.author_similarity),
+      records: [records.get(pair.first), records.get(pair.second)]
+    }))
+  };
+};
+
+const MARC_FORMATS = {
+  marcxml: { contentType: 'application/marcxml+xml', extension: 'xml', serialize: serializeMarcXml },
+  iso2709: { contentType: 'application/marc', extension: 'mrc', serialize: serializeIso2709 }
+};
+
+// Largest value of the Decimal(10, 2) price columns
+const MAX_PRICE = 99999999.99;
+
+const hasPriceOutOfRange = (item) =>
+  [item.price, item.replacementprice].some(
+    (value) => value !== undefined && !(Number.isFinite(value) && value <= MAX_PRICE)
+  );
+
+const reportItems = (items, { withItems, knownBarcodes }) => {
+  if (!withItems) {
+    return { accepted: [], skipped: [] };
+  }
+
+  const accepted = [];
+  const skipped = [];
+  items.forEach((item) => {
+    if (!item.barcode) {
+      skipped.push({ barcode: null, reason: 'Missing barcode (952$p)' });
+    } else if (knownBarcodes.has(item.barcode)) {
+      skipped.push({ barcode: item.barcode, reason: 'Barcode already exists' });
+    } else if (hasPriceOutOfRange(item)) {
+      skipped.push({ barcode: item.barcode, reason: 'Price out of range (952$g/$v)' });
+    } else {
+      knownBarcodes.add(item.barcode);
+      accepted.push(item);
+    }
+  });
+  return { accepted, skipped };
+};
+
+const importRecord = async (biblio, items) =>
+  prisma.$transaction(async (tx) => {
+    await assertIsbnAvailable(tx, biblio.isbn);
+    const created = await tx.biblio.create({ data: biblio });
+    await recordAudit(tx, { action: 'import', entityType: 'biblio', entityId: created.biblionumber, after: created });
+
+    for (const payload of items) {
+      const item = await tx.item.create({ data: { ...payload, biblionumber: created.biblionumber } });
+      await recordAudit(tx, { action: 'import', entityType: 'item', entityId: item.itemnumber, after: item });
+    }
+
+    return created;
+  });
+
+// Imports MARC21 (ISO 2709) or MARCXML records. Records whose ISBN already
+// exists in the catalogue in any form, or appeared earlier in the same file, are
+// reported as duplicates and skipped. With `dryRun` nothing is written and the report shows
+// what an import would do.
+export const importMarcRecords = async (payload, { dryRun = false, withItems = false, itemtype } = {}) => {
+  let records;
   try {
-    await prisma.biblio.delete({ where: { biblionumber: id } });
-    return true;
+    records = parseMarc(payload);
   } catch (error) {
-    if (error.code === 'P2025') {
-      throw new ApiError(404, 'Bibliographic record not found');
+    throw new ApiError(400, `Unable to parse MARC file: ${error.message}`);
+  }
+
+  if (!records.length) {
+    throw new ApiError(400, 'No MARC records found');
+  }
+
+  const mapped = records.map(marcToBiblio).map(({ biblio, items }) => ({
+    biblio: { ...biblio, isbn: toIsbn13(biblio.isbn) ?? undefined },
+    items,
+    sourceIsbn: biblio.isbn
+  }));
+  const isbns = [...new Set(mapped.map(({ biblio }) => biblio.isbn).filter(Boolean))];
+  const barcodes = withItems ? mapped.flatMap(({ items }) => items.map((item) => item.barcode).filter(Boolean)) : [];
+
+  const [matches, itemTypes, existingItems] = await Promise.all([
+    isbns.length ? findByIsbnVariants(prisma, isbns.flatMap(isbnVariants)) : [],
+    prisma.itemType.findMany({ select: { itemtype: true } }),
+    prisma.item.findMany({ where: { barcode: { in: barcodes } }, select: { barcode: true } })
+  ]);
+
+  const validItemTypes = new Set(itemTypes.map((type) => type.itemtype));
+  const knownBarcodes = new Set(existingItems.map((item) => item.barcode));
+  const seenIsbns = new Map();
+  const report = [];
+
+  for (const [index, { biblio, items, sourceIsbn }] of mapped.entries()) {
+    const entry = { record: index + 1, title: biblio.title ?? null, isbn: biblio.isbn ?? null, warnings: [] };
+    report.push(entry);
+    if (sourceIsbn && !biblio.isbn) {
+      entry.warnings.push(`Invalid ISBN ${sourceIsbn} ignored`);
+    }
+
+    if (!biblio.title) {
+      Object.assign(entry, { status: 'invalid', reason: 'Missing title (245$a)' });
+      continue;
+    }
+
+    const match = biblio.isbn && matches.find((candidate) => toIsbn13(candidate.isbn) === biblio.isbn);
+    if (match) {
+      Object.assign(entry, { status: 'duplicate', match });
+      continue;
+    }
+    if (biblio.isbn && seenIsbns.has(biblio.isbn)) {
+      Object.assign(entry, { status: 'duplicate', duplicate_of_record: seenIsbns.get(biblio.isbn) });
+      continue;
+    }
+    if (biblio.isbn) {
+      seenIsbns.set(biblio.isbn, entry.record);
+    }
+
+    const recordType = biblio.itemtype ?? itemtype;
+    if (recordType && !validItemTypes.has(recordType)) {
+      entry.warnings.push(`Unknown item type ${recordType} ignored`);
+    }
+    const data = { ...biblio, itemtype: validItemTypes.has(recordType) ? recordType : undefined };
+
+    const { accepted, skipped } = reportItems(items, { withItems, knownBarcodes });
+    entry.items = { accepted: accepted.length, skipped };
+
+    if (dryRun) {
+      entry.status = 'new';
+      continue;
+    }
+
+    try {
+      const created = await importRecord(data, accepted);
+      Object.assign(entry, { status: 'created', biblionumber: created.biblionumber });
+    } catch (error) {
+      if (error instanceof ApiError && error.statusCode === 409) {
+        Object.assign(entry, { status: 'duplicate', reason: error.message });
+      } else if (error.code === 'P2002') {
+        Object.assign(entry, { status: 'duplicate', reason: 'ISBN or barcode already exists' });
+      } else if (
+        error instanceof Prisma.PrismaClientKnownRequestError ||
+        error instanceof Prisma.PrismaClientValidationError
+      ) {
+        // Each record commits on its own, so one bad record must not abort the
+        // report for those already imported
+        const reason = `Record could not be saved (${error.code ?? 'invalid data'})`;
+        Object.assign(entry, { status: 'invalid', reason });
+      } else {
+        throw error;
+      }
     }
-    throw error;
   }
+
+  const imported = report.filter((entry) => entry.status === (dryRun ? 'new' : 'created'));
+  const count = (status) => report.filter((entry) => entry.status === status).length;
+  return {
+    dry_run: dryRun,
+    summary: {
+      total: report.length,
+      [dryRun ? 'new' : 'created']: imported.length,
+      duplicate: count('duplicate'),
+      invalid: count('invalid'),
+      items: imported.reduce((total, entry) => total + entry.items.accepted, 0)
+    },
+    records: report
+  };
+};
+
+// Exports the selected records (explicit ids, or the same filters as the
+// catalogue search) with their items as 952 holdings.
+export const exportMarcRecords = async ({ ids, search, itemtype, format = 'marcxml' }) => {
+  const where = ids ? { biblionumber: { in: ids } } : buildBiblioWhere({ search, itemtype });
+  const biblios = await prisma.biblio.findMany({
+    where,
+    include: { items: { orderBy: { itemnumber: 'asc' } } },
+    orderBy: { biblionumber: 'asc' }
+  });
+
+  const { contentType, extension, serialize } = MARC_FORMATS[format];
+  return {
+    contentType,
+    filename: `biblio-export.${extension}`,
+    content: serialize(biblios.map(biblioToMarc)),
+    count: biblios.length
+  };
 };
@@ -1,10 +1,42 @@
 import bcrypt from 'bcryptjs';
+import { validationResult } from 'express-validator';
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
 import { config } from '../config/env.js';
 import { buildPagination, buildMeta } from '../utils/pagination.js';
+import { missingPermissions } from '../utils/permissions.js';
+import { parseCsv } from '../utils/csv.js';
+import { createBorrowerValidator, updateBorrowerValidator } from '../validators/borrowerValidators.js';
+import { recordAudit } from './auditService.js';
 
-const sanitize = ({ password, staff_notes, ...rest }) => rest;
+const sanitize = ({ password, staff_notes, token_version, ...rest }) => rest;
+
+// Staff may only hand out permissions they hold themselves, whether directly
+// or through the role being assigned.
+const assertCanGrant = (actor, { role, permissions }) => {
+  if (!actor) {
+    return;
+  }
+
+  const missing = missingPermissions(actor, { role, permissions });
+  if (missing.length > 0) {
+    throw new ApiError(403, `You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+  }
+};
+
+// Likewise staff may only change, delete, unlock or sign out accounts whose
+// permissions they hold themselves, so they cannot take over a stronger account
+// by resetting its password or email.
+export const assertCanManage = (actor, borrower) => {
+  if (!actor) {
+    return;
+  }
+
+  const missing = missingPermissions(actor, borrower);
+  if (missing.length > 0) {
+    throw new ApiError(403, `You cannot manage an account with permissions you do not hold: ${missing.join(', ')}`);
+  }
+};
 
 export const listBorrowers = async ({ page = 1, limit = 20, search, sort = 'created_at:desc' }) => {
   const { skip } = buildPagination({ page, limit });
@@ -54,95 +86,158 @@ export const getBorrower = async (id) => {
   return sanitize(borrower);
 };
 
-export const createBorrower = async ({
-  cardnumber,
-  fullName,
-  email,
-  password,
-  categorycode,
-  role = 'MEMBER'
-}) => {
-  const existing = await prisma.borrower.findUnique({ where: { cardnumber } });
+const assertCategoryExists = async (client, categorycode) => {
+  const category = await client.category.findUnique({ where: { categorycode } });
+  if (!category) {
+    throw new ApiError(422, `Category ${categorycode} not found`);
+  }
+};
+
+// Checks and writes shared by the single-record endpoints and the CSV import.
+// `password` must already be hashed so that no bcrypt work happens while a
+// transaction is open.
+const insertBorrower = async (
+  client,
+  {
+    cardnumber,
+    fullName,
+    preferredName,
+    email,
+    password,
+    categorycode,
+    phone,
+    address,
+    dateexpiry,
+    role = 'MEMBER',
+    permissions = []
+  },
+  actor
+) => {
+  assertCanGrant(actor, { role, permissions });
+
+  const existing = await client.borrower.findUnique({ where: { cardnumber } });
   if (existing) {
     throw new ApiError(409, 'Card number already exists');
   }
   if (email) {
-    const emailExists = await prisma.borrower.findUnique({ where: { email } });
+    const emailExists = await client.borrower.findUnique({ where: { email } });
     if (emailExists) {
       throw new ApiError(409, 'Email already registered');
     }
   }
 
-  const category = await prisma.category.findUnique({ where: { categorycode } });
-  if (!category) {
-    throw new ApiError(422, `Category ${categorycode} not found`);
-  }
+  await assertCategoryExists(client, categorycode);
 
-  const hashed = await bcrypt.hash(password, config.bcryptSaltRounds);
-
-  const borrower = await prisma.borrower.create({
+  const created = await client.borrower.create({
     data: {
       cardnumber,
       full_name: fullName,
+      preferred_name: preferredName,
       email,
-      password: hashed,
+      password,
       categorycode,
-      role
+      phone,
+      address,
+      dateexpiry,
+      role,
+      permissions
     },
     include: { category: true }
   });
-
-  return sanitize(borrower);
+  const { category: _category, ...record } = created;
+  await recordAudit(client, {
+    action: 'create',
+    entityType: 'borrower',
+    entityId: created.borrowernumber,
+    after: record
+  });
+  return created;
 };
 
-export const updateBorrower = async (id, payload) => {
-  const borrower = await prisma.borrower.findUnique({ where: { borrowernumber: id } });
+const applyBorrowerUpdate = async (client, id, payload, actor) => {
+  const borrower = await client.borrower.findUnique({ where: { borrowernumber: id } });
   if (!borrower) {
     throw new ApiError(404, 'Borrower not found');
   }
+  assertCanManage(actor, borrower);
+
+  if (payload.role || payload.permissions) {
+    assertCanGrant(actor, {
+      role: payload.role ?? borrower.role,
+      permissions: payload.permissions ?? borrower.permissions
+    });
+  }
 
   if (payload.email && payload.email !== borrower.email) {
-    const emailExists = await prisma.borrower.findUnique({ where: { email: payload.email } });
+    const emailExists = await client.borrower.findUnique({ where: { email: payload.email } });
     if (emailExists && emailExists.borrowernumber !== id) {
       throw new ApiError(409, 'Email already registered');
     }
   }
 
   if (payload.cardnumber && payload.cardnumber !== borrower.cardnumber) {
-    const cardExists = await prisma.borrower.findUnique({ where: { cardnumber: payload.cardnumber } });
+    const cardExists = await client.borrower.findUnique({ where: { cardnumber: payload.cardnumber } });
     if (cardExists && cardExists.borrowernumber !== id) {
       throw new ApiError(409, 'Card number already exists');
     }
   }
 
+  if (payload.categorycode && payload.categorycode !== borrower.categorycode) {
+    await assertCategoryExists(client, payload.categorycode);
+  }
+
   const data = {};
   if (payload.fullName) data.full_name = payload.fullName;
   if (payload.preferredName !== undefined) data.preferred_name = payload.preferredName;
   if (payload.email) data.email = payload.email;
   if (payload.phone !== undefined) data.phone = payload.phone;
   if (payload.address !== undefined) data.address = payload.address;
+  if (payload.categorycode) data.categorycode = payload.categorycode;
   if (payload.dateexpiry) data.dateexpiry = payload.dateexpiry;
   if (payload.debarred) data.debarred = payload.debarred;
   if (payload.role) data.role = payload.role;
+  if (payload.permissions) data.permissions = payload.permissions;
   if (payload.cardnumber) data.cardnumber = payload.cardnumber;
-  if (payload.password) {
-    data.password = await bcrypt.hash(payload.password, config.bcryptSaltRounds);
-  }
+  if (payload.password) data.password = payload.password;
 
-  const updated = await prisma.borrower.update({
+  const record = await client.borrower.update({
     where: { borrowernumber: id },
     data,
     include: { category: true }
   });
+  await recordAudit(client, {
+    action: 'update',
+    entityType: 'borrower',
+    entityId: id,
+    before: borrower,
+    after: record
+  });
+  if (data.password) {
+    await recordAudit(client, { action: 'password_set', entityType: 'borrower', entityId: id });
+  }
+  return record;
+};
 
+const hashPassword = (password) => (password ? bcrypt.hash(password, config.bcryptSaltRounds) : undefined);
+
+export const createBorrower = async (payload, actor) => {
+  const password = await hashPassword(payload.password);
+  const borrower = await prisma.$transaction((tx) => insertBorrower(tx, { ...payload, password }, actor));
+  return sanitize(borrower);
+};
+
+export const updateBorrower = async (id, payload, actor) => {
+  const password = await hashPassword(payload.password);
+  const updated = await prisma.$transaction((tx) => applyBorrowerUpdate(tx, id, { ...payload, password }, actor));
   return sanitize(updated);
 };
 
-export const deleteBorrower = async (id) => {
+export const deleteBorrower = async (id, actor) => {
   const borrower = await prisma.borrower.findUnique({ where: { borrowernumber: id } });
   if (!borrower) {
     throw new ApiError(404, 'Borrower not found');
   }
+  assertCanManage(actor, borrower);
 
   const activeIssue = await prisma.issue.findFirst({ where: { borrowernumber: id, returndate: null } });
   if (activeIssue) {
@@ -160,6 +255,190 @@ export const deleteBorrower = async (id) => {
     throw new ApiError(409, 'Borrower has active holds');
   }
 
-  await prisma.borrower.delete({ where: { borrowernumber: id } });
+  await prisma.$transaction(async (tx) => {
+    await tx.borrower.delete({ where: { borrowernumber: id } });
+    await recordAudit(tx, { action: 'delete', entityType: 'borrower', entityId: id, before: borrower });
+  });
   return true;
 };
+
+const IMPORT_COLUMNS = new Set([
+  'cardnumber',
+  'fullName',
+  'preferredName',
+  'email',
+  'password',
+  'categorycode',
+  'phone',
+  'address',
+  'dateexpiry',
+  'role',
+  'permissions'
+]);
+const IMPORT_TRANSACTION_TIMEOUT_MS = 60000;
+
+// Headers may use either the API names (fullName) or the column names (full_name).
+const toColumnName = (header) => header.trim().replace(/_([a-z])/g, (_match, letter) => letter.toUpperCase());
+
+const readBorrowerCsv = (csv) => {
+  let records;
+  try {
+    records = parseCsv(csv);
+  } catch (error) {
+    throw new ApiError(400, `Unable to parse CSV: ${error.message}`);
+  }
+
+  const [header, ...rows] = records;
+  const columns = header?.cells.map(toColumnName) ?? [];
+  if (!columns.includes('cardnumber')) {
+    throw new ApiError(400, 'CSV header must include a cardnumber column');
+  }
+  const unknown = header.cells.filter((_cell, index) => !IMPORT_COLUMNS.has(columns[index]));
+  if (unknown.length) {
+    throw new ApiError(400, `Unknown CSV columns: ${unknown.join(', ')}`);
+  }
+  if (!rows.length) {
+    throw new ApiError(400, 'CSV file has no borrower rows');
+  }
+
+  // Empty cells are left out so they fall back to defaults (create) or keep
+  // the current value (update); permissions are separated by semicolons.
+  return rows.map(({ line, cells }) => {
+    const payload = {};
+    columns.forEach((column, index) => {
+      const value = cells[index]?.trim();
+      if (!value) return;
+      payload[column] = column === 'permissions' ? value.split(';').map((entry) => entry.trim()) : value;
+    });
+    return { line, payload };
+  });
+};
+
+// Runs the same express-validator chains as the single-record endpoints.
+const validateBorrowerRow = async (payload, existing) => {
+  const req = { body: { ...payload }, params: existing ? { id: String(existing.borrowernumber) } : {} };
+  const chains = existing ? updateBorrowerValidator : createBorrowerValidator;
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  const errors = validationResult(req)
+    .array()
+    .map((error) => ({ field: error.path, message: error.msg }));
+  return { errors, payload: req.body };
+};
+
+const importRow = async (client, { existing, payload }, actor) => {
+  if (existing) {
+    const borrower = await applyBorrowerUpdate(client, existing.borrowernumber, payload, actor);
+    return { status: 'updated', borrowernumber: borrower.borrowernumber };
+  }
+  const borrower = await insertBorrower(client, payload, actor);
+  return { status: 'created', borrowernumber: borrower.borrowernumber };
+};
+
+const rowFailure = (error) => {
+  if (!(error instanceof ApiError)) {
+    throw error;
+  }
+  return { status: 'failed', errors: [{ message: error.message }] };
+};
+
+const summarizeImport = (rows) => {
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return {
+    total: rows.length,
+    created: count('created'),
+    updated: count('updated'),
+    failed: count('failed'),
+    skipped: count('skipped')
+  };
+};
+
+// Creates or updates borrowers (matched by cardnumber) from a CSV file. In
+// `transaction` mode any failing row rolls back the whole file; in `row` mode
+// each row is saved on its own and failures are only reported.
+export const importBorrowers = async (csv, { mode = 'transaction', actor } = {}) => {
+  const rows = readBorrowerCsv(csv);
+  const cardnumbers = rows.map(({ payload }) => payload.cardnumber).filter(Boolean);
+  const existing = await prisma.borrower.findMany({
+    where: { cardnumber: { in: cardnumbers } },
+    select: { borrowernumber: true, cardnumber: true }
+  });
+
+  const seen = new Map();
+  const prepared = [];
+  for (const { line, payload } of rows) {
+    const match = existing.find((borrower) => borrower.cardnumber === payload.cardnumber);
+    const result = await validateBorrowerRow(payload, match);
+    const firstRow = seen.get(payload.cardnumber);
+    if (firstRow) {
+      result.errors.push({ field: 'cardnumber', message: `Card number repeats row ${firstRow}` });
+    } else if (payload.cardnumber) {
+      seen.set(payload.cardnumber, line);
+    }
+
+    prepared.push({
+      row: line,
+      cardnumber: payload.cardnumber ?? null,
+      existing: match,
+      errors: result.errors,
+      payload: result.errors.length
+        ? result.payload
+        : { ...result.payload, password: await hashPassword(result.payload.password) }
+    });
+  }
+
+  const report = (entry, outcome) => ({ row: entry.row, cardnumber: entry.cardnumber, ...outcome });
+
+  if (mode === 'row') {
+    const results = [];
+    for (const entry of prepared) {
+      if (entry.errors.length) {
+        results.push(report(entry, { status: 'failed', errors: entry.errors }));
+        continue;
+      }
+      try {
+        results.push(report(entry, await prisma.$transaction((tx) => importRow(tx, entry, actor))));
+      } catch (error) {
+        results.push(report(entry, rowFailure(error)));
+      }
+    }
+    return { mode, summary: summarizeImport(results), rows: results };
+  }
+
+  const abort = (results) => {
+    const skipped = results.map((row) => (row.status === 'failed' ? row : { ...row, status: 'skipped' }));
+    const failed = skipped.filter((row) => row.status === 'failed').length;
+    return new ApiError(422, `${failed} of ${rows.length} rows failed; no borrowers were imported`, {
+      summary: summarizeImport(skipped),
+      rows: skipped
+    });
+  };
+
+  if (prepared.some((entry) => entry.errors.length)) {
+    const outcomes = prepared.map((entry) =>
+      report(entry, entry.errors.length ? { status: 'failed', errors: entry.errors } : { status: 'skipped' })
+    );
+    throw abort(outcomes);
+  }
+
+  const results = await prisma.$transaction(
+    async (tx) => {
+      const outcomes = [];
+      for (const entry of prepared) {
+        try {
+          outcomes.push(report(entry, await importRow(tx, entry, actor)));
+        } catch (error) {
+          outcomes.push(report(entry, rowFailure(error)));
+        }
+      }
+      if (outcomes.some((row) => row.status === 'failed')) {
+        throw abort(outcomes);
+      }
+      return outcomes;
+    },
+    { timeout: IMPORT_TRANSACTION_TIMEOUT_MS }
+  );
+
+  return { mode, summary: summarizeImport(results), rows: results };
+};
@@ -0,0 +1,95 @@
+import prisma from '../prisma.js';
+import { ApiError } from '../utils/apiError.js';
+import { startOfDay } from '../utils/date.js';
+import { createCalendar, parseClosedWeekdays } from '../utils/calendar.js';
+import { getSystemPreference } from './systemPreferenceService.js';
+import { recordAudit } from './auditService.js';
+
+export const listHolidays = async ({ from, to } = {}) => {
+  const range = {};
+  if (from) range.gte = startOfDay(from);
+  if (to) range.lte = startOfDay(to);
+
+  return prisma.holiday.findMany({
+    where: Object.keys(range).length
+      ? { OR: [{ holiday_date: range }, { repeat_yearly: true }] }
+      : undefined,
+    orderBy: { holiday_date: 'asc' }
+  });
+};
+
+export const createHoliday = async ({ date, description, repeat_yearly: repeatYearly = false }) => {
+  const holidayDate = startOfDay(date);
+  const existing = await prisma.holiday.findUnique({ where: { holiday_date: holidayDate } });
+  if (existing) {
+    throw new ApiError(409, 'A holiday already exists on this date');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const holiday = await tx.holiday.create({
+      data: {
+        holiday_date: holidayDate,
+        description,
+        repeat_yearly: repeatYearly
+      }
+    });
+    await recordAudit(tx, { action: 'create', entityType: 'holiday', entityId: holiday.holiday_id, after: holiday });
+    return holiday;
+  });
+};
+
+export const updateHoliday = async (id, payload) => {
+  const data = {};
+  if (payload.date) data.holiday_date = startOfDay(payload.date);
+  if (payload.description !== undefined) data.description = payload.description;
+  if (payload.repeat_yearly !== undefined) data.repeat_yearly = payload.repeat_yearly;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.holiday.findUnique({ where: { holiday_id: id } });
+      const holiday = await tx.holiday.update({ where: { holiday_id: id }, data });
+      await recordAudit(tx, {
+        action: 'update',
+        entityType: 'holiday',
+        entityId: id,
+        before: existing,
+        after: holiday
+      });
+      return holiday;
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new ApiError(404, 'Holiday not found');
+    }
+    if (error.code === 'P2002') {
+      throw new ApiError(409, 'A holiday already exists on this date');
+    }
+    throw error;
+  }
+};
+
+export const deleteHoliday = async (id) => {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const holiday = await tx.holiday.delete({ where: { holiday_id: id } });
+      await recordAudit(tx, { action: 'delete', entityType: 'holiday', entityId: id, before: holiday });
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new ApiError(404, 'Holiday not found');
+    }
+    throw error;
+  }
+};
+
+export const loadCalendar = async (tx, from = new Date()) => {
+  const closedWeekdays = parseClosedWeekdays(await getSystemPreference(tx, 'closed_weekdays', ''));
+  const holidays = await tx.holiday.findMany({
+    where: {
+      OR: [{ holiday_date: { gte: startOfDay(from) } }, { repeat_yearly: true }]
+    }
+  });
+
+  return createCalendar({ closedWeekdays, holidays });
+};
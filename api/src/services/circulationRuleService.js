@@ -0,0 +1,161 @@
+import prisma from '../prisma.js';
+import { ApiError } from '../utils/apiError.js';
+import { getSystemPreference } from './systemPreferenceService.js';
+import { recordAudit } from './auditService.js';
+
+export const WILDCARD = '*';
+
+const RULE_FIELDS = [
+  'loan_period_days',
+  'max_renewals',
+  'fine_per_day',
+  'fine_cap',
+  'cap_fine_to_replacement_price',
+  'max_checkouts'
+];
+
+const pickRuleFields = (payload) => {
+  const data = {};
+  RULE_FIELDS.forEach((field) => {
+    if (payload[field] !== undefined) data[field] = payload[field];
+  });
+  return data;
+};
+
+const assertScopeExists = async ({ categorycode, itemtype }) => {
+  if (categorycode && categorycode !== WILDCARD) {
+    const category = await prisma.category.findUnique({ where: { categorycode } });
+    if (!category) {
+      throw new ApiError(422, `Category ${categorycode} not found`);
+    }
+  }
+
+  if (itemtype && itemtype !== WILDCARD) {
+    const type = await prisma.itemType.findUnique({ where: { itemtype } });
+    if (!type) {
+      throw new ApiError(422, `Item type ${itemtype} not found`);
+    }
+  }
+};
+
+export const listRules = async () => {
+  return prisma.circulationRule.findMany({
+    orderBy: [{ categorycode: 'asc' }, { itemtype: 'asc' }]
+  });
+};
+
+export const createRule = async ({ categorycode = WILDCARD, itemtype = WILDCARD, ...payload }) => {
+  await assertScopeExists({ categorycode, itemtype });
+
+  const existing = await prisma.circulationRule.findUnique({
+    where: { categorycode_itemtype: { categorycode, itemtype } }
+  });
+  if (existing) {
+    throw new ApiError(409, `A rule for ${categorycode}/${itemtype} already exists`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const rule = await tx.circulationRule.create({
+      data: { categorycode, itemtype, ...pickRuleFields(payload) }
+    });
+    await recordAudit(tx, { action: 'create', entityType: 'circulation_rule', entityId: rule.rule_id, after: rule });
+    return rule;
+  });
+};
+
+export const updateRule = async (id, payload) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.circulationRule.findUnique({ where: { rule_id: id } });
+      const rule = await tx.circulationRule.update({
+        where: { rule_id: id },
+        data: { ...pickRuleFields(payload), updated_at: new Date() }
+      });
+      await recordAudit(tx, {
+        action: 'update',
+        entityType: 'circulation_rule',
+        entityId: id,
+        before: existing,
+        after: rule
+      });
+      return rule;
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new ApiError(404, 'Circulation rule not found');
+    }
+    throw error;
+  }
+};
+
+export const deleteRule = async (id) => {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const rule = await tx.circulationRule.delete({ where: { rule_id: id } });
+      await recordAudit(tx, { action: 'delete', entityType: 'circulation_rule', entityId: id, before: rule });
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new ApiError(404, 'Circulation rule not found');
+    }
+    throw error;
+  }
+};
+
+export const resolveCirculationRule = async (tx, { categorycode, itemtype }) => {
+  const candidates = [
+    { categorycode, itemtype },
+    { categorycode, itemtype: WILDCARD },
+    { categorycode: WILDCARD, itemtype },
+    { categorycode: WILDCARD, itemtype: WILDCARD }
+  ];
+
+  const rules = await tx.circulationRule.findMany({
+    where: {
+      categorycode: { in: [categorycode ?? WILDCARD, WILDCARD] },
+      itemtype: { in: [itemtype ?? WILDCARD, WILDCARD] }
+    }
+  });
+
+  const ordered = candidates
+    .map((scope) =>
+      rules.find(
+        (rule) =>
+          rule.categorycode === (scope.categorycode ?? WILDCARD) && rule.itemtype === (scope.itemtype ?? WILDCARD)
+      )
+    )
+    .filter(Boolean);
+
+  const resolved = {};
+  RULE_FIELDS.forEach((field) => {
+    const match = ordered.find((rule) => rule[field] !== null);
+    resolved[field] = match ? match[field] : null;
+    if (field === 'max_checkouts') {
+      resolved.max_checkouts_itemtype = match ? match.itemtype : null;
+    }
+  });
+
+  const category = categorycode
+    ? await tx.category.findUnique({ where: { categorycode } })
+    : null;
+
+  const fineCap = resolved.fine_cap ?? (await getSystemPreference(tx, 'overdue_fine_cap', ''));
+  const capToReplacement =
+    resolved.cap_fine_to_replacement_price ??
+    (await getSystemPreference(tx, 'cap_fine_to_replacement_price', 'false')) === 'true';
+
+  return {
+    categorycode: categorycode ?? null,
+    itemtype: itemtype ?? null,
+    loan_period_days: resolved.loan_period_days ?? category?.loan_period_days ?? 14,
+    max_renewals: resolved.max_renewals ?? Number(await getSystemPreference(tx, 'max_renewals', '3')),
+    fine_per_day: Number(resolved.fine_per_day ?? (await getSystemPreference(tx, 'fine_per_day', '0.25'))),
+    fine_cap: fineCap === '' || Number.isNaN(Number(fineCap)) ? null : Number(fineCap),
+    cap_fine_to_replacement_price: capToReplacement,
+    max_checkouts: resolved.max_checkouts,
+    max_checkouts_itemtype: resolved.max_checkouts_itemtype
+  };
+};
+
+export const getEffectiveRule = async (scope) => resolveCirculationRule(prisma, scope);
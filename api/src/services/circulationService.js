@@ -1,29 +1,150 @@
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
+import { hasPermission } from '../utils/permissions.js';
 import { buildPagination, buildMeta } from '../utils/pagination.js';
-
-const getLoanPeriodDays = (category) => category?.loan_period_days ?? 14;
+import { addDays } from '../utils/date.js';
+import { countOpenDays, nextOpenDay } from '../utils/calendar.js';
+import { getSystemPreference } from './systemPreferenceService.js';
+import { promoteNextReserve, resequenceReserves } from './reserveService.js';
+import { resolveCirculationRule, WILDCARD } from './circulationRuleService.js';
+import { loadCalendar } from './calendarService.js';
+import { recordAudit } from './auditService.js';
+import { calculateOverdueFine, describeOverdueFine, toMoney } from '../utils/fines.js';
+import { HOLD_SHELF_STATUS } from '../utils/itemStatus.js';
 
 const getMaxCheckoutCount = (category) => category?.max_checkout_count ?? 5;
 
-const getSystemPreference = async (tx, variable, fallback) => {
-  const pref = await tx.systemPreference.findUnique({ where: { variable } });
-  if (!pref || pref.value === null) return fallback;
-  return pref.value;
-};
+const itemWithTypeInclude = { biblio: { include: { itemType: true } } };
 
 const getItemByIdentifier = async (tx, { itemnumber, barcode }) => {
   if (itemnumber) {
-    return tx.item.findUnique({ where: { itemnumber } });
+    return tx.item.findUnique({ where: { itemnumber }, include: itemWithTypeInclude });
   }
   if (barcode) {
-    return tx.item.findUnique({ where: { barcode } });
+    return tx.item.findUnique({ where: { barcode }, include: itemWithTypeInclude });
   }
   return null;
 };
 
+const chargeRental = async (tx, { issue, item, accounttype }) => {
+  const rentalCharge = Number(item.biblio?.itemType?.rentalcharge ?? 0);
+  if (rentalCharge <= 0) return null;
+
+  const charge = await tx.accountLine.create({
+    data: {
+      borrowernumber: issue.borrowernumber,
+      itemnumber: item.itemnumber,
+      issue_id: issue.issue_id,
+      amount: rentalCharge,
+      amountoutstanding: rentalCharge,
+      description:
+        accounttype === 'RENT_RENEW'
+          ? `Rental charge for renewal of item ${item.barcode}`
+          : `Rental charge for item ${item.barcode}`,
+      accounttype,
+      status: 'open'
+    }
+  });
+  await recordAudit(tx, {
+    action: 'charge',
+    entityType: 'accountline',
+    entityId: charge.accountlines_id,
+    after: charge
+  });
+  return charge;
+};
+
+const getReplacementCost = (item) => {
+  if (item.replacementprice !== null && item.replacementprice !== undefined) {
+    return Number(item.replacementprice);
+  }
+  const defaultCost = item.biblio?.itemType?.defaultreplacecost;
+  return defaultCost !== null && defaultCost !== undefined ? Number(defaultCost) : null;
+};
+
+export const resolveIssueRule = async (tx, issue) => {
+  const [borrower, item] = await Promise.all([
+    tx.borrower.findUnique({
+      where: { borrowernumber: issue.borrowernumber },
+      select: { categorycode: true }
+    }),
+    tx.item.findUnique({
+      where: { itemnumber: issue.itemnumber },
+      select: { biblio: { select: { itemtype: true } } }
+    })
+  ]);
+
+  return resolveCirculationRule(tx, {
+    categorycode: borrower?.categorycode,
+    itemtype: item?.biblio?.itemtype
+  });
+};
+
+export const getOutstandingFines = async (tx, borrowernumber) => {
+  const outstandingAgg = await tx.accountLine.aggregate({
+    where: {
+      borrowernumber,
+      status: {
+        in: ['open', 'partially_paid']
+      }
+    },
+    _sum: { amountoutstanding: true }
+  });
+
+  return Number(outstandingAgg._sum.amountoutstanding ?? 0);
+};
+
+export const getBorrowerBlocks = async (tx, borrower, now = new Date()) => {
+  const blocks = [];
+
+  if (borrower.debarred && borrower.debarred >= now) {
+    blocks.push({
+      type: 'debarred',
+      message: `Borrower is debarred until ${borrower.debarred.toISOString().slice(0, 10)}`
+    });
+  }
+
+  if (borrower.dateexpiry && borrower.dateexpiry < now) {
+    blocks.push({ type: 'expired', message: 'Membership expired' });
+  }
+
+  const maxFineRaw = await getSystemPreference(tx, 'max_fine_allowed', '5.00');
+  const maxFine = Number(maxFineRaw);
+  if (!Number.isNaN(maxFine) && maxFine > 0) {
+    const outstanding = await getOutstandingFines(tx, borrower.borrowernumber);
+    if (outstanding >= maxFine) {
+      blocks.push({ type: 'fines', message: 'Borrower has outstanding fines exceeding limit' });
+    }
+  }
+
+  return blocks;
+};
+
+export const getRenewalBlock = async (tx, issue, rule = null) => {
+  const { max_renewals: maxRenewals } = rule ?? (await resolveIssueRule(tx, issue));
+
+  if (issue.renewals_count >= maxRenewals) {
+    return { type: 'too_many', message: `Maximum renewal limit (${maxRenewals}) reached` };
+  }
+
+  const conflictingReserve = await tx.reserve.findFirst({
+    where: {
+      itemnumber: issue.itemnumber,
+      borrowernumber: { not: issue.borrowernumber },
+      cancellationdate: null,
+      found: null,
+      suspended: false
+    }
+  });
+  if (conflictingReserve) {
+    return { type: 'on_reserve', message: 'Item is reserved for another patron' };
+  }
+
+  return null;
+};
+
 export const checkoutItem = async ({ borrowernumber, itemnumber, barcode }, actor) => {
-  if (actor && actor.role !== 'ADMIN' && actor.id !== borrowernumber) {
+  if (actor && !hasPermission(actor, 'circulate') && actor.id !== borrowernumber) {
     throw new ApiError(403, 'Members can only checkout items for themselves');
   }
 
@@ -36,31 +157,9 @@ export const checkoutItem = async ({ borrowernumber, itemnumber, barcode }, acto
       throw new ApiError(404, 'Borrower not found');
     }
 
-    if (borrower.debarred && borrower.debarred >= new Date()) {
-      throw new ApiError(403, `Borrower is debarred until ${borrower.debarred.toISOString().slice(0, 10)}`);
-    }
-
-    if (borrower.dateexpiry && borrower.dateexpiry < new Date()) {
-      throw new ApiError(403, 'Membership expired');
-    }
-
-    const maxFineRaw = await getSystemPreference(tx, 'max_fine_allowed', '5.00');
-    const maxFine = Number(maxFineRaw);
-    if (!Number.isNaN(maxFine) && maxFine > 0) {
-      const outstandingAgg = await tx.accountLine.aggregate({
-        where: {
-          borrowernumber,
-          status: {
-            in: ['open', 'partially_paid']
-          }
-        },
-        _sum: { amountoutstanding: true }
-      });
-
-      const outstanding = Number(outstandingAgg._sum.amountoutstanding ?? 0);
-      if (outstanding >= maxFine) {
-        throw new ApiError(403, 'Borrower has outstanding fines exceeding limit');
-      }
+    const [block] = await getBorrowerBlocks(tx, borrower);
+    if (block) {
+      throw new ApiError(403, block.message);
     }
 
     const item = await getItemByIdentifier(tx, { itemnumber, barcode });
@@ -72,7 +171,19 @@ export const checkoutItem = async ({ borrowernumber, itemnumber, barcode }, acto
       throw new ApiError(403, 'Item is marked as not for loan');
     }
 
-    if (item.status !== 'available') {
+    const itemType = item.biblio?.itemType;
+    if (itemType?.notforloan) {
+      throw new ApiError(403, `Item type ${itemType.itemtype} is not for loan`);
+    }
+
+    if (item.status === HOLD_SHELF_STATUS) {
+      const waitingHold = await tx.reserve.findFirst({
+        where: { itemnumber: item.itemnumber, found: 'W', cancellationdate: null }
+      });
+      if (waitingHold && waitingHold.borrowernumber !== borrowernumber) {
+        throw new ApiError(403, 'Item is on hold for another patron');
+      }
+    } else if (item.status !== 'available') {
       throw new ApiError(409, `Item is currently ${item.status}`);
     }
 
@@ -81,7 +192,8 @@ export const checkoutItem = async ({ borrowernumber, itemnumber, barcode }, acto
         itemnumber: item.itemnumber,
         borrowernumber: { not: borrowernumber },
         cancellationdate: null,
-        found: null
+        found: null,
+        suspended: false
       }
     });
     if (conflictingReserve) {
@@ -93,54 +205,53 @@ export const checkoutItem = async ({ borrowernumber, itemnumber, barcode }, acto
       throw new ApiError(403, 'Borrower reached maximum checkout limit');
     }
 
-    const loanPeriod = getLoanPeriodDays(borrower.category);
-    const dueDate = new Date();
-    dueDate.setDate(dueDate.getDate() + loanPeriod);
-
-    const existingIssue = await tx.issue.findUnique({ where: { itemnumber: item.itemnumber } });
-
-    let issue;
-    if (existingIssue && !existingIssue.returndate) {
-      throw new ApiError(409, 'Item already checked out');
-    }
+    const rule = await resolveCirculationRule(tx, {
+      categorycode: borrower.categorycode,
+      itemtype: item.biblio?.itemtype
+    });
 
-    if (existingIssue && existingIssue.returndate) {
-      issue = await tx.issue.update({
-        where: { issue_id: existingIssue.issue_id },
-        data: {
+    if (rule.max_checkouts !== null) {
+      const scopedType = rule.max_checkouts_itemtype !== WILDCARD ? rule.max_checkouts_itemtype : null;
+      const scopedCheckouts = await tx.issue.count({
+        where: {
           borrowernumber,
-          issuedate: new Date(),
-          date_due: dueDate,
           returndate: null,
-          renewals_count: 0,
-          lastreneweddate: null
-        },
-        include: {
-          borrower: {
-            select: { borrowernumber: true, full_name: true, email: true }
-          },
-          item: {
-            select: { itemnumber: true, barcode: true, biblionumber: true }
-          }
+          ...(scopedType ? { item: { biblio: { itemtype: scopedType } } } : {})
         }
       });
-    } else {
-      issue = await tx.issue.create({
-        data: {
-          borrowernumber,
-          itemnumber: item.itemnumber,
-          date_due: dueDate
+      if (scopedCheckouts >= rule.max_checkouts) {
+        throw new ApiError(
+          403,
+          scopedType
+            ? `Borrower reached maximum checkout limit for item type ${scopedType}`
+            : 'Borrower reached maximum checkout limit'
+        );
+      }
+    }
+
+    const calendar = await loadCalendar(tx);
+    const dueDate = nextOpenDay(calendar, addDays(new Date(), rule.loan_period_days));
+
+    const existingIssue = await tx.issue.findUnique({ where: { itemnumber: item.itemnumber } });
+    if (existingIssue) {
+      throw new ApiError(409, 'Item already checked out');
+    }
+
+    const issue = await tx.issue.create({
+      data: {
+        borrowernumber,
+        itemnumber: item.itemnumber,
+        date_due: dueDate
+      },
+      include: {
+        borrower: {
+          select: { borrowernumber: true, full_name: true, email: true }
         },
-        include: {
-          borrower: {
-            select: { borrowernumber: true, full_name: true, email: true }
-          },
-          item: {
-            select: { itemnumber: true, barcode: true, biblionumber: true }
-          }
+        item: {
+          select: { itemnumber: true, barcode: true, biblionumber: true }
         }
-      });
-    }
+      }
+    });
 
     await tx.item.update({
       where: { itemnumber: item.itemnumber },
@@ -152,6 +263,29 @@ export const checkoutItem = async ({ borrowernumber, itemnumber, barcode }, acto
       }
     });
 
+    await recordAudit(tx, {
+      action: 'checkout',
+      entityType: 'issue',
+      entityId: issue.issue_id,
+      after: {
+        borrowernumber,
+        itemnumber: item.itemnumber,
+        issuedate: issue.issuedate,
+        date_due: dueDate
+      }
+    });
+
+    await chargeRental(tx, { issue, item, accounttype: 'RENT' });
+
+    await tx.reserve.updateMany({
+      where: {
+        itemnumber: item.itemnumber,
+        borrowernumber,
+        cancellationdate: null,
+        found: 'W'
+      },
+      data: { found: 'P' }
+    });
     await tx.reserve.updateMany({
       where: {
         itemnumber: item.itemnumber,
@@ -161,23 +295,47 @@ export const checkoutItem = async ({ borrowernumber, itemnumber, barcode }, acto
       },
       data: {
         found: 'P',
+        priority: 0,
         waitingdate: new Date()
       }
     });
+    await resequenceReserves(tx, item.biblionumber);
 
     return issue;
   });
 };
 
+export const archiveIssue = async (tx, issue, returndate = new Date()) => {
+  const archived = await tx.oldIssue.create({
+    data: {
+      issue_id: issue.issue_id,
+      borrowernumber: issue.borrowernumber,
+      itemnumber: issue.itemnumber,
+      issuedate: issue.issuedate,
+      date_due: issue.date_due,
+      returndate,
+      lastreneweddate: issue.lastreneweddate,
+      renewals_count: issue.renewals_count,
+      created_at: issue.created_at
+    }
+  });
+
+  await tx.issue.delete({ where: { issue_id: issue.issue_id } });
+
+  return archived;
+};
+
 export const listCirculationHistory = async ({
   page = 1,
   limit = 20,
+  borrowernumber,
+  itemnumber,
   issuedFrom,
   issuedTo,
   returnedFrom,
   returnedTo
 }) => {
-  const { skip } = buildPagination({ page, limit });
+  const { page: safePage, limit: safeLimit, skip } = buildPagination({ page, limit });
 
   const issuedFilter = {};
   if (issuedFrom) issuedFilter.gte = new Date(issuedFrom);
@@ -188,33 +346,151 @@ export const listCirculationHistory = async ({
   if (returnedTo) returnFilter.lte = new Date(returnedTo);
 
   const where = {};
+  if (borrowernumber) where.borrowernumber = borrowernumber;
+  if (itemnumber) where.itemnumber = itemnumber;
   if (Object.keys(issuedFilter).length) where.issuedate = issuedFilter;
   if (Object.keys(returnFilter).length) where.returndate = returnFilter;
 
-  const [total, issues] = await Promise.all([
+  const include = {
+    borrower: {
+      select: { borrowernumber: true, full_name: true }
+    },
+    item: {
+      select: { itemnumber: true, barcode: true }
+    }
+  };
+
+  const window = skip + safeLimit;
+  const [activeTotal, archivedTotal, activeIssues, archivedIssues] = await Promise.all([
     prisma.issue.count({ where }),
-    prisma.issue.findMany({
-      where,
-      skip,
-      take: Number(limit),
-      orderBy: { issuedate: 'desc' },
-      include: {
-        borrower: {
-          select: { borrowernumber: true, full_name: true }
-        },
-        item: {
-          select: { itemnumber: true, barcode: true }
-        }
-      }
-    })
+    prisma.oldIssue.count({ where }),
+    prisma.issue.findMany({ where, take: window, orderBy: { issuedate: 'desc' }, include }),
+    prisma.oldIssue.findMany({ where, take: window, orderBy: { issuedate: 'desc' }, include })
   ]);
 
+  const issues = [...activeIssues, ...archivedIssues]
+    .sort((a, b) => new Date(b.issuedate) - new Date(a.issuedate))
+    .slice(skip, window);
+
   return {
     data: issues,
-    meta: buildMeta({ total, page: Number(page), limit: Number(limit) })
+    meta: buildMeta({ total: activeTotal + archivedTotal, page: safePage, limit: safeLimit })
   };
 };
 
+// Days late since the current due date, and how many of them the library was
+// open.
+const countLateDays = async (tx, issue, now) => {
+  const overdueMs = now - issue.date_due;
+  if (overdueMs <= 0) {
+    return { daysOverdue: 0, chargeableDays: 0 };
+  }
+
+  const daysOverdue = Math.ceil(overdueMs / (1000 * 60 * 60 * 24));
+  const calendar = await loadCalendar(tx, issue.date_due);
+  return { daysOverdue, chargeableDays: countOpenDays(calendar, issue.date_due, daysOverdue) };
+};
+
+// Days carried over from due dates before a renewal are charged along with the
+// current ones, so the cap applies to the loan as a whole.
+const computeOverdueFine = async (tx, issue, now) => {
+  const late = await countLateDays(tx, issue, now);
+  const carried = issue.carried_overdue_days ?? 0;
+  const daysOverdue = late.daysOverdue + carried;
+  const chargeableDays = late.chargeableDays + carried;
+  if (chargeableDays <= 0) {
+    return null;
+  }
+
+  const rule = await resolveIssueRule(tx, issue);
+  const { amount, capReason } = calculateOverdueFine({
+    chargeableDays,
+    finePerDay: rule.fine_per_day,
+    fineCap: rule.fine_cap,
+    replacementCost: rule.cap_fine_to_replacement_price ? getReplacementCost(issue.item) : null
+  });
+
+  return { amount, description: describeOverdueFine({ daysOverdue, chargeableDays, capReason }) };
+};
+
+// Keeps a single OVERDUE line per issue in step with the days elapsed. The
+// amount never goes down, so lowering the daily rate does not reduce a fine
+// that has already accrued. Once staff write the line off it stays settled:
+// further days late are forgiven along with it.
+const applyOverdueFine = async (tx, issue, now) => {
+  const fine = await computeOverdueFine(tx, issue, now);
+  const existing = await tx.accountLine.findFirst({
+    where: { issue_id: issue.issue_id, accounttype: 'OVERDUE' }
+  });
+
+  if (!existing) {
+    if (!fine || fine.amount <= 0) {
+      return { action: 'unchanged', line: null };
+    }
+
+    const line = await tx.accountLine.create({
+      data: {
+        borrowernumber: issue.borrowernumber,
+        itemnumber: issue.itemnumber,
+        issue_id: issue.issue_id,
+        date: now,
+        amount: fine.amount,
+        amountoutstanding: fine.amount,
+        description: fine.description,
+        accounttype: 'OVERDUE',
+        status: 'open'
+      }
+    });
+    await recordAudit(tx, { action: 'charge', entityType: 'accountline', entityId: line.accountlines_id, after: line });
+    return { action: 'created', line };
+  }
+
+  if (!fine || fine.amount <= Number(existing.amount) || existing.status === 'written_off') {
+    return { action: 'unchanged', line: existing };
+  }
+
+  const paid = toMoney(Number(existing.amount) - Number(existing.amountoutstanding));
+  const line = await tx.accountLine.update({
+    where: { accountlines_id: existing.accountlines_id },
+    data: {
+      amount: fine.amount,
+      amountoutstanding: toMoney(fine.amount - paid),
+      description: fine.description,
+      status: paid > 0 ? 'partially_paid' : 'open'
+    }
+  });
+  await recordAudit(tx, {
+    action: 'update',
+    entityType: 'accountline',
+    entityId: line.accountlines_id,
+    before: existing,
+    after: line
+  });
+  return { action: 'updated', line };
+};
+
+export const accrueOverdueFines = async ({ now = new Date() } = {}) => {
+  const overdueIssues = await prisma.issue.findMany({
+    where: { returndate: null, date_due: { lt: now } },
+    include: { item: { include: itemWithTypeInclude } },
+    orderBy: { date_due: 'asc' }
+  });
+
+  const created = [];
+  const updated = [];
+
+  for (const issue of overdueIssues) {
+    const { action, line } = await prisma.$transaction((tx) => applyOverdueFine(tx, issue, now));
+    if (action === 'created') {
+      created.push(line.accountlines_id);
+    } else if (action === 'updated') {
+      updated.push(line.accountlines_id);
+    }
+  }
+
+  return { processed: overdueIssues.length, created, updated };
+};
+
 export const returnItem = async ({ issueId, itemnumber, barcode }, actor) => {
   return prisma.$transaction(async (tx) => {
     const issue = await tx.issue.findFirst({
@@ -227,7 +503,7 @@ export const returnItem = async ({ issueId, itemnumber, barcode }, actor) => {
         ].filter(Boolean)
       },
       include: {
-        item: true,
+        item: { include: itemWithTypeInclude },
         borrower: { include: { category: true } }
       }
     });
@@ -236,18 +512,13 @@ export const returnItem = async ({ issueId, itemnumber, barcode }, actor) => {
       throw new ApiError(404, 'Active issue not found');
     }
 
-    if (actor && actor.role !== 'ADMIN' && issue.borrowernumber !== actor.id) {
+    if (actor && !hasPermission(actor, 'circulate') && issue.borrowernumber !== actor.id) {
       throw new ApiError(403, 'Members can only return their own items');
     }
 
     const now = new Date();
 
-    const updatedIssue = await tx.issue.update({
-      where: { issue_id: issue.issue_id },
-      data: {
-        returndate: now
-      }
-    });
+    const returnedIssue = await archiveIssue(tx, issue, now);
 
     await tx.item.update({
       where: { itemnumber: issue.itemnumber },
@@ -260,54 +531,32 @@ export const returnItem = async ({ issueId, itemnumber, barcode }, actor) => {
       }
     });
 
-    const overdueMs = now - issue.date_due;
-    if (overdueMs > 0) {
-      const daysOverdue = Math.ceil(overdueMs / (1000 * 60 * 60 * 24));
-      if (daysOverdue > 0) {
-        const finePerDayRaw = await getSystemPreference(tx, 'fine_per_day', '0.25');
-        const finePerDay = Number(finePerDayRaw);
-        const fineAmount = Number((daysOverdue * finePerDay).toFixed(2));
-
-        if (fineAmount > 0) {
-          await tx.accountLine.create({
-            data: {
-              borrowernumber: issue.borrowernumber,
-              itemnumber: issue.itemnumber,
-              issue_id: issue.issue_id,
-              amount: fineAmount,
-              amountoutstanding: fineAmount,
-              description: `Overdue fine - ${daysOverdue} days late`,
-              accounttype: 'OVERDUE',
-              status: 'open'
-            }
-          });
-        }
+    await recordAudit(tx, {
+      action: 'return',
+      entityType: 'issue',
+      entityId: issue.issue_id,
+      after: {
+        borrowernumber: issue.borrowernumber,
+        itemnumber: issue.itemnumber,
+        date_due: issue.date_due,
+        returndate: now
       }
-    }
-
-    const nextReserve = await tx.reserve.findFirst({
-      where: {
-        biblionumber: issue.item.biblionumber,
-        cancellationdate: null,
-        found: null
-      },
-      orderBy: [
-        { priority: 'asc' },
-        { reservedate: 'asc' }
-      ]
     });
 
-    if (nextReserve) {
-      await tx.reserve.update({
-        where: { reserve_id: nextReserve.reserve_id },
-        data: {
-          found: 'W',
-          waitingdate: new Date()
-        }
-      });
-    }
+    await applyOverdueFine(tx, issue, now);
 
-    return updatedIssue;
+    const trappedHold = await promoteNextReserve(tx, issue.item.biblionumber, now, issue.itemnumber);
+
+    return {
+      ...returnedIssue,
+      hold: trappedHold
+        ? {
+            reserve_id: trappedHold.reserve_id,
+            borrowernumber: trappedHold.borrowernumber,
+            expirationdate: trappedHold.expirationdate
+          }
+        : null
+    };
   });
 };
 
@@ -317,7 +566,7 @@ export const renewItem = async ({ issueId }, actor) => {
       where: { issue_id: issueId },
       include: {
         borrower: { include: { category: true } },
-        item: true
+        item: { include: itemWithTypeInclude }
       }
     });
 
@@ -325,7 +574,7 @@ export const renewItem = async ({ issueId }, actor) => {
       throw new ApiError(404, 'Issue not found');
     }
 
-    if (actor && actor.role !== 'ADMIN' && issue.borrowernumber !== actor.id) {
+    if (actor && !hasPermission(actor, 'circulate') && issue.borrowernumber !== actor.id) {
       throw new ApiError(403, 'Members can only renew their own items');
     }
 
@@ -333,37 +582,44 @@ export const renewItem = async ({ issueId }, actor) => {
       throw new ApiError(400, 'Cannot renew a returned item');
     }
 
-    const maxRenewalsRaw = await getSystemPreference(tx, 'max_renewals', '3');
-    const maxRenewals = Number(maxRenewalsRaw);
+    const rule = await resolveCirculationRule(tx, {
+      categorycode: issue.borrower.categorycode,
+      itemtype: issue.item.biblio?.itemtype
+    });
 
-    if (issue.renewals_count >= maxRenewals) {
-      throw new ApiError(403, `Maximum renewal limit (${maxRenewals}) reached`);
+    const renewalBlock = await getRenewalBlock(tx, issue, rule);
+    if (renewalBlock) {
+      throw new ApiError(403, renewalBlock.message);
     }
 
-    const conflictingReserve = await tx.reserve.findFirst({
-      where: {
-        itemnumber: issue.itemnumber,
-        borrowernumber: { not: issue.borrowernumber },
-        cancellationdate: null,
-        found: null
-      }
-    });
-    if (conflictingReserve) {
-      throw new ApiError(403, 'Item is reserved for another patron');
-    }
+    const calendar = await loadCalendar(tx, issue.date_due);
+    const newDue = nextOpenDay(calendar, addDays(issue.date_due, rule.loan_period_days));
 
-    const loanPeriod = getLoanPeriodDays(issue.borrower.category);
-    const newDue = new Date(issue.date_due);
-    newDue.setDate(newDue.getDate() + loanPeriod);
+    // Renewing an overdue loan settles the fine so far and carries its days
+    // onto the loan, so they still count once the new due date passes. Days
+    // after a new due date that is already past are counted from that date.
+    const now = new Date();
+    const { chargeableDays: lateDays } = await countLateDays(tx, issue, newDue < now ? newDue : now);
+    if (lateDays > 0) {
+      await applyOverdueFine(tx, issue, now);
+    }
 
     const renewedIssue = await tx.issue.update({
       where: { issue_id: issue.issue_id },
       data: {
         date_due: newDue,
-        lastreneweddate: new Date(),
-        renewals_count: { increment: 1 }
+        lastreneweddate: now,
+        renewals_count: { increment: 1 },
+        carried_overdue_days: { increment: lateDays }
       }
     });
+    await recordAudit(tx, {
+      action: 'renew',
+      entityType: 'issue',
+      entityId: issue.issue_id,
+      before: issue,
+      after: renewedIssue
+    });
 
     await tx.item.update({
       where: { itemnumber: issue.itemnumber },
@@ -374,6 +630,8 @@ export const renewItem = async ({ issueId }, actor) => {
       }
     });
 
+    await chargeRental(tx, { issue, item: issue.item, accounttype: 'RENT_RENEW' });
+
     return renewedIssue;
   });
 };
@@ -1,6 +1,10 @@
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
 import { buildPagination, buildMeta } from '../utils/pagination.js';
+import { HOLD_SHELF_STATUS } from '../utils/itemStatus.js';
+import { archiveIssue } from './circulationService.js';
+import { recordAudit } from './auditService.js';
+import { toMoney } from '../utils/fines.js';
 
 export const listItems = async ({ page = 1, limit = 20, status, search }) => {
   const { skip } = buildPagination({ page, limit });
@@ -8,6 +12,7 @@ export const listItems = async ({ page = 1, limit = 20, status, search }) => {
   const where = {
     AND: [
       status ? { status } : undefined,
+      status === 'withdrawn' ? undefined : { withdrawn_at: null },
       search
         ? {
             OR: [
@@ -62,17 +67,21 @@ export const createItem = async (payload) => {
     throw new ApiError(404, 'Associated bibliographic record not found');
   }
 
-  return prisma.item.create({
-    data: {
-      biblionumber: payload.biblionumber,
-      barcode: payload.barcode,
-      itemcallnumber: payload.itemcallnumber,
-      location: payload.location,
-      price: payload.price,
-      replacementprice: payload.replacementprice,
-      status: payload.status,
-      notforloan: payload.notforloan ?? false
-    }
+  return prisma.$transaction(async (tx) => {
+    const item = await tx.item.create({
+      data: {
+        biblionumber: payload.biblionumber,
+        barcode: payload.barcode,
+        itemcallnumber: payload.itemcallnumber,
+        location: payload.location,
+        price: payload.price,
+        replacementprice: payload.replacementprice,
+        status: payload.status,
+        notforloan: payload.notforloan ?? false
+      }
+    });
+    await recordAudit(tx, { action: 'create', entityType: 'item', entityId: item.itemnumber, after: item });
+    return item;
   });
 };
 
@@ -94,8 +103,25 @@ export const updateItem = async (id, payload) => {
         throw new ApiError(404, 'Item not found');
       }
 
+      // A trapped copy leaves the hold shelf through its hold (pickup, cancel or
+      // expiry), which also passes it on to the next hold in the queue.
+      if (existing.status === HOLD_SHELF_STATUS && payload.status && payload.status !== HOLD_SHELF_STATUS) {
+        const waitingHold = await tx.reserve.findFirst({
+          where: { itemnumber: id, found: 'W', cancellationdate: null }
+        });
+        if (waitingHold) {
+          throw new ApiError(
+            409,
+            `Item is waiting for pickup on hold ${waitingHold.reserve_id}; cancel the hold to release it`
+          );
+        }
+      }
+
       const data = { updated_at: new Date() };
       if (payload.status !== undefined) data.status = payload.status;
+      // withdrawn_at hides the copy from listings and availability, so it follows the status
+      if (payload.status === 'withdrawn' && !existing.withdrawn_at) data.withdrawn_at = data.updated_at;
+      if (payload.status && payload.status !== 'withdrawn' && existing.withdrawn_at) data.withdrawn_at = null;
       if (payload.notforloan !== undefined) data.notforloan = payload.notforloan;
       if (payload.location !== undefined) data.location = payload.location;
       if (payload.notes !== undefined) data.notes = payload.notes;
@@ -104,6 +130,7 @@ export const updateItem = async (id, payload) => {
         where: { itemnumber: id },
         data
       });
+      await recordAudit(tx, { action: 'update', entityType: 'item', entityId: id, before: existing, after: updated });
 
       const statusChanged = payload.status && payload.status !== existing.status;
       const needsCharge = statusChanged && ['lost', 'damaged'].includes(payload.status);
@@ -134,7 +161,7 @@ export const updateItem = async (id, payload) => {
             });
 
             if (!existingCharge) {
-              await tx.accountLine.create({
+              const charge = await tx.accountLine.create({
                 data: {
                   borrowernumber: activeIssue.borrowernumber,
                   itemnumber: id,
@@ -146,14 +173,17 @@ export const updateItem = async (id, payload) => {
                   status: 'open'
                 }
               });
+              await recordAudit(tx, {
+                action: 'charge',
+                entityType: 'accountline',
+                entityId: charge.accountlines_id,
+                after: charge
+              });
             }
           }
 
           if (payload.status === 'lost') {
-            await tx.issue.update({
-              where: { issue_id: activeIssue.issue_id },
-              data: { returndate: new Date() }
-            });
+            await archiveIssue(tx, activeIssue);
           }
         }
       }
@@ -168,14 +198,97 @@ export const updateItem = async (id, payload) => {
   }
 };
 
+const ACTIVE_HOLD = { cancellationdate: null, OR: [{ found: null }, { found: 'W' }] };
+
+// Reasons the copies matched by `scope` ({ itemnumber } or { biblionumber })
+// cannot be removed: open loans, holds that would be dropped with them and
+// unpaid fines. An empty list means removal is safe.
+export const findRemovalBlockers = async (client, scope) => {
+  const loans = await client.issue.findMany({
+    where: { returndate: null, item: scope },
+    include: { item: { select: { barcode: true } } }
+  });
+  const holds = await client.reserve.findMany({
+    where: { ...scope, ...ACTIVE_HOLD },
+    select: { reserve_id: true, found: true },
+    orderBy: { reserve_id: 'asc' }
+  });
+  const fines = await client.accountLine.findMany({
+    where: { amountoutstanding: { gt: 0 }, item: scope },
+    include: { item: { select: { barcode: true } } }
+  });
+
+  const finesByItem = new Map();
+  fines.forEach((line) => {
+    const entry = finesByItem.get(line.itemnumber) ?? { barcode: line.item.barcode, amount: 0 };
+    entry.amount = toMoney(entry.amount + Number(line.amountoutstanding));
+    finesByItem.set(line.itemnumber, entry);
+  });
+  const waiting = holds.filter((hold) => hold.found === 'W').length;
+
+  return [
+    ...loans.map((loan) => ({
+      reason: 'checked_out',
+      itemnumber: loan.itemnumber,
+      barcode: loan.item.barcode,
+      message: `Copy ${loan.item.barcode} is checked out`
+    })),
+    ...(holds.length
+      ? [
+          {
+            reason: 'holds',
+            reserve_ids: holds.map((hold) => hold.reserve_id),
+            message: `${holds.length} active hold(s), ${waiting} waiting for pickup`
+          }
+        ]
+      : []),
+    ...[...finesByItem].map(([itemnumber, { barcode, amount }]) => ({
+      reason: 'outstanding_fines',
+      itemnumber,
+      barcode,
+      amount,
+      message: `Copy ${barcode} has ${amount.toFixed(2)} in outstanding fines`
+    }))
+  ];
+};
+
+// Copies referenced by past loans, holds or account lines. Deleting them would
+// orphan that history, so they are withdrawn instead.
+export const findItemsWithHistory = (client, scope) =>
+  client.item.findMany({
+    where: {
+      ...scope,
+      OR: [{ oldIssues: { some: {} } }, { accountLines: { some: {} } }, { reservesRecords: { some: {} } }]
+    },
+    select: { itemnumber: true, barcode: true }
+  });
+
+// Items with history are soft-deleted: marked withdrawn and kept so old loans
+// and fines still point at them. Other items are removed outright.
 export const deleteItem = async (id) => {
-  try {
-    await prisma.item.delete({ where: { itemnumber: id } });
-    return true;
-  } catch (error) {
-    if (error.code === 'P2025') {
+  return prisma.$transaction(async (tx) => {
+    const item = await tx.item.findUnique({ where: { itemnumber: id } });
+    if (!item) {
       throw new ApiError(404, 'Item not found');
     }
-    throw error;
-  }
+
+    const blockers = await findRemovalBlockers(tx, { itemnumber: id });
+    if (blockers.length) {
+      throw new ApiError(409, 'Item cannot be deleted', blockers);
+    }
+
+    if ((await findItemsWithHistory(tx, { itemnumber: id })).length) {
+      const now = new Date();
+      const withdrawn = await tx.item.update({
+        where: { itemnumber: id },
+        data: { status: 'withdrawn', status_date: now, withdrawn_at: item.withdrawn_at ?? now, updated_at: now }
+      });
+      await recordAudit(tx, { action: 'withdraw', entityType: 'item', entityId: id, before: item, after: withdrawn });
+      return { withdrawn: true, item: withdrawn };
+    }
+
+    await tx.item.delete({ where: { itemnumber: id } });
+    await recordAudit(tx, { action: 'delete', entityType: 'item', entityId: id, before: item });
+    return { withdrawn: false };
+  });
 };
@@ -0,0 +1,246 @@
+import prisma from '../prisma.js';
+import { ApiError } from '../utils/apiError.js';
+import { buildPagination, buildMeta } from '../utils/pagination.js';
+import { addDays, startOfDay, toDateString } from '../utils/date.js';
+import { renderTemplate } from '../utils/template.js';
+import { NOTICE_CODES } from '../notifications/templates.js';
+import { createTransport } from '../notifications/transports.js';
+import { getSystemPreference } from './systemPreferenceService.js';
+import { recordAudit } from './auditService.js';
+
+const MAX_SEND_ATTEMPTS = 3;
+const MAX_DAYS_IN_ADVANCE = 30;
+
+const getDefaultDaysInAdvance = async (client) => {
+  const days = Number(await getSystemPreference(client, 'due_soon_days', '2'));
+  return Number.isNaN(days) || days < 0 ? 0 : Math.min(days, MAX_DAYS_IN_ADVANCE);
+};
+
+export const listTemplates = async () => prisma.messageTemplate.findMany({ orderBy: { code: 'asc' } });
+
+export const updateTemplate = async (code, { name, subject, body }) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.messageTemplate.findUnique({ where: { code } });
+      const template = await tx.messageTemplate.update({
+        where: { code },
+        data: { name, subject, body, updated_at: new Date() }
+      });
+      await recordAudit(tx, {
+        action: 'update',
+        entityType: 'message_template',
+        entityId: code,
+        before: existing,
+        after: template
+      });
+      return template;
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new ApiError(404, 'Message template not found');
+    }
+    throw error;
+  }
+};
+
+export const listMessages = async ({ page = 1, limit = 20, status, borrowernumber }) => {
+  const { skip } = buildPagination({ page, limit });
+  const where = {
+    ...(status ? { status } : {}),
+    ...(borrowernumber ? { borrowernumber } : {})
+  };
+
+  const [total, messages] = await Promise.all([
+    prisma.messageQueue.count({ where }),
+    prisma.messageQueue.findMany({
+      where,
+      skip,
+      take: Number(limit),
+      orderBy: { created_at: 'desc' }
+    })
+  ]);
+
+  return {
+    data: messages,
+    meta: buildMeta({ total, page: Number(page), limit: Number(limit) })
+  };
+};
+
+export const getNotificationPreferences = async (borrowernumber) => {
+  const [stored, defaultDays] = await Promise.all([
+    prisma.messagePreference.findMany({ where: { borrowernumber } }),
+    getDefaultDaysInAdvance(prisma)
+  ]);
+
+  return NOTICE_CODES.map((code) => {
+    const preference = stored.find((entry) => entry.code === code);
+    return {
+      code,
+      enabled: preference?.enabled ?? true,
+      ...(code === 'DUE_SOON' ? { days_in_advance: preference?.days_in_advance ?? defaultDays } : {})
+    };
+  });
+};
+
+export const updateNotificationPreferences = async (borrowernumber, preferences) => {
+  await prisma.$transaction(async (tx) => {
+    for (const { code, enabled, days_in_advance: daysInAdvance } of preferences) {
+      const existing = await tx.messagePreference.findUnique({
+        where: { borrowernumber_code: { borrowernumber, code } }
+      });
+      const preference = await tx.messagePreference.upsert({
+        where: { borrowernumber_code: { borrowernumber, code } },
+        update: { enabled, days_in_advance: daysInAdvance, updated_at: new Date() },
+        create: { borrowernumber, code, enabled: enabled ?? true, days_in_advance: daysInAdvance }
+      });
+      await recordAudit(tx, {
+        action: existing ? 'update' : 'create',
+        entityType: 'message_preference',
+        entityId: preference.preference_id,
+        before: existing,
+        after: preference
+      });
+    }
+  });
+
+  return getNotificationPreferences(borrowernumber);
+};
+
+// Renders a template for a patron and places it in the outbox. Patrons who
+// opted out or have no email address are skipped, as are notices whose
+// dedupeKey was already queued.
+export const queueNotice = async (client, { borrowernumber, code, variables = {}, dedupeKey = null }) => {
+  if (dedupeKey) {
+    const existing = await client.messageQueue.findUnique({ where: { dedupe_key: dedupeKey } });
+    if (existing) {
+      return null;
+    }
+  }
+
+  const [borrower, preference, template] = await Promise.all([
+    client.borrower.findUnique({
+      where: { borrowernumber },
+      select: { borrowernumber: true, full_name: true, email: true }
+    }),
+    client.messagePreference.findUnique({
+      where: { borrowernumber_code: { borrowernumber, code } }
+    }),
+    client.messageTemplate.findUnique({ where: { code } })
+  ]);
+
+  if (!borrower?.email || !template || preference?.enabled === false) {
+    return null;
+  }
+
+  const context = { full_name: borrower.full_name, ...variables };
+  return client.messageQueue.create({
+    data: {
+      borrowernumber,
+      code,
+      to_address: borrower.email,
+      subject: renderTemplate(template.subject, context),
+      content: renderTemplate(template.body, context),
+      dedupe_key: dedupeKey
+    }
+  });
+};
+
+export const sendQueuedNotices = async ({ now = new Date(), limit = 100, transport } = {}) => {
+  const deliver = transport ?? createTransport();
+  const pending = await prisma.messageQueue.findMany({
+    where: { status: 'pending' },
+    orderBy: { created_at: 'asc' },
+    take: limit
+  });
+
+  const sent = [];
+  const failed = [];
+
+  for (const message of pending) {
+    try {
+      await deliver.send({ to: message.to_address, subject: message.subject, text: message.content });
+      await prisma.messageQueue.update({
+        where: { message_id: message.message_id },
+        data: { status: 'sent', sent_at: now, attempts: { increment: 1 }, last_error: null }
+      });
+      sent.push(message.message_id);
+    } catch (error) {
+      const attempts = message.attempts + 1;
+      await prisma.messageQueue.update({
+        where: { message_id: message.message_id },
+        data: {
+          attempts,
+          last_error: error.message,
+          status: attempts >= MAX_SEND_ATTEMPTS ? 'failed' : 'pending'
+        }
+      });
+      failed.push(message.message_id);
+    }
+  }
+
+  return { transport: deliver.name, sent, failed };
+};
+
+const loanVariables = (issue) => ({
+  title: issue.item.biblio?.title,
+  barcode: issue.item.barcode,
+  date_due: toDateString(issue.date_due)
+});
+
+export const queueDueDateNotices = async ({ now = new Date() } = {}) => {
+  const today = startOfDay(now);
+  const defaultDays = await getDefaultDaysInAdvance(prisma);
+
+  const issues = await prisma.issue.findMany({
+    where: {
+      returndate: null,
+      date_due: { lt: addDays(today, MAX_DAYS_IN_ADVANCE + 1) }
+    },
+    include: {
+      item: { include: { biblio: { select: { title: true } } } },
+      borrower: {
+        select: {
+          messagePreferences: { where: { code: 'DUE_SOON' } }
+        }
+      }
+    },
+    orderBy: { date_due: 'asc' }
+  });
+
+  const dueSoon = [];
+  const overdue = [];
+
+  for (const issue of issues) {
+    const dueDay = toDateString(issue.date_due);
+
+    if (issue.date_due < now) {
+      const message = await queueNotice(prisma, {
+        borrowernumber: issue.borrowernumber,
+        code: 'OVERDUE',
+        variables: loanVariables(issue),
+        dedupeKey: `OVERDUE:${issue.issue_id}:${dueDay}`
+      });
+      if (message) {
+        overdue.push(message.message_id);
+      }
+      continue;
+    }
+
+    const daysInAdvance = issue.borrower.messagePreferences[0]?.days_in_advance ?? defaultDays;
+    if (startOfDay(issue.date_due) > addDays(today, daysInAdvance)) {
+      continue;
+    }
+
+    const message = await queueNotice(prisma, {
+      borrowernumber: issue.borrowernumber,
+      code: 'DUE_SOON',
+      variables: loanVariables(issue),
+      dedupeKey: `DUE_SOON:${issue.issue_id}:${dueDay}`
+    });
+    if (message) {
+      dueSoon.push(message.message_id);
+    }
+  }
+
+  return { due_soon: dueSoon, overdue };
+};
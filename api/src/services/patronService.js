@@ -0,0 +1,119 @@
+import prisma from '../prisma.js';
+import { ApiError } from '../utils/apiError.js';
+import { getBorrowerBlocks, getOutstandingFines, getRenewalBlock } from './circulationService.js';
+
+const getQueuePosition = async (tx, reserve) => {
+  const queue = await tx.reserve.findMany({
+    where: {
+      biblionumber: reserve.biblionumber,
+      cancellationdate: null,
+      found: null
+    },
+    orderBy: [
+      { priority: 'asc' },
+      { reservedate: 'asc' },
+      { reserve_id: 'asc' }
+    ],
+    select: { reserve_id: true }
+  });
+
+  return queue.findIndex((entry) => entry.reserve_id === reserve.reserve_id) + 1;
+};
+
+export const getPatronSummary = async (borrowernumber, now = new Date()) => {
+  return prisma.$transaction(async (tx) => {
+    const borrower = await tx.borrower.findUnique({
+      where: { borrowernumber },
+      include: { category: true }
+    });
+
+    if (!borrower) {
+      throw new ApiError(404, 'Borrower not found');
+    }
+
+    const issues = await tx.issue.findMany({
+      where: { borrowernumber, returndate: null },
+      orderBy: { date_due: 'asc' },
+      include: {
+        item: {
+          select: {
+            itemnumber: true,
+            barcode: true,
+            biblio: { select: { biblionumber: true, title: true, author: true } }
+          }
+        }
+      }
+    });
+
+    const checkouts = [];
+    for (const issue of issues) {
+      const renewalBlock = await getRenewalBlock(tx, issue);
+      checkouts.push({
+        issue_id: issue.issue_id,
+        item: issue.item,
+        issuedate: issue.issuedate,
+        date_due: issue.date_due,
+        overdue: issue.date_due < now,
+        renewals_count: issue.renewals_count,
+        renewable: !renewalBlock,
+        renewal_block: renewalBlock?.message ?? null
+      });
+    }
+
+    const reserves = await tx.reserve.findMany({
+      where: {
+        borrowernumber,
+        cancellationdate: null,
+        OR: [{ found: null }, { found: 'W' }]
+      },
+      orderBy: { reservedate: 'asc' },
+      include: {
+        biblio: { select: { biblionumber: true, title: true, author: true } },
+        item: { select: { itemnumber: true, barcode: true } }
+      }
+    });
+
+    const holds = { active: [], waiting: [] };
+    for (const reserve of reserves) {
+      const hold = {
+        reserve_id: reserve.reserve_id,
+        biblio: reserve.biblio,
+        item: reserve.item,
+        reservedate: reserve.reservedate
+      };
+
+      if (reserve.found === 'W') {
+        holds.waiting.push({
+          ...hold,
+          waitingdate: reserve.waitingdate,
+          expirationdate: reserve.expirationdate
+        });
+      } else {
+        holds.active.push({
+          ...hold,
+          queue_position: await getQueuePosition(tx, reserve),
+          suspended: reserve.suspended,
+          suspend_until: reserve.suspend_until
+        });
+      }
+    }
+
+    const outstanding = await getOutstandingFines(tx, borrowernumber);
+    const blocks = await getBorrowerBlocks(tx, borrower, now);
+
+    return {
+      borrower: {
+        borrowernumber: borrower.borrowernumber,
+        cardnumber: borrower.cardnumber,
+        full_name: borrower.full_name,
+        categorycode: borrower.categorycode,
+        dateexpiry: borrower.dateexpiry
+      },
+      checkouts,
+      holds,
+      fines: { outstanding },
+      blocks,
+      can_checkout: blocks.length === 0
+    };
+  });
+};
@@ -1,9 +1,222 @@
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
+import { hasPermission } from '../utils/permissions.js';
 import { buildPagination, buildMeta } from '../utils/pagination.js';
+import { addDays, startOfDay, toDateString } from '../utils/date.js';
+import { HOLD_SHELF_STATUS } from '../utils/itemStatus.js';
+import { getSystemPreference } from './systemPreferenceService.js';
+import { queueNotice } from './notificationService.js';
+import { recordAudit } from './auditService.js';
 
 const MAX_ACTIVE_HOLDS = 5;
 
+const getHoldExpiryDays = async (tx) => {
+  const raw = await getSystemPreference(tx, 'hold_expiry_days', '7');
+  const days = Number(raw);
+  return Number.isNaN(days) || days <= 0 ? null : days;
+};
+
+const queueOrder = [{ priority: 'asc' }, { reservedate: 'asc' }, { reserve_id: 'asc' }];
+
+const pendingQueueWhere = (biblionumber) => ({
+  biblionumber,
+  cancellationdate: null,
+  found: null
+});
+
+const findReserve = async (tx, reserveId) => {
+  const reserve = await tx.reserve.findUnique({ where: { reserve_id: reserveId } });
+  if (!reserve) {
+    throw new ApiError(404, 'Reserve not found');
+  }
+  return reserve;
+};
+
+const assertPending = (reserve) => {
+  if (reserve.cancellationdate || reserve.found) {
+    throw new ApiError(400, 'Only holds still in the queue can be changed');
+  }
+};
+
+const applyQueueOrder = async (tx, queue) => {
+  for (const [index, reserve] of queue.entries()) {
+    if (reserve.priority !== index + 1) {
+      await tx.reserve.update({
+        where: { reserve_id: reserve.reserve_id },
+        data: { priority: index + 1 }
+      });
+    }
+  }
+};
+
+// Numbers the pending queue 1..n in its current order, so priorities set by
+// staff survive. Holds that share a priority, as after a merge, are ranked by
+// when they were placed.
+export const resequenceReserves = async (tx, biblionumber) => {
+  const queue = await tx.reserve.findMany({
+    where: pendingQueueWhere(biblionumber),
+    orderBy: queueOrder
+  });
+  await applyQueueOrder(tx, queue);
+};
+
+export const getReserveQueue = async (biblionumber) => {
+  const biblio = await prisma.biblio.findUnique({ where: { biblionumber } });
+  if (!biblio) {
+    throw new ApiError(404, 'Bibliographic record not found');
+  }
+
+  return prisma.reserve.findMany({
+    where: pendingQueueWhere(biblionumber),
+    orderBy: queueOrder,
+    include: {
+      borrower: { select: { borrowernumber: true, full_name: true, cardnumber: true } },
+      item: { select: { itemnumber: true, barcode: true } }
+    }
+  });
+};
+
+export const reorderReserveQueue = async (biblionumber, reserveIds) => {
+  await prisma.$transaction(async (tx) => {
+    const queue = await tx.reserve.findMany({
+      where: pendingQueueWhere(biblionumber),
+      orderBy: queueOrder
+    });
+
+    const unique = new Set(reserveIds);
+    if (
+      unique.size !== reserveIds.length ||
+      reserveIds.length !== queue.length ||
+      queue.some((reserve) => !unique.has(reserve.reserve_id))
+    ) {
+      throw new ApiError(400, 'reserve_ids must list every hold in the queue exactly once');
+    }
+
+    const ordered = reserveIds.map((id) => queue.find((reserve) => reserve.reserve_id === id));
+    await applyQueueOrder(tx, ordered);
+    await recordAudit(tx, {
+      action: 'reorder_holds',
+      entityType: 'biblio',
+      entityId: biblionumber,
+      before: { reserve_ids: queue.map((reserve) => reserve.reserve_id) },
+      after: { reserve_ids: reserveIds }
+    });
+  });
+
+  return getReserveQueue(biblionumber);
+};
+
+export const setReservePriority = async (reserveId, priority) => {
+  return prisma.$transaction(async (tx) => {
+    const reserve = await findReserve(tx, reserveId);
+    assertPending(reserve);
+
+    const queue = await tx.reserve.findMany({
+      where: pendingQueueWhere(reserve.biblionumber),
+      orderBy: queueOrder
+    });
+    const others = queue.filter((entry) => entry.reserve_id !== reserve.reserve_id);
+    const position = Math.min(Math.max(priority, 1), queue.length) - 1;
+    others.splice(position, 0, reserve);
+    await applyQueueOrder(tx, others);
+
+    const updated = await tx.reserve.findUnique({ where: { reserve_id: reserveId } });
+    await recordAudit(tx, {
+      action: 'priority',
+      entityType: 'reserve',
+      entityId: reserveId,
+      before: reserve,
+      after: updated
+    });
+    return updated;
+  });
+};
+
+export const suspendReserve = async (reserveId, { until }, actor) => {
+  return prisma.$transaction(async (tx) => {
+    const reserve = await findReserve(tx, reserveId);
+
+    if (actor && !hasPermission(actor, 'circulate') && reserve.borrowernumber !== actor.id) {
+      throw new ApiError(403, 'Members can only suspend their own holds');
+    }
+    assertPending(reserve);
+
+    const resumeDate = until ? startOfDay(new Date(until)) : null;
+    if (resumeDate && resumeDate <= startOfDay(new Date())) {
+      throw new ApiError(400, 'Resume date must be in the future');
+    }
+
+    const suspended = await tx.reserve.update({
+      where: { reserve_id: reserveId },
+      data: { suspended: true, suspend_until: resumeDate }
+    });
+    await recordAudit(tx, {
+      action: 'suspend',
+      entityType: 'reserve',
+      entityId: reserveId,
+      before: reserve,
+      after: suspended
+    });
+    return suspended;
+  });
+};
+
+export const resumeReserve = async (reserveId, actor) => {
+  return prisma.$transaction(async (tx) => {
+    const reserve = await findReserve(tx, reserveId);
+
+    if (actor && !hasPermission(actor, 'circulate') && reserve.borrowernumber !== actor.id) {
+      throw new ApiError(403, 'Members can only resume their own holds');
+    }
+    assertPending(reserve);
+
+    const resumed = await tx.reserve.update({
+      where: { reserve_id: reserveId },
+      data: { suspended: false, suspend_until: null }
+    });
+    await recordAudit(tx, {
+      action: 'resume',
+      entityType: 'reserve',
+      entityId: reserveId,
+      before: reserve,
+      after: resumed
+    });
+    return resumed;
+  });
+};
+
+const releaseDueSuspensions = async (tx, now, biblionumber) => {
+  const due = await tx.reserve.findMany({
+    where: {
+      ...(biblionumber ? { biblionumber } : {}),
+      suspended: true,
+      suspend_until: { lte: startOfDay(now) },
+      cancellationdate: null
+    }
+  });
+
+  for (const reserve of due) {
+    const resumed = await tx.reserve.update({
+      where: { reserve_id: reserve.reserve_id },
+      data: { suspended: false, suspend_until: null }
+    });
+    await recordAudit(tx, {
+      action: 'resume',
+      entityType: 'reserve',
+      entityId: reserve.reserve_id,
+      before: reserve,
+      after: resumed
+    });
+  }
+
+  return due.length;
+};
+
+export const resumeSuspendedHolds = async ({ now = new Date() } = {}) => {
+  const resumed = await prisma.$transaction((tx) => releaseDueSuspensions(tx, now));
+  return { resumed };
+};
+
 export const listReserves = async ({ page = 1, limit = 20, borrower }) => {
   const { skip } = buildPagination({ page, limit });
 
@@ -31,7 +244,7 @@ export const listReserves = async ({ page = 1, limit = 20, borrower }) => {
 };
 
 export const createReserve = async ({ borrowernumber, biblionumber, itemnumber }, actor) => {
-  if (actor && actor.role !== 'ADMIN' && actor.id !== borrowernumber) {
+  if (actor && !hasPermission(actor, 'circulate') && actor.id !== borrowernumber) {
     throw new ApiError(403, 'Members can only place holds for themselves');
   }
 
@@ -97,16 +310,13 @@ export const createReserve = async ({ borrowernumber, biblionumber, itemnumber }
     }
 
     const priorityAgg = await tx.reserve.aggregate({
-      where: {
-        biblionumber,
-        cancellationdate: null
-      },
+      where: pendingQueueWhere(biblionumber),
       _max: { priority: true }
     });
 
     const nextPriority = (priorityAgg._max.priority ?? 0) + 1;
 
-    return tx.reserve.create({
+    const reserve = await tx.reserve.create({
       data: {
         borrowernumber,
         biblionumber,
@@ -114,25 +324,197 @@ export const createReserve = async ({ borrowernumber, biblionumber, itemnumber }
         priority: nextPriority
       }
     });
+    await recordAudit(tx, { action: 'create', entityType: 'reserve', entityId: reserve.reserve_id, after: reserve });
+    return reserve;
   });
 };
 
 export const cancelReserve = async (reserveId, actor) => {
-  const reserve = await prisma.reserve.findUnique({ where: { reserve_id: reserveId } });
+  return prisma.$transaction(async (tx) => {
+    const reserve = await findReserve(tx, reserveId);
 
-  if (!reserve) {
-    throw new ApiError(404, 'Reserve not found');
-  }
+    if (actor && !hasPermission(actor, 'circulate') && reserve.borrowernumber !== actor.id) {
+      throw new ApiError(403, 'Members can only cancel their own holds');
+    }
+    if (reserve.cancellationdate || reserve.found === 'P') {
+      throw new ApiError(400, 'Only holds that are queued or waiting for pickup can be cancelled');
+    }
 
-  if (actor && actor.role !== 'ADMIN' && reserve.borrowernumber !== actor.id) {
-    throw new ApiError(403, 'Members can only cancel their own holds');
+    const cancelled = await tx.reserve.update({
+      where: { reserve_id: reserveId },
+      data: {
+        cancellationdate: new Date(),
+        notes: reserve.notes ? `${reserve.notes}\nCancelled via API` : 'Cancelled via API'
+      }
+    });
+    await recordAudit(tx, {
+      action: 'cancel',
+      entityType: 'reserve',
+      entityId: reserveId,
+      before: reserve,
+      after: cancelled
+    });
+
+    if (reserve.found === 'W') {
+      await releaseTrappedItem(tx, reserve, new Date());
+    } else {
+      await resequenceReserves(tx, reserve.biblionumber);
+    }
+
+    return cancelled;
+  });
+};
+
+// Traps a copy that came back for the next eligible hold on the title: the hold
+// becomes waiting, linked to the copy, and the copy moves to the hold shelf so
+// nobody else can borrow it. Only then is the patron told it is ready.
+export const promoteNextReserve = async (tx, biblionumber, now, itemnumber) => {
+  await releaseDueSuspensions(tx, now, biblionumber);
+
+  const nextReserve = await tx.reserve.findFirst({
+    where: {
+      ...pendingQueueWhere(biblionumber),
+      suspended: false,
+      OR: [{ itemnumber: null }, { itemnumber }]
+    },
+    orderBy: queueOrder
+  });
+
+  if (!nextReserve) {
+    return null;
   }
 
-  return prisma.reserve.update({
-    where: { reserve_id: reserveId },
+  const expiryDays = await getHoldExpiryDays(tx);
+
+  const promoted = await tx.reserve.update({
+    where: { reserve_id: nextReserve.reserve_id },
     data: {
-      cancellationdate: new Date(),
-      notes: reserve.notes ? `${reserve.notes}\nCancelled via API` : 'Cancelled via API'
+      found: 'W',
+      priority: 0,
+      waitingdate: now,
+      expirationdate: expiryDays ? addDays(startOfDay(now), expiryDays) : null,
+      itemnumber
     }
   });
+  await recordAudit(tx, {
+    action: 'waiting',
+    entityType: 'reserve',
+    entityId: promoted.reserve_id,
+    before: nextReserve,
+    after: promoted
+  });
+
+  const trappedItem = await tx.item.update({
+    where: { itemnumber },
+    data: { status: HOLD_SHELF_STATUS, updated_at: now },
+    include: { biblio: { select: { title: true } } }
+  });
+
+  await resequenceReserves(tx, biblionumber);
+
+  await queueNotice(tx, {
+    borrowernumber: promoted.borrowernumber,
+    code: 'HOLD_AVAILABLE',
+    variables: {
+      title: trappedItem.biblio.title,
+      barcode: trappedItem.barcode,
+      expirationdate: promoted.expirationdate ? toDateString(promoted.expirationdate) : 'your next visit'
+    },
+    dedupeKey: `HOLD_AVAILABLE:${promoted.reserve_id}`
+  });
+
+  return promoted;
+};
+
+// A waiting hold that goes away passes its trapped copy to the next hold, or
+// puts it back on the shelf when nobody else is waiting. A hold without a copy
+// has nothing to pass on, so the queue only moves up.
+const releaseTrappedItem = async (tx, reserve, now) => {
+  if (reserve.found !== 'W' || !reserve.itemnumber) {
+    await resequenceReserves(tx, reserve.biblionumber);
+    return null;
+  }
+
+  const next = await promoteNextReserve(tx, reserve.biblionumber, now, reserve.itemnumber);
+  if (!next) {
+    await tx.item.updateMany({
+      where: { itemnumber: reserve.itemnumber, status: HOLD_SHELF_STATUS },
+      data: { status: 'available', updated_at: now }
+    });
+  }
+  return next;
+};
+
+export const listHoldsAwaitingPickup = async ({ now = new Date() } = {}) => {
+  const reserves = await prisma.reserve.findMany({
+    where: { found: 'W', cancellationdate: null },
+    orderBy: [{ expirationdate: 'asc' }, { waitingdate: 'asc' }],
+    include: {
+      borrower: { select: { borrowernumber: true, full_name: true, cardnumber: true } },
+      biblio: { select: { biblionumber: true, title: true } },
+      item: { select: { itemnumber: true, barcode: true, location: true, status: true } }
+    }
+  });
+
+  const today = startOfDay(now);
+  return reserves.map((reserve) => ({
+    ...reserve,
+    expired: reserve.expirationdate ? startOfDay(reserve.expirationdate) < today : false
+  }));
+};
+
+export const expireWaitingHolds = async ({ now = new Date() } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const expiryDays = await getHoldExpiryDays(tx);
+    if (!expiryDays) {
+      return { expired: [], promoted: [] };
+    }
+
+    const today = startOfDay(now);
+    const waiting = await tx.reserve.findMany({
+      where: {
+        found: 'W',
+        cancellationdate: null
+      },
+      orderBy: { waitingdate: 'asc' }
+    });
+
+    const expired = [];
+    const promoted = [];
+
+    for (const reserve of waiting) {
+      const deadline = reserve.expirationdate
+        ? startOfDay(reserve.expirationdate)
+        : addDays(startOfDay(reserve.waitingdate ?? reserve.reservedate), expiryDays);
+
+      if (deadline >= today) {
+        continue;
+      }
+
+      const note = `Expired: not collected by ${toDateString(deadline)}`;
+      const cancelled = await tx.reserve.update({
+        where: { reserve_id: reserve.reserve_id },
+        data: {
+          expirationdate: deadline,
+          cancellationdate: now,
+          notes: reserve.notes ? `${reserve.notes}\n${note}` : note
+        }
+      });
+      await recordAudit(tx, {
+        action: 'expire',
+        entityType: 'reserve',
+        entityId: reserve.reserve_id,
+        before: reserve,
+        after: cancelled
+      });
+      expired.push(reserve.reserve_id);
+
+      const next = await releaseTrappedItem(tx, reserve, now);
+      if (next) {
+        promoted.push(next.reserve_id);
+      }
+    }
+
+    return { expired, promoted };
+  });
 };
@@ -0,0 +1,245 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../prisma.js';
+import { buildPagination, buildMeta } from '../utils/pagination.js';
+import { isbnVariants } from '../utils/isbn.js';
+import { parseSearchQuery, toWebSearch } from '../utils/searchQuery.js';
+
+// Weighted document searched by free text. It must stay identical to the
+// expression of idx_biblio_search_document, otherwise the GIN index is not used.
+const DOCUMENT = Prisma.sql`(
+  setweight(to_tsvector('english', coalesce(b.title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(b.subtitle, '')), 'B') ||
+  setweight(to_tsvector('simple', coalesce(b.author, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(b.abstract, '')), 'C')
+)`;
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+const STRIPPED_ISBN = Prisma.sql`upper(regexp_replace(coalesce(b.isbn, ''), '[^0-9Xx]', '', 'g'))`;
+
+const normalizeIsbnQuery = (value) => value.replace(/[^0-9Xx]/g, '').toUpperCase();
+
+// Each clause contributes a match condition and a relevance score. Trigram
+// operators (<%) use the pg_trgm indexes and give typo tolerance on titles and
+// authors; full-text matching handles stemming and quoted phrases.
+const freeTextClause = (text) => {
+  const query = Prisma.sql`websearch_to_tsquery('english', ${text})`;
+  return {
+    where: Prisma.sql`(${DOCUMENT} @@ ${query} OR ${text} <% b.title OR ${text} <% b.author)`,
+    score: Prisma.sql`(
+      ts_rank_cd(${DOCUMENT}, ${query})
+      + 0.5 * word_similarity(${text}, b.title)
+      + 0.3 * word_similarity(${text}, coalesce(b.author, ''))
+    )`
+  };
+};
+
+const FIELD_CLAUSES = {
+  title: (value) => ({
+    where: Prisma.sql`(
+      to_tsvector('english', b.title) @@ phraseto_tsquery('english', ${value}) OR ${value} <% b.title
+    )`,
+    score: Prisma.sql`word_similarity(${value}, b.title)`
+  }),
+  author: (value) => ({
+    where: Prisma.sql`(b.author ILIKE ${`%${escapeLike(value)}%`} OR ${value} <% b.author)`,
+    score: Prisma.sql`word_similarity(${value}, coalesce(b.author, ''))`
+  }),
+  // A complete ISBN matches the record in either its 10 or 13 digit form;
+  // anything else is a prefix search.
+  isbn: (value) => {
+    const variants = isbnVariants(value);
+    return {
+      where: variants.length
+        ? Prisma.sql`${STRIPPED_ISBN} = ANY(${variants}::text[])`
+        : Prisma.sql`${STRIPPED_ISBN} LIKE ${`${normalizeIsbnQuery(value)}%`}`,
+      score: Prisma.sql`1`
+    };
+  }
+};
+
+// Per-record holdings summary, joined laterally so it is only computed for
+// records that are actually considered. Withdrawn copies are left out. A copy
+// counts as checked out when it has an open issue (or is flagged so), and as
+// available when it is loanable and on the shelf.
+const HOLDINGS = Prisma.sql`
+  LEFT JOIN LATERAL (
+    SELECT
+      count(*)::int AS total,
+      count(*) FILTER (
+        WHERE i.status = 'available' AND NOT i.notforloan AND iss.issue_id IS NULL
+      )::int AS available,
+      count(*) FILTER (WHERE i.status = 'checked_out' OR iss.issue_id IS NOT NULL)::int AS checked_out,
+      min(iss.date_due) AS earliest_due,
+      array_remove(array_agg(DISTINCT i.location), NULL) AS locations
+    FROM items i
+    LEFT JOIN issues iss ON iss.itemnumber = i.itemnumber AND iss.returndate IS NULL
+    WHERE i.biblionumber = b.biblionumber AND i.withdrawn_at IS NULL
+  ) h ON TRUE
+`;
+
+// Holds still waiting for a copy, as in the reserve queue
+const HOLD_QUEUE = Prisma.sql`
+  LEFT JOIN LATERAL (
+    SELECT count(*)::int AS holds
+    FROM reserves r
+    WHERE r.biblionumber = b.biblionumber AND r.cancellationdate IS NULL AND r.found IS NULL
+  ) hq ON TRUE
+`;
+
+const AVAILABILITY_COLUMNS = Prisma.sql`h.total, h.available, h.checked_out, h.earliest_due, hq.holds`;
+
+const withAvailability = ({ total, available, checked_out: checkedOut, earliest_due: earliestDue, holds, ...row }) => ({
+  ...row,
+  availability: { total, available, checked_out: checkedOut, earliest_due: earliestDue, holds }
+});
+
+const AVAILABILITY = Prisma.sql`
+  CASE WHEN h.available > 0 THEN 'available' WHEN h.checked_out > 0 THEN 'checked_out' ELSE 'unavailable' END
+`;
+
+const FACET_LIMIT = 20;
+
+const parseYearRange = (range) => {
+  const [from, to = from] = range.split('-').map(Number);
+  return { from, to };
+};
+
+// Facet filters are OR-ed within a facet and AND-ed across facets. Year
+// filters take ranges such as 1990-1999 (the facet buckets are decades).
+const FACETS = {
+  itemtype: {
+    value: Prisma.sql`b.itemtype`,
+    filter: (values) => Prisma.sql`b.itemtype = ANY(${values}::text[])`
+  },
+  author: {
+    value: Prisma.sql`b.author`,
+    filter: (values) => Prisma.sql`b.author = ANY(${values}::text[])`
+  },
+  publisher: {
+    value: Prisma.sql`b.publisher`,
+    filter: (values) => Prisma.sql`b.publisher = ANY(${values}::text[])`
+  },
+  year: {
+    value: Prisma.sql`
+      CASE WHEN b.publicationyear IS NOT NULL
+        THEN (b.publicationyear / 10 * 10)::text || '-' || (b.publicationyear / 10 * 10 + 9)::text
+      END
+    `,
+    filter: (values) =>
+      Prisma.sql`(${Prisma.join(
+        values.map(parseYearRange).map(({ from, to }) => Prisma.sql`b.publicationyear BETWEEN ${from} AND ${to}`),
+        ' OR '
+      )})`,
+    orderBy: Prisma.sql`1 DESC`
+  },
+  availability: {
+    value: AVAILABILITY,
+    filter: (values) => Prisma.sql`(${AVAILABILITY}) = ANY(${values}::text[])`
+  },
+  location: {
+    value: Prisma.sql`location.value`,
+    join: Prisma.sql`CROSS JOIN LATERAL unnest(h.locations) AS location(value)`,
+    filter: (values) => Prisma.sql`h.locations && ${values}::text[]`
+  }
+};
+
+export const FACET_NAMES = Object.keys(FACETS);
+
+const buildSearchClauses = (q) => {
+  const parsed = parseSearchQuery(q);
+  const text = toWebSearch(parsed);
+  const clauses = [];
+
+  if (text) {
+    clauses.push(freeTextClause(text));
+  }
+  Object.entries(parsed.fields).forEach(([field, values]) => {
+    values.forEach((value) => clauses.push(FIELD_CLAUSES[field](value)));
+  });
+
+  return {
+    ranked: clauses.length > 0,
+    conditions: clauses.map((clause) => clause.where),
+    score: clauses.length ? Prisma.join(clauses.map((clause) => clause.score), ' + ') : Prisma.sql`0`
+  };
+};
+
+const facetConditions = (filters, except) =>
+  FACET_NAMES.filter((name) => name !== except && filters[name]?.length).map((name) =>
+    FACETS[name].filter(filters[name])
+  );
+
+const whereClause = (conditions) => (conditions.length ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`);
+
+// Counts for one facet apply the query and every other facet's filters, so
+// values stay selectable alongside the ones already chosen.
+const countFacet = async (name, searchConditions, filters) => {
+  const facet = FACETS[name];
+  const where = whereClause([
+    ...searchConditions,
+    ...facetConditions(filters, name),
+    Prisma.sql`${facet.value} IS NOT NULL`
+  ]);
+  const rows = await prisma.$queryRaw`
+    SELECT ${facet.value} AS value, count(DISTINCT b.biblionumber)::int AS count
+    FROM biblio b
+    ${HOLDINGS}
+    ${facet.join ?? Prisma.empty}
+    WHERE ${where}
+    GROUP BY 1
+    ORDER BY ${facet.orderBy ?? Prisma.sql`2 DESC, 1 ASC`}
+    LIMIT ${FACET_LIMIT}
+  `;
+  return rows.map((row) => ({ ...row, selected: filters[name]?.includes(row.value) ?? false }));
+};
+
+// Relevance-ranked catalogue search with facet counts. Without a query every
+// record matches and results are newest first, as in the plain listing.
+export const searchBiblios = async ({ q, filters = {}, page = 1, limit = 20 }) => {
+  const { skip, limit: take } = buildPagination({ page, limit });
+  const { ranked, conditions, score } = buildSearchClauses(q);
+  const where = whereClause([...conditions, ...facetConditions(filters)]);
+  const orderBy = ranked
+    ? Prisma.sql`score DESC, b.biblionumber DESC`
+    : Prisma.sql`b.created_at DESC, b.biblionumber DESC`;
+
+  const [[{ total }], rows, ...facetCounts] = await Promise.all([
+    prisma.$queryRaw`SELECT count(*)::int AS total FROM biblio b ${HOLDINGS} WHERE ${where}`,
+    prisma.$queryRaw`
+      SELECT b.*, (${score})::float8 AS score, ${AVAILABILITY_COLUMNS}
+      FROM biblio b
+      ${HOLDINGS}
+      ${HOLD_QUEUE}
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${take} OFFSET ${skip}
+    `,
+    ...FACET_NAMES.map((name) => countFacet(name, conditions, filters))
+  ]);
+
+  return {
+    data: rows.map((row) => withAvailability({ ...row, score: Math.round(row.score * 10000) / 10000 })),
+    meta: {
+      ...buildMeta({ total, page: Number(page), limit: Number(limit) }),
+      facets: Object.fromEntries(FACET_NAMES.map((name, index) => [name, facetCounts[index]]))
+    }
+  };
+};
+
+// Availability for a set of records (e.g. one page of the plain listing),
+// fetched with one aggregated query.
+export const getAvailabilitySummaries = async (biblionumbers) => {
+  if (!biblionumbers.length) {
+    return new Map();
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT b.biblionumber, ${AVAILABILITY_COLUMNS}
+    FROM biblio b
+    ${HOLDINGS}
+    ${HOLD_QUEUE}
+    WHERE b.biblionumber = ANY(${biblionumbers}::int[])
+  `;
+  return new Map(rows.map((row) => [row.biblionumber, withAvailability(row).availability]));
+};
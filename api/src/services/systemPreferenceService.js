@@ -1,5 +1,12 @@
 import prisma from '../prisma.js';
 import { ApiError } from '../utils/apiError.js';
+import { recordAudit } from './auditService.js';
+
+export const getSystemPreference = async (client, variable, fallback) => {
+  const pref = await client.systemPreference.findUnique({ where: { variable } });
+  if (!pref || pref.value === null) return fallback;
+  return pref.value;
+};
 
 export const listPreferences = async () => {
   return prisma.systemPreference.findMany({ orderBy: { variable: 'asc' } });
@@ -7,14 +14,25 @@ export const listPreferences = async () => {
 
 export const updatePreference = async (variable, data) => {
   try {
-    return await prisma.systemPreference.update({
-      where: { variable },
-      data: {
-        value: data.value,
-        explanation: data.explanation,
-        type: data.type,
-        updated_at: new Date()
-      }
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.systemPreference.findUnique({ where: { variable } });
+      const preference = await tx.systemPreference.update({
+        where: { variable },
+        data: {
+          value: data.value,
+          explanation: data.explanation,
+          type: data.type,
+          updated_at: new Date()
+        }
+      });
+      await recordAudit(tx, {
+        action: 'update',
+        entityType: 'systempreference',
+        entityId: variable,
+        before: existing,
+        after: preference
+      });
+      return preference;
     });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -0,0 +1,42 @@
+const REDACTED_FIELDS = ['password', 'token_version', 'token_hash'];
+
+const normalize = (record) => {
+  if (record === null || record === undefined) {
+    return null;
+  }
+
+  const plain = JSON.parse(JSON.stringify(record));
+  REDACTED_FIELDS.forEach((field) => delete plain[field]);
+  return plain;
+};
+
+const isRelation = (value) => value !== null && typeof value === 'object';
+
+const pick = (record, keys) => Object.fromEntries(keys.map((key) => [key, record[key]]));
+
+// Reduces a before/after pair to the fields that changed. A field found on
+// only one side is kept when it holds a plain value (e.g. the id of a related
+// line) and skipped when it is an included relation. Creates and deletes keep
+// the whole record on their side.
+export const diffRecords = (before, after) => {
+  const previous = normalize(before);
+  const next = normalize(after);
+
+  if (!previous || !next) {
+    return { before: previous, after: next };
+  }
+
+  const changed = [...new Set([...Object.keys(previous), ...Object.keys(next)])].filter((key) => {
+    if (key === 'updated_at') {
+      return false;
+    }
+    if (!(key in previous) || !(key in next)) {
+      return !isRelation(previous[key] ?? next[key]);
+    }
+    return JSON.stringify(previous[key]) !== JSON.stringify(next[key]);
+  });
+
+  return { before: pick(previous, changed), after: pick(next, changed) };
+};
+
+export default diffRecords;
@@ -0,0 +1,54 @@
+import { addDays, startOfDay, toDateString } from './date.js';
+
+const toMonthDay = (date) => toDateString(date).slice(5);
+
+export const createCalendar = ({ closedWeekdays = [], holidays = [] } = {}) => {
+  const fixed = new Set();
+  const yearly = new Set();
+
+  holidays.forEach((holiday) => {
+    if (holiday.repeat_yearly) {
+      yearly.add(toMonthDay(holiday.holiday_date));
+    } else {
+      fixed.add(toDateString(holiday.holiday_date));
+    }
+  });
+
+  return { closedWeekdays: new Set(closedWeekdays), fixed, yearly };
+};
+
+export const parseClosedWeekdays = (value) =>
+  String(value ?? '')
+    .split(',')
+    .map((day) => Number.parseInt(day.trim(), 10))
+    .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+
+export const isClosedDay = (calendar, date) => {
+  const day = startOfDay(date);
+  return (
+    calendar.closedWeekdays.has(day.getUTCDay()) ||
+    calendar.fixed.has(toDateString(day)) ||
+    calendar.yearly.has(toMonthDay(day))
+  );
+};
+
+export const nextOpenDay = (calendar, date) => {
+  let candidate = new Date(date);
+  for (let i = 0; i < 366; i += 1) {
+    if (!isClosedDay(calendar, candidate)) {
+      return candidate;
+    }
+    candidate = addDays(candidate, 1);
+  }
+  return new Date(date);
+};
+
+export const countOpenDays = (calendar, from, days) => {
+  let open = 0;
+  for (let i = 1; i <= days; i += 1) {
+    if (!isClosedDay(calendar, addDays(from, i))) {
+      open += 1;
+    }
+  }
+  return open;
+};
@@ -0,0 +1,60 @@
+// RFC 4180 CSV parsing: quoted fields may contain commas, newlines and doubled
+// quotes. Returns one array of cell strings per non-empty record, each tagged
+// with the line it starts on.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(cell);
+    if (record.length > 1 || record[0].trim() !== '') {
+      records.push({ line: recordLine, cells: record });
+    }
+    record = [];
+    cell = '';
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (cell !== '' || record.length) {
+    endRecord();
+  }
+
+  return records;
+};
+
+export default parseCsv;
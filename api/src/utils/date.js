@@ -0,0 +1,12 @@
+export const startOfDay = (date) => {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+export const addDays = (date, days) => {
+  const value = new Date(date);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value;
+};
+
+export const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
@@ -0,0 +1,36 @@
+export const toMoney = (value) => Number(Number(value).toFixed(2));
+
+export const calculateOverdueFine = ({ chargeableDays, finePerDay, fineCap = null, replacementCost = null }) => {
+  const uncapped = toMoney(chargeableDays * finePerDay);
+
+  const caps = [];
+  if (fineCap !== null && fineCap !== undefined && Number(fineCap) >= 0) {
+    caps.push({ amount: toMoney(fineCap), reason: `capped at maximum fine ${toMoney(fineCap).toFixed(2)}` });
+  }
+  if (replacementCost !== null && replacementCost !== undefined && Number(replacementCost) > 0) {
+    caps.push({
+      amount: toMoney(replacementCost),
+      reason: `capped at replacement cost ${toMoney(replacementCost).toFixed(2)}`
+    });
+  }
+
+  const cap = caps.sort((a, b) => a.amount - b.amount)[0];
+  if (cap && uncapped > cap.amount) {
+    return { amount: cap.amount, uncapped, capReason: cap.reason };
+  }
+
+  return { amount: uncapped, uncapped, capReason: null };
+};
+
+export const describeOverdueFine = ({ daysOverdue, chargeableDays, capReason }) => {
+  const notes = [];
+  if (chargeableDays < daysOverdue) {
+    notes.push(`${daysOverdue - chargeableDays} closed days excluded`);
+  }
+  if (capReason) {
+    notes.push(capReason);
+  }
+
+  const base = `Overdue fine - ${chargeableDays} days late`;
+  return notes.length ? `${base} (${notes.join('; ')})` : base;
+};
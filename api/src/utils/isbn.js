@@ -0,0 +1,53 @@
+// ISBN helpers. Records store the ISBN-13 form without hyphens; ISBN-10 input
+// is converted on save, and lookups accept either form.
+
+export const cleanIsbn = (value) => String(value ?? '').replace(/[\s-]/g, '').toUpperCase();
+
+const isbn10CheckDigit = (digits) => {
+  const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (digits) => {
+  const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+};
+
+export const isValidIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+export const isValidIsbn = (value) => isValidIsbn10(value) || isValidIsbn13(value);
+
+// Returns the ISBN-13 form of a valid ISBN-10 or ISBN-13, or null.
+export const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) {
+    return isbn;
+  }
+  if (isValidIsbn10(isbn)) {
+    const body = `978${isbn.slice(0, 9)}`;
+    return `${body}${isbn13CheckDigit(body)}`;
+  }
+  return null;
+};
+
+// Returns the ISBN-10 form, which only exists for 978-prefixed numbers.
+export const toIsbn10 = (value) => {
+  const isbn13 = toIsbn13(value);
+  if (!isbn13?.startsWith('978')) {
+    return null;
+  }
+  const body = isbn13.slice(3, 12);
+  return `${body}${isbn10CheckDigit(body)}`;
+};
+
+// Every unhyphenated form a record may have been stored under.
+export const isbnVariants = (value) => [...new Set([toIsbn13(value), toIsbn10(value)].filter(Boolean))];
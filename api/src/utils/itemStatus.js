@@ -0,0 +1,5 @@
+// A copy trapped for a waiting hold. Only the patron it is held for can borrow
+// it until the hold is picked up, cancelled or expires.
+export const HOLD_SHELF_STATUS = 'on_hold_shelf';
+
+export const ITEM_STATUSES = ['available', 'checked_out', HOLD_SHELF_STATUS, 'lost', 'damaged', 'withdrawn'];
@@ -0,0 +1,294 @@
+// Minimal MARC21 support: ISO 2709 and MARCXML parsing/serialisation and the
+// field mapping used by the catalogue import and export.
+//
+// A record is `{ leader, fields }` where control fields (00X) are
+// `{ tag, value }` and data fields are `{ tag, ind1, ind2, subfields: [{ code, value }] }`.
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = '\x1e';
+const SUBFIELD_DELIMITER = '\x1f';
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+const DEFAULT_LEADER = '00000nam a2200000   4500';
+
+const isControlTag = (tag) => /^00\d$/.test(tag);
+
+const parseIsoRecord = (buffer) => {
+  const leader = buffer.toString('latin1', 0, LEADER_LENGTH);
+  if (leader.length < LEADER_LENGTH || !/^\d{5}$/.test(leader.slice(0, 5))) {
+    throw new Error('Invalid MARC leader');
+  }
+
+  const baseAddress = Number.parseInt(leader.slice(12, 17), 10);
+  const directoryEnd = buffer.indexOf(FIELD_TERMINATOR, LEADER_LENGTH, 'latin1');
+  if (Number.isNaN(baseAddress) || directoryEnd === -1) {
+    throw new Error('Invalid MARC directory');
+  }
+
+  const directory = buffer.toString('latin1', LEADER_LENGTH, directoryEnd);
+  const fields = [];
+  for (let offset = 0; offset + DIRECTORY_ENTRY_LENGTH <= directory.length; offset += DIRECTORY_ENTRY_LENGTH) {
+    const tag = directory.slice(offset, offset + 3);
+    const length = Number.parseInt(directory.slice(offset + 3, offset + 7), 10);
+    const start = baseAddress + Number.parseInt(directory.slice(offset + 7, offset + 12), 10);
+    const raw = buffer.toString('utf8', start, start + length).replace(/\x1e$/, '');
+
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: raw });
+      continue;
+    }
+
+    const [indicators, ...chunks] = raw.split(SUBFIELD_DELIMITER);
+    fields.push({
+      tag,
+      ind1: indicators[0] ?? ' ',
+      ind2: indicators[1] ?? ' ',
+      subfields: chunks.filter(Boolean).map((chunk) => ({ code: chunk[0], value: chunk.slice(1) }))
+    });
+  }
+
+  return { leader, fields };
+};
+
+export const parseIso2709 = (input) => {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+  const records = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    let end = buffer.indexOf(RECORD_TERMINATOR, start);
+    if (end === -1) end = buffer.length;
+
+    const chunk = buffer.subarray(start, end);
+    if (chunk.toString('latin1').trim()) {
+      records.push(parseIsoRecord(chunk));
+    }
+    start = end + 1;
+  }
+
+  return records;
+};
+
+const encodeField = (field) => {
+  if (isControlTag(field.tag)) {
+    return `${field.value}${FIELD_TERMINATOR}`;
+  }
+  const subfields = field.subfields.map(({ code, value }) => `${SUBFIELD_DELIMITER}${code}${value}`).join('');
+  return `${field.ind1 ?? ' '}${field.ind2 ?? ' '}${subfields}${FIELD_TERMINATOR}`;
+};
+
+const serializeIsoRecord = ({ leader = DEFAULT_LEADER, fields }) => {
+  let directory = '';
+  let data = '';
+  let position = 0;
+
+  fields.forEach((field) => {
+    const encoded = encodeField(field);
+    const length = Buffer.byteLength(encoded, 'utf8');
+    directory += `${field.tag}${String(length).padStart(4, '0')}${String(position).padStart(5, '0')}`;
+    data += encoded;
+    position += length;
+  });
+  directory += FIELD_TERMINATOR;
+
+  const baseAddress = LEADER_LENGTH + directory.length;
+  const recordLength = baseAddress + Buffer.byteLength(data, 'utf8') + 1;
+  // Character coding scheme (position 9) is always Unicode on export
+  const head = `${String(recordLength).padStart(5, '0')}${leader.slice(5, 9)}a${leader.slice(10, 12)}`;
+  const tail = `${String(baseAddress).padStart(5, '0')}${leader.slice(17)}`;
+
+  return `${head}${tail}${directory}${data}${String.fromCharCode(RECORD_TERMINATOR)}`;
+};
+
+export const serializeIso2709 = (records) => Buffer.from(records.map(serializeIsoRecord).join(''), 'utf8');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? Number.parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+
+const encodeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  for (const [, name, double, single] of source.matchAll(/([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeXml(double ?? single);
+  }
+  return attributes;
+};
+
+// Element pattern tolerating an optional namespace prefix, e.g. <marc:datafield>
+const element = (name) => new RegExp(`<(?:\\w+:)?${name}\\b([^>]*)>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+
+export const parseMarcXml = (input) => {
+  const xml = Buffer.isBuffer(input) ? input.toString('utf8') : input;
+  const records = [];
+
+  for (const [, , body] of xml.matchAll(element('record'))) {
+    const leaderMatch = body.match(/<(?:\w+:)?leader\b[^>]*>([\s\S]*?)<\/(?:\w+:)?leader>/);
+    const fields = [];
+
+    for (const [, attrs, value] of body.matchAll(element('controlfield'))) {
+      fields.push({ tag: parseAttributes(attrs).tag, value: decodeXml(value) });
+    }
+
+    for (const [, attrs, content] of body.matchAll(element('datafield'))) {
+      const { tag, ind1 = ' ', ind2 = ' ' } = parseAttributes(attrs);
+      const subfields = [...content.matchAll(element('subfield'))].map(([, subAttrs, value]) => ({
+        code: parseAttributes(subAttrs).code,
+        value: decodeXml(value)
+      }));
+      fields.push({ tag, ind1: ind1 || ' ', ind2: ind2 || ' ', subfields });
+    }
+
+    fields.sort((a, b) => a.tag.localeCompare(b.tag));
+    records.push({ leader: leaderMatch ? decodeXml(leaderMatch[1]) : DEFAULT_LEADER, fields });
+  }
+
+  return records;
+};
+
+const serializeXmlRecord = ({ leader = DEFAULT_LEADER, fields }) => {
+  const lines = ['  <record>', `    <leader>${encodeXml(leader)}</leader>`];
+
+  fields.forEach((field) => {
+    if (isControlTag(field.tag)) {
+      lines.push(`    <controlfield tag="${field.tag}">${encodeXml(field.value)}</controlfield>`);
+      return;
+    }
+    lines.push(`    <datafield tag="${field.tag}" ind1="${field.ind1 ?? ' '}" ind2="${field.ind2 ?? ' '}">`);
+    field.subfields.forEach(({ code, value }) => {
+      lines.push(`      <subfield code="${code}">${encodeXml(value)}</subfield>`);
+    });
+    lines.push('    </datafield>');
+  });
+
+  lines.push('  </record>');
+  return lines.join('\n');
+};
+
+export const serializeMarcXml = (records) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<collection xmlns="http://www.loc.gov/MARC21/slim">',
+    ...records.map(serializeXmlRecord),
+    '</collection>',
+    ''
+  ].join('\n');
+
+// Detects the format from the payload itself: MARCXML starts with markup,
+// anything else is treated as ISO 2709.
+export const parseMarc = (input) => {
+  const text = Buffer.isBuffer(input) ? input.toString('utf8', 0, Math.min(input.length, 512)) : input;
+  return text.replace(/^\uFEFF/, '').trimStart().startsWith('<') ? parseMarcXml(input) : parseIso2709(input);
+};
+
+const subfield = (field, code) => field?.subfields?.find((entry) => entry.code === code)?.value;
+
+const findField = (record, ...tags) => {
+  for (const tag of tags) {
+    const field = record.fields.find((entry) => entry.tag === tag);
+    if (field) return field;
+  }
+  return undefined;
+};
+
+// Strips trailing ISBD punctuation ("Title :", "Author,", "Publisher,") left by cataloguers
+const clean = (value) => {
+  const text = value?.replace(/\s*[/:;,=]\s*$/, '').replace(/(?<!\b[A-Z])\.$/, '').trim();
+  return text || undefined;
+};
+
+export const normalizeMarcIsbn = (value) => {
+  const match = value?.replace(/-/g, '').match(/\b(\d{13}|\d{9}[\dXx])\b/);
+  return match ? match[1].toUpperCase() : undefined;
+};
+
+const toNumber = (value) => {
+  if (value === undefined) return undefined;
+  const number = Number.parseFloat(String(value).replace(/[^\d.]/g, ''));
+  return Number.isNaN(number) ? undefined : number;
+};
+
+// Holdings follow the Koha 952 layout: $p barcode, $o call number,
+// $c shelving location, $g price, $v replacement price, $7 not for loan, $z note.
+const toItem = (field) => ({
+  barcode: clean(subfield(field, 'p')),
+  itemcallnumber: clean(subfield(field, 'o')),
+  location: clean(subfield(field, 'c')),
+  price: toNumber(subfield(field, 'g')),
+  replacementprice: toNumber(subfield(field, 'v')),
+  notforloan: !['0', '', undefined].includes(subfield(field, '7')?.trim()),
+  notes: clean(subfield(field, 'z'))
+});
+
+export const marcToBiblio = (record) => {
+  const titleField = findField(record, '245');
+  const publication =
+    record.fields.find((field) => field.tag === '264' && field.ind2 === '1') ?? findField(record, '260', '264');
+  const year = subfield(publication, 'c')?.match(/\d{4}/)?.[0];
+
+  return {
+    biblio: {
+      title: clean(subfield(titleField, 'a')),
+      subtitle: clean(subfield(titleField, 'b')),
+      author: clean(subfield(findField(record, '100'), 'a')),
+      isbn: normalizeMarcIsbn(subfield(findField(record, '020'), 'a')),
+      publisher: clean(subfield(publication, 'b')),
+      publicationyear: year ? Number(year) : undefined,
+      abstract: clean(subfield(findField(record, '520'), 'a')),
+      itemtype: clean(subfield(findField(record, '942'), 'c'))
+    },
+    items: record.fields.filter((field) => field.tag === '952').map(toItem)
+  };
+};
+
+const dataField = (tag, ind1, ind2, entries) => {
+  const subfields = entries
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([code, value]) => ({ code, value: String(value) }));
+  return subfields.length ? { tag, ind1, ind2, subfields } : null;
+};
+
+export const biblioToMarc = (biblio) => {
+  const fields = [
+    { tag: '001', value: String(biblio.biblionumber) },
+    dataField('020', ' ', ' ', [['a', biblio.isbn]]),
+    dataField('100', '1', ' ', [['a', biblio.author]]),
+    dataField('245', biblio.author ? '1' : '0', '0', [
+      ['a', biblio.title],
+      ['b', biblio.subtitle]
+    ]),
+    dataField('264', ' ', '1', [
+      ['b', biblio.publisher],
+      ['c', biblio.publicationyear]
+    ]),
+    dataField('500', ' ', ' ', [['a', biblio.notes]]),
+    dataField('520', ' ', ' ', [['a', biblio.abstract]]),
+    dataField('942', ' ', ' ', [['c', biblio.itemtype]]),
+    ...(biblio.items ?? []).map((item) =>
+      dataField('952', ' ', ' ', [
+        ['c', item.location],
+        ['g', item.price],
+        ['o', item.itemcallnumber],
+        ['p', item.barcode],
+        ['v', item.replacementprice],
+        ['z', item.notes],
+        ['7', item.notforloan ? '1' : '0']
+      ])
+    )
+  ].filter(Boolean);
+
+  return { leader: DEFAULT_LEADER, fields };
+};
@@ -0,0 +1,30 @@
+export const PERMISSIONS = [
+  'circulate',
+  'catalogue',
+  'manage_borrowers',
+  'manage_fines',
+  'manage_preferences',
+  'view_audit_log'
+];
+
+// Permissions granted by each role. Staff accounts can be given further
+// permissions individually through the borrower's `permissions` flags.
+export const ROLE_PERMISSIONS = {
+  ADMIN: PERMISSIONS,
+  STAFF: ['circulate'],
+  MEMBER: []
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export const resolvePermissions = ({ role, permissions = [] }) => [
+  ...new Set([...(ROLE_PERMISSIONS[role] ?? []), ...permissions])
+];
+
+export const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+// Permissions of `subject` (a role plus individual flags) that `user` lacks
+export const missingPermissions = (user, subject) =>
+  resolvePermissions(subject).filter((permission) => !hasPermission(user, permission));
+
+export default resolvePermissions;
@@ -0,0 +1,11 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Per-request state (client IP, authenticated borrower) that services can read
+// without every call site passing it along.
+const storage = new AsyncLocalStorage();
+
+export const runWithContext = (context, callback) => storage.run(context, callback);
+
+export const getRequestContext = () => storage.getStore() ?? {};
+
+export default getRequestContext;
@@ -0,0 +1,33 @@
+export const SEARCH_FIELDS = ['title', 'author', 'isbn'];
+
+// Splits a catalogue query into free text and field-qualified parts:
+//   dune "desert planet" author:herbert title:"children of dune"
+// Quoted text is kept as a phrase; unknown prefixes are treated as free text.
+export const parseSearchQuery = (input = '') => {
+  const parsed = { terms: [], phrases: [], fields: {} };
+  const pattern = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+
+  for (const [match, prefix, quoted, bare] of String(input).matchAll(pattern)) {
+    const field = prefix?.toLowerCase();
+
+    if (SEARCH_FIELDS.includes(field)) {
+      const value = (quoted ?? bare).trim();
+      if (value) {
+        parsed.fields[field] = [...(parsed.fields[field] ?? []), value];
+      }
+    } else if (quoted !== undefined) {
+      if (prefix) parsed.terms.push(prefix);
+      if (quoted.trim()) parsed.phrases.push(quoted.trim());
+    } else {
+      parsed.terms.push(match);
+    }
+  }
+
+  return parsed;
+};
+
+// Free text as accepted by websearch_to_tsquery: phrases stay quoted.
+export const toWebSearch = ({ terms, phrases }) =>
+  [...terms, ...phrases.map((phrase) => `"${phrase}"`)].join(' ').trim();
+
+export default parseSearchQuery;
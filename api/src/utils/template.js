@@ -0,0 +1,9 @@
+const PLACEHOLDER = /{{\s*([\w.]+)\s*}}/g;
+
+export const renderTemplate = (text, variables = {}) =>
+  text.replace(PLACEHOLDER, (match, key) => {
+    const value = key.split('.').reduce((scope, part) => (scope == null ? undefined : scope[part]), variables);
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+export default renderTemplate;
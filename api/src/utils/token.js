@@ -1,3 +1,4 @@
+import crypto from 'node:crypto';
 import jwt from 'jsonwebtoken';
 import { config } from '../config/env.js';
 
@@ -8,4 +9,10 @@ export const generateToken = (payload, options = {}) => {
   });
 };
 
+// Opaque tokens (refresh tokens) are random strings handed to the client once;
+// only their SHA-256 digest is stored.
+export const generateOpaqueToken = () => crypto.randomBytes(48).toString('base64url');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 export default generateToken;
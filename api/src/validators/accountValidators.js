@@ -5,3 +5,29 @@ export const payFineValidator = [
   body('amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than zero'),
   body('payment_type').optional().isString()
 ];
+
+export const payBorrowerValidator = [
+  param('borrowernumber').isInt().withMessage('Borrower number must be an integer'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than zero'),
+  body('accountlines').optional().isArray({ min: 1 }).withMessage('accountlines must be a non-empty array'),
+  body('accountlines.*').isInt().withMessage('Account line ids must be integers').toInt(),
+  body('payment_type').optional().isString()
+];
+
+export const writeOffValidator = [
+  param('id').isInt().withMessage('Account line id must be an integer'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Write-off amount must be greater than zero'),
+  body('reason').optional().isString()
+];
+
+export const refundValidator = [
+  param('id').isInt().withMessage('Account line id must be an integer'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be greater than zero'),
+  body('payment_type').optional().isString()
+];
+
+export const creditValidator = [
+  param('borrowernumber').isInt().withMessage('Borrower number must be an integer'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Credit amount must be greater than zero'),
+  body('description').optional().isString()
+];
@@ -0,0 +1,12 @@
+import { query } from 'express-validator';
+
+export const listAuditLogValidator = [
+  query('actor').optional().isInt().withMessage('actor must be a borrower number').toInt(),
+  query('action').optional().isString(),
+  query('entityType').optional().isString(),
+  query('entityId').optional().isString(),
+  query('from').optional().isISO8601().withMessage('from must be a date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be a date').toDate(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
@@ -1,4 +1,5 @@
 import { body } from 'express-validator';
+import { ROLES } from '../utils/permissions.js';
 
 export const registerValidator = [
   body('cardnumber').isString().isLength({ min: 3 }).withMessage('Card number must be at least 3 characters'),
@@ -6,7 +7,7 @@ export const registerValidator = [
   body('email').optional().isEmail().withMessage('Email must be valid').normalizeEmail(),
   body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   body('categorycode').optional().isString().withMessage('Category code must be a string'),
-  body('role').optional().isIn(['ADMIN', 'MEMBER']).withMessage('Invalid role')
+  body('role').optional().isIn(ROLES).withMessage('Invalid role')
 ];
 
 export const loginValidator = [
@@ -20,3 +21,38 @@ export const loginValidator = [
     return true;
   })
 ];
+
+export const refreshValidator = [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+];
+
+export const logoutValidator = [
+  ...refreshValidator,
+  body('allSessions').optional().isBoolean().withMessage('allSessions must be a boolean').toBoolean()
+];
+
+const newPasswordRule = body('newPassword')
+  .isString()
+  .isLength({ min: 8 })
+  .withMessage('New password must be at least 8 characters');
+
+export const changePasswordValidator = [
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+  newPasswordRule
+];
+
+export const forgotPasswordValidator = [
+  body('email').optional().isEmail().withMessage('Email must be valid').normalizeEmail(),
+  body('cardnumber').optional().isString().withMessage('Card number must be a string'),
+  body().custom((value) => {
+    if (!value.email && !value.cardnumber) {
+      throw new Error('Either email or cardnumber is required');
+    }
+    return true;
+  })
+];
+
+export const resetPasswordValidator = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  newPasswordRule
+];
@@ -1,9 +1,12 @@
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
+import { isValidIsbn } from '../utils/isbn.js';
+
+const ISBN_MESSAGE = 'ISBN must be a valid ISBN-10 or ISBN-13';
 
 export const createBiblioValidator = [
   body('title').isString().trim().notEmpty().withMessage('Title is required'),
   body('author').optional().isString(),
-  body('isbn').optional().isString().isLength({ min: 10, max: 17 }).withMessage('ISBN must be between 10 and 17 characters'),
+  body('isbn').optional().isString().custom(isValidIsbn).withMessage(ISBN_MESSAGE),
   body('publicationyear').optional().isInt({ min: 1000, max: 2500 }),
   body('itemtype').optional().isString()
 ];
@@ -12,7 +15,61 @@ export const updateBiblioValidator = [
   param('id').isInt().withMessage('Biblio id must be an integer'),
   body('title').optional().isString().trim().notEmpty(),
   body('author').optional().isString(),
-  body('isbn').optional().isString().isLength({ min: 10, max: 17 }),
+  body('isbn').optional().isString().custom(isValidIsbn).withMessage(ISBN_MESSAGE),
   body('publicationyear').optional().isInt({ min: 1000, max: 2500 }),
   body('itemtype').optional().isString()
 ];
+
+// Facet filters accept repeated parameters (?author=A&author=B) for multi-select
+const toList = (value) => [].concat(value).map((entry) => String(entry).trim()).filter(Boolean);
+
+export const searchBiblioValidator = [
+  query('q').optional().isString().isLength({ max: 200 }).withMessage('q must be at most 200 characters'),
+  ...['itemtype', 'author', 'publisher', 'location'].map((facet) => query(facet).optional().customSanitizer(toList)),
+  query('year')
+    .optional()
+    .customSanitizer(toList)
+    .custom((values) => values.every((value) => /^\d{4}(-\d{4})?$/.test(value)))
+    .withMessage('year must be a year or a range such as 1990-1999'),
+  query('availability')
+    .optional()
+    .customSanitizer(toList)
+    .custom((values) => values.every((value) => ['available', 'checked_out', 'unavailable'].includes(value)))
+    .withMessage('availability must be available, checked_out or unavailable'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+export const importMarcValidator = [
+  query('dryRun').optional().isBoolean().toBoolean(),
+  query('withItems').optional().isBoolean().toBoolean(),
+  query('itemtype').optional().isString()
+];
+
+export const exportMarcValidator = [
+  query('format').optional().isIn(['marcxml', 'iso2709']).withMessage('format must be marcxml or iso2709'),
+  query('ids')
+    .optional()
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage('ids must be a comma separated list of biblio ids')
+    .customSanitizer((value) => value.split(',').map(Number)),
+  query('search').optional().isString(),
+  query('itemtype').optional().isString()
+];
+
+export const isbnLookupValidator = [param('isbn').custom(isValidIsbn).withMessage(ISBN_MESSAGE)];
+
+export const duplicatesValidator = [
+  query('minSimilarity')
+    .optional()
+    .isFloat({ min: 0.3, max: 1 })
+    .withMessage('minSimilarity must be between 0.3 and 1')
+    .toFloat(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+];
+
+export const mergeBiblioValidator = [
+  param('id').isInt().withMessage('Biblio id must be an integer').toInt(),
+  body('source_ids').isArray({ min: 1 }).withMessage('source_ids must be a non-empty array'),
+  body('source_ids.*').isInt().withMessage('Source ids must be integers').toInt()
+];
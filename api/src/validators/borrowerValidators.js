@@ -1,12 +1,18 @@
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
+import { PERMISSIONS, ROLES } from '../utils/permissions.js';
 
 export const createBorrowerValidator = [
   body('cardnumber').isString().isLength({ min: 3 }).withMessage('Card number must be at least 3 characters'),
   body('fullName').isString().trim().notEmpty().withMessage('Full name is required'),
+  body('preferredName').optional().isString().trim(),
   body('email').optional().isEmail().withMessage('Email must be valid').normalizeEmail(),
   body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   body('categorycode').isString().withMessage('Category code is required'),
-  body('role').optional().isIn(['ADMIN', 'MEMBER']).withMessage('Invalid role')
+  body('phone').optional().isString(),
+  body('dateexpiry').optional().isISO8601().withMessage('Expiry date must be a valid date').toDate(),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Unknown permission')
 ];
 
 export const updateBorrowerValidator = [
@@ -15,8 +21,20 @@ export const updateBorrowerValidator = [
   body('preferredName').optional().isString().trim(),
   body('email').optional().isEmail().withMessage('Email must be valid').normalizeEmail(),
   body('cardnumber').optional().isString().isLength({ min: 3 }).withMessage('Card number must be at least 3 characters'),
+  body('categorycode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Category code is required'),
   body('phone').optional().isString(),
-  body('dateexpiry').optional().isISO8601().toDate(),
+  body('dateexpiry').optional().isISO8601().withMessage('Expiry date must be a valid date').toDate(),
   body('debarred').optional().isISO8601().toDate(),
-  body('role').optional().isIn(['ADMIN', 'MEMBER'])
+  body('role').optional().isIn(ROLES),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Unknown permission')
+];
+
+export const importBorrowersValidator = [
+  query('mode').optional().isIn(['transaction', 'row']).withMessage('mode must be transaction or row')
 ];
@@ -0,0 +1,21 @@
+import { body, param, query } from 'express-validator';
+
+export const listHolidaysValidator = [
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+export const createHolidayValidator = [
+  body('date').isISO8601().withMessage('Holiday date is required'),
+  body('description').optional().isString(),
+  body('repeat_yearly').optional().isBoolean().toBoolean()
+];
+
+export const updateHolidayValidator = [
+  param('id').isInt().withMessage('Holiday id must be an integer'),
+  body('date').optional().isISO8601(),
+  body('description').optional().isString(),
+  body('repeat_yearly').optional().isBoolean().toBoolean()
+];
+
+export const deleteHolidayValidator = [param('id').isInt().withMessage('Holiday id must be an integer')];
@@ -0,0 +1,28 @@
+import { body, param, query } from 'express-validator';
+
+const ruleFieldValidators = [
+  body('loan_period_days').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('max_renewals').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('fine_per_day').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('fine_cap').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('cap_fine_to_replacement_price').optional({ values: 'null' }).isBoolean().toBoolean(),
+  body('max_checkouts').optional({ values: 'null' }).isInt({ min: 0 }).toInt()
+];
+
+export const createRuleValidator = [
+  body('categorycode').optional().isString().notEmpty().withMessage('Category code must be a string or *'),
+  body('itemtype').optional().isString().notEmpty().withMessage('Item type must be a string or *'),
+  ...ruleFieldValidators
+];
+
+export const updateRuleValidator = [
+  param('id').isInt().withMessage('Rule id must be an integer'),
+  ...ruleFieldValidators
+];
+
+export const deleteRuleValidator = [param('id').isInt().withMessage('Rule id must be an integer')];
+
+export const resolveRuleValidator = [
+  query('categorycode').optional().isString(),
+  query('itemtype').optional().isString()
+];
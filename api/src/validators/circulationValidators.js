@@ -31,6 +31,8 @@ export const renewValidator = [
 export const historyValidator = [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('borrowernumber').optional().isInt().toInt(),
+  query('itemnumber').optional().isInt().toInt(),
   query('issuedFrom').optional().isISO8601(),
   query('issuedTo').optional().isISO8601(),
   query('returnedFrom').optional().isISO8601(),
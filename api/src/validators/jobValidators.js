@@ -0,0 +1,6 @@
+import { body, param } from 'express-validator';
+
+export const runJobValidator = [
+  param('name').isString().withMessage('Job name is required'),
+  body('asOf').optional().isISO8601().withMessage('asOf must be an ISO 8601 date')
+];
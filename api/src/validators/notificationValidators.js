@@ -0,0 +1,25 @@
+import { body, param, query } from 'express-validator';
+import { NOTICE_CODES, DEFAULT_TEMPLATES } from '../notifications/templates.js';
+
+const TEMPLATE_CODES = DEFAULT_TEMPLATES.map((template) => template.code);
+
+export const updateTemplateValidator = [
+  param('code').isIn(TEMPLATE_CODES).withMessage('Unknown message template'),
+  body('name').optional().isString().notEmpty(),
+  body('subject').isString().notEmpty().withMessage('Subject is required'),
+  body('body').isString().notEmpty().withMessage('Body is required')
+];
+
+export const listMessagesValidator = [
+  query('status').optional().isIn(['pending', 'sent', 'failed']),
+  query('borrowernumber').optional().isInt().toInt(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+export const updatePreferencesValidator = [
+  body('preferences').isArray({ min: 1 }).withMessage('preferences must be a non-empty array'),
+  body('preferences.*.code').isIn(NOTICE_CODES).withMessage('Unknown notice code'),
+  body('preferences.*.enabled').optional().isBoolean().toBoolean(),
+  body('preferences.*.days_in_advance').optional({ values: 'null' }).isInt({ min: 0, max: 30 }).toInt()
+];
@@ -9,3 +9,27 @@ export const createReserveValidator = [
 export const cancelReserveValidator = [
   param('id').isInt().withMessage('Reserve id must be an integer')
 ];
+
+export const queueValidator = [
+  param('biblionumber').isInt().withMessage('Biblionumber must be an integer')
+];
+
+export const reorderQueueValidator = [
+  param('biblionumber').isInt().withMessage('Biblionumber must be an integer'),
+  body('reserve_ids').isArray({ min: 1 }).withMessage('reserve_ids must be a non-empty array'),
+  body('reserve_ids.*').isInt().withMessage('Reserve ids must be integers').toInt()
+];
+
+export const priorityValidator = [
+  param('id').isInt().withMessage('Reserve id must be an integer'),
+  body('priority').isInt({ min: 1 }).withMessage('Priority must be a positive integer').toInt()
+];
+
+export const suspendReserveValidator = [
+  param('id').isInt().withMessage('Reserve id must be an integer'),
+  body('until').optional({ values: 'null' }).isISO8601().withMessage('until must be a date')
+];
+
+export const resumeReserveValidator = [
+  param('id').isInt().withMessage('Reserve id must be an integer')
+];
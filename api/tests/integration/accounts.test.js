@@ -99,6 +99,157 @@ describe('Accounts API', () => {
   expect(response.body.data.status).toBe('paid');
   });
 
+  const createCharge = (amount, description = 'Late fee') =>
+    prisma.accountLine.create({
+      data: {
+        borrowernumber: member.borrowernumber,
+        amount,
+        amountoutstanding: amount,
+        description,
+        accounttype: 'OVERDUE',
+        status: 'open'
+      }
+    });
+
+  it('records each payment as its own credit line with an offset', async () => {
+    const fine = await createCharge(5);
+
+    await request(app)
+      .post(`/api/accounts/${fine.accountlines_id}/pay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 2, payment_type: 'cash' });
+
+    const payment = await prisma.accountLine.findFirst({
+      where: { borrowernumber: member.borrowernumber, accounttype: 'PAYMENT' },
+      include: { creditOffsets: true }
+    });
+    expect(Number(payment.amount)).toBe(-2);
+    expect(payment.payment_type).toBe('cash');
+    expect(payment.manager_id).not.toBeNull();
+    expect(payment.creditOffsets).toHaveLength(1);
+    expect(payment.creditOffsets[0].debit_id).toBe(fine.accountlines_id);
+    expect(Number(payment.creditOffsets[0].amount)).toBe(2);
+
+    const response = await request(app)
+      .get('/api/accounts')
+      .set('Authorization', `Bearer ${memberToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(2);
+    expect(response.body.meta).toMatchObject({
+      borrowernumber: member.borrowernumber,
+      balance: 3,
+      outstanding: 3,
+      credit: 0
+    });
+  });
+
+  it('writes off charges and refunds unused credit', async () => {
+    const fine = await createCharge(4);
+
+    const writeOff = await request(app)
+      .post(`/api/accounts/${fine.accountlines_id}/writeoff`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'First offence' });
+
+    expect(writeOff.status).toBe(200);
+    expect(Number(writeOff.body.data.amountoutstanding)).toBe(0);
+    expect(writeOff.body.data.status).toBe('written_off');
+
+    const credit = await request(app)
+      .post(`/api/accounts/borrower/${member.borrowernumber}/credit`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 10, description: 'Overpayment at desk' });
+
+    expect(credit.status).toBe(201);
+    expect(Number(credit.body.data.amountoutstanding)).toBe(-10);
+
+    const refund = await request(app)
+      .post(`/api/accounts/${credit.body.data.accountlines_id}/refund`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 6 });
+
+    expect(refund.status).toBe(200);
+    expect(refund.body.data.accounttype).toBe('REFUND');
+
+    const tooMuch = await request(app)
+      .post(`/api/accounts/${credit.body.data.accountlines_id}/refund`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 5 });
+    expect(tooMuch.status).toBe(400);
+
+    const account = await request(app)
+      .get(`/api/accounts?borrowernumber=${member.borrowernumber}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(account.body.meta).toMatchObject({ balance: -4, outstanding: 0, credit: 4 });
+  });
+
+  it('allocates a lump-sum payment oldest first and keeps the rest as credit', async () => {
+    const older = await createCharge(3, 'Older fine');
+    await prisma.accountLine.update({
+      where: { accountlines_id: older.accountlines_id },
+      data: { date: new Date(Date.now() - 60 * 60 * 1000) }
+    });
+    const newer = await createCharge(4, 'Newer fine');
+
+    const partial = await request(app)
+      .post(`/api/accounts/borrower/${member.borrowernumber}/pay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 5, payment_type: 'cash' });
+
+    expect(partial.status).toBe(200);
+    expect(partial.body.data.allocations).toEqual([
+      expect.objectContaining({ accountlines_id: older.accountlines_id, applied: 3, status: 'paid' }),
+      expect.objectContaining({ accountlines_id: newer.accountlines_id, applied: 2, status: 'partially_paid' })
+    ]);
+    expect(partial.body.data.credit).toBe(0);
+
+    const overpaid = await request(app)
+      .post(`/api/accounts/borrower/${member.borrowernumber}/pay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 10 });
+
+    expect(overpaid.body.data.allocations).toHaveLength(1);
+    expect(overpaid.body.data.allocations[0]).toMatchObject({ accountlines_id: newer.accountlines_id, applied: 2 });
+    expect(overpaid.body.data.credit).toBe(8);
+    expect(Number(overpaid.body.data.payment.amountoutstanding)).toBe(-8);
+  });
+
+  it('allocates in the requested order', async () => {
+    const first = await createCharge(3, 'First fine');
+    const second = await createCharge(3, 'Second fine');
+
+    const response = await request(app)
+      .post(`/api/accounts/borrower/${member.borrowernumber}/pay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 4, accountlines: [second.accountlines_id, first.accountlines_id] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.allocations.map((allocation) => allocation.accountlines_id)).toEqual([
+      second.accountlines_id,
+      first.accountlines_id
+    ]);
+    expect(response.body.data.allocations[1].applied).toBe(1);
+
+    const settled = await request(app)
+      .post(`/api/accounts/borrower/${member.borrowernumber}/pay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 1, accountlines: [second.accountlines_id] });
+    expect(settled.status).toBe(400);
+  });
+
+  it('prevents members from writing off charges', async () => {
+    const fine = await createCharge(5);
+
+    const response = await request(app)
+      .post(`/api/accounts/${fine.accountlines_id}/writeoff`)
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({});
+
+    expect(response.status).toBe(403);
+  });
+
   it('prevents members from recording payments', async () => {
     const fine = await prisma.accountLine.create({
       data: {
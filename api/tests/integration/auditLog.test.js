@@ -0,0 +1,115 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+describe('Audit log', () => {
+  let admin;
+  let adminToken;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ borrower: admin, token: adminToken } = await createAdminWithToken());
+  });
+
+  const auditLog = (query = '') =>
+    request(app).get(`/api/audit-log${query}`).set('Authorization', `Bearer ${adminToken}`);
+
+  it('records who changed an item status, with the before and after values', async () => {
+    const biblio = await createBiblioRecord();
+    const item = await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'AUDIT-001' });
+
+    const update = await request(app)
+      .put(`/api/items/${item.itemnumber}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'damaged' });
+    expect(update.status).toBe(200);
+
+    const response = await auditLog(`?entityType=item&entityId=${item.itemnumber}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]).toMatchObject({
+      actor_id: admin.borrowernumber,
+      action: 'update',
+      entity_type: 'item',
+      entity_id: String(item.itemnumber),
+      before: { status: 'available' },
+      after: { status: 'damaged' }
+    });
+    expect(response.body.data[0].ip).toBeTruthy();
+  });
+
+  it('records preference changes and filters by actor and date range', async () => {
+    await request(app)
+      .put('/api/system-preferences/due_soon_days')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ value: '4' });
+
+    const byActor = await auditLog(`?actor=${admin.borrowernumber}&entityType=systempreference`);
+    expect(byActor.body.data).toHaveLength(1);
+    expect(byActor.body.data[0]).toMatchObject({
+      entity_id: 'due_soon_days',
+      before: { value: '2' },
+      after: { value: '4' }
+    });
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const future = await auditLog(`?from=${encodeURIComponent(tomorrow)}`);
+    expect(future.body.data).toHaveLength(0);
+  });
+
+  it('records payments against the fine they settle', async () => {
+    const { borrower } = await createMemberWithToken();
+    const fine = await prisma.accountLine.create({
+      data: {
+        borrowernumber: borrower.borrowernumber,
+        amount: 3,
+        amountoutstanding: 3,
+        description: 'Overdue fine',
+        accounttype: 'OVERDUE',
+        status: 'open'
+      }
+    });
+
+    await request(app)
+      .post(`/api/accounts/${fine.accountlines_id}/pay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 3 });
+
+    const response = await auditLog(`?entityType=accountline&entityId=${fine.accountlines_id}`);
+    expect(response.body.data[0]).toMatchObject({
+      action: 'apply_credit',
+      actor_id: admin.borrowernumber,
+      before: { status: 'open' },
+      after: { status: 'paid' }
+    });
+  });
+
+  it('is append-only', async () => {
+    await request(app)
+      .post('/api/biblio')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Audited Book', author: 'Someone', itemtype: 'BOOK' });
+
+    await expect(prisma.auditLog.deleteMany()).rejects.toThrow();
+    await expect(prisma.auditLog.updateMany({ data: { action: 'tampered' } })).rejects.toThrow();
+    expect(await prisma.auditLog.count()).toBe(1);
+  });
+
+  it('is only readable with the view_audit_log permission', async () => {
+    const { token } = await createMemberWithToken();
+
+    const response = await request(app).get('/api/audit-log').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+  });
+});
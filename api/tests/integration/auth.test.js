@@ -4,9 +4,15 @@ import {
   resetDatabase,
   seedBaseData,
   createBorrower,
-  createBorrowerWithToken
+  createBorrowerWithToken,
+  createAdminWithToken
 } from '../utils/testUtils.js';
 
+const loginAs = async (email, password) => {
+  const response = await request(app).post('/api/auth/login').send({ email, password });
+  return response.body.data;
+};
+
 describe('Auth API', () => {
   beforeEach(async () => {
     await resetDatabase();
@@ -110,4 +116,81 @@ describe('Auth API', () => {
     expect(response.status).toBe(401);
     expect(response.body.success).toBe(false);
   });
+
+  it('rotates refresh tokens and issues a new access token', async () => {
+    await createBorrower({ email: 'rotate@example.com', password: 'Password123!' });
+    const session = await loginAs('rotate@example.com', 'Password123!');
+    expect(session.refreshToken).toBeDefined();
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.refreshToken).not.toBe(session.refreshToken);
+
+    const profile = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${response.body.data.token}`);
+    expect(profile.status).toBe(200);
+  });
+
+  it('revokes the whole token family when a rotated refresh token is reused', async () => {
+    await createBorrower({ email: 'reuse@example.com', password: 'Password123!' });
+    const session = await loginAs('reuse@example.com', 'Password123!');
+
+    const rotated = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+    expect(rotated.status).toBe(200);
+
+    const reused = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+    expect(reused.status).toBe(401);
+
+    const afterReuse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: rotated.body.data.refreshToken });
+    expect(afterReuse.status).toBe(401);
+  });
+
+  it('rejects refresh after logout', async () => {
+    await createBorrower({ email: 'logout@example.com', password: 'Password123!' });
+    const session = await loginAs('logout@example.com', 'Password123!');
+
+    const logout = await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: session.refreshToken });
+    expect(logout.status).toBe(200);
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+    expect(response.status).toBe(401);
+  });
+
+  it('lets admins revoke every session of a borrower', async () => {
+    const { token: adminToken } = await createAdminWithToken();
+    const borrower = await createBorrower({ email: 'stolen@example.com', password: 'Password123!' });
+    const session = await loginAs('stolen@example.com', 'Password123!');
+
+    const revoke = await request(app)
+      .delete(`/api/borrowers/${borrower.borrowernumber}/sessions`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(revoke.status).toBe(200);
+    expect(revoke.body.data.revoked_sessions).toBe(1);
+
+    const profile = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${session.token}`);
+    expect(profile.status).toBe(401);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
 });
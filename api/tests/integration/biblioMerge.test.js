@@ -0,0 +1,142 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+describe('Biblio merge', () => {
+  let adminToken;
+  let target;
+  let source;
+  let patrons;
+
+  const placeHold = (borrower, biblio, reservedate, priority) =>
+    prisma.reserve.create({
+      data: {
+        borrowernumber: borrower.borrowernumber,
+        biblionumber: biblio.biblionumber,
+        reservedate: new Date(reservedate),
+        priority
+      }
+    });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+
+    patrons = [];
+    for (const suffix of ['A', 'B', 'C']) {
+      const { borrower } = await createMemberWithToken({ cardnumber: `MERGE-${suffix}` });
+      patrons.push(borrower);
+    }
+
+    target = await createBiblioRecord({ title: 'Dune', author: 'Frank Herbert', isbn: null, publisher: null });
+    source = await createBiblioRecord({
+      title: 'Dune (duplicate)',
+      author: 'Herbert, Frank',
+      isbn: '9780441172719',
+      publisher: 'Ace Books'
+    });
+    await createItemRecord({ biblionumber: target.biblionumber, barcode: 'MERGE-T1' });
+    await createItemRecord({ biblionumber: source.biblionumber, barcode: 'MERGE-S1' });
+    await createItemRecord({ biblionumber: source.biblionumber, barcode: 'MERGE-S2' });
+  });
+
+  const merge = (id, body) =>
+    request(app).post(`/api/biblio/${id}/merge`).set('Authorization', `Bearer ${adminToken}`).send(body);
+
+  it('moves items and holds, fills empty fields and deletes the sources', async () => {
+    const [a, b, c] = patrons;
+    await placeHold(a, target, '2025-01-10', 1);
+    await placeHold(b, target, '2025-01-12', 2);
+    await placeHold(c, source, '2025-01-11', 1);
+
+    const response = await merge(target.biblionumber, { source_ids: [source.biblionumber] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      merged_ids: [source.biblionumber],
+      filled_fields: ['isbn', 'publisher'],
+      items_moved: 2,
+      reserves_moved: 1,
+      biblio: { title: 'Dune', author: 'Frank Herbert', isbn: '9780441172719', publisher: 'Ace Books' }
+    });
+    expect(response.body.data.biblio.items).toHaveLength(3);
+    expect(await prisma.biblio.findUnique({ where: { biblionumber: source.biblionumber } })).toBeNull();
+
+    const queue = await prisma.reserve.findMany({
+      where: { biblionumber: target.biblionumber },
+      orderBy: { priority: 'asc' }
+    });
+    expect(queue.map((hold) => [hold.borrowernumber, hold.priority])).toEqual([
+      [a.borrowernumber, 1],
+      [c.borrowernumber, 2],
+      [b.borrowernumber, 3]
+    ]);
+  });
+
+  it('keeps priorities set by staff when renumbering the merged queue', async () => {
+    const [a, b, c] = patrons;
+    await placeHold(a, target, '2025-01-12', 1);
+    await placeHold(b, target, '2025-01-10', 2);
+    await placeHold(c, source, '2025-01-11', 1);
+
+    await merge(target.biblionumber, { source_ids: [source.biblionumber] });
+
+    const queue = await prisma.reserve.findMany({
+      where: { biblionumber: target.biblionumber },
+      orderBy: { priority: 'asc' }
+    });
+    expect(queue.map((hold) => [hold.borrowernumber, hold.priority])).toEqual([
+      [c.borrowernumber, 1],
+      [a.borrowernumber, 2],
+      [b.borrowernumber, 3]
+    ]);
+  });
+
+  it('keeps only the earliest pending hold of a borrower holding both records', async () => {
+    const [a] = patrons;
+    await placeHold(a, target, '2025-02-01', 1);
+    const earlier = await placeHold(a, source, '2025-01-01', 1);
+
+    const response = await merge(target.biblionumber, { source_ids: [source.biblionumber] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reserves_cancelled).toHaveLength(1);
+    const pending = await prisma.reserve.findMany({
+      where: { biblionumber: target.biblionumber, cancellationdate: null }
+    });
+    expect(pending.map((hold) => [hold.reserve_id, hold.priority])).toEqual([[earlier.reserve_id, 1]]);
+  });
+
+  it('changes nothing when a source record does not exist', async () => {
+    const response = await merge(target.biblionumber, { source_ids: [source.biblionumber, 999999] });
+
+    expect(response.status).toBe(404);
+    expect(await prisma.item.count({ where: { biblionumber: source.biblionumber } })).toBe(2);
+  });
+
+  it('rejects merging a record into itself', async () => {
+    const response = await merge(target.biblionumber, { source_ids: [target.biblionumber] });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('requires the catalogue permission', async () => {
+    const { token } = await createMemberWithToken();
+
+    const response = await request(app)
+      .post(`/api/biblio/${target.biblionumber}/merge`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ source_ids: [source.biblionumber] });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,172 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+describe('Catalogue search', () => {
+  let token;
+  let member;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token, borrower: member } = await createMemberWithToken());
+
+    await createBiblioRecord({
+      title: 'Dune',
+      author: 'Frank Herbert',
+      isbn: '9780441172719',
+      abstract: 'Politics and ecology on the desert planet Arrakis.'
+    });
+    await createBiblioRecord({ title: 'Children of Dune', author: 'Frank Herbert', isbn: '9780441104024' });
+    await createBiblioRecord({ title: 'Desert Gardening', author: 'Planet Press', isbn: '9781234567897' });
+    await createBiblioRecord({ title: 'The Left Hand of Darkness', author: 'Ursula K. Le Guin', itemtype: 'EBOOK' });
+  });
+
+  const search = (query) =>
+    request(app)
+      .get('/api/biblio/search')
+      .query(query)
+      .set('Authorization', `Bearer ${token}`);
+
+  const titles = (response) => response.body.data.map((biblio) => biblio.title);
+
+  it('ranks title matches above other matches and returns a score', async () => {
+    const response = await search({ q: 'dune' });
+
+    expect(response.status).toBe(200);
+    expect(titles(response)).toEqual(['Dune', 'Children of Dune']);
+    expect(response.body.data[0].score).toBeGreaterThan(response.body.data[1].score);
+    expect(response.body.meta.total).toBe(2);
+  });
+
+  it('tolerates typos in titles and authors', async () => {
+    const response = await search({ q: 'Ursla Le Gin' });
+
+    expect(titles(response)).toContain('The Left Hand of Darkness');
+  });
+
+  it('matches quoted phrases as phrases', async () => {
+    const response = await search({ q: '"desert planet"' });
+
+    expect(titles(response)).toEqual(['Dune']);
+  });
+
+  it('restricts field-qualified terms to that field', async () => {
+    const byAuthor = await search({ q: 'author:herbert' });
+    const byTitle = await search({ q: 'title:"children of dune"' });
+    const byIsbn = await search({ q: 'isbn:978-1-234' });
+
+    expect(titles(byAuthor).sort()).toEqual(['Children of Dune', 'Dune']);
+    expect(titles(byTitle)).toEqual(['Children of Dune']);
+    expect(titles(byIsbn)).toEqual(['Desert Gardening']);
+  });
+
+  it('combines the query with the item type filter and paginates', async () => {
+    const filtered = await search({ q: 'darkness', itemtype: 'BOOK' });
+    const paged = await search({ q: 'author:herbert', limit: 1, page: 2 });
+
+    expect(filtered.body.data).toHaveLength(0);
+    expect(paged.body.data).toHaveLength(1);
+    expect(paged.body.meta).toMatchObject({ total: 2, page: 2, limit: 1, totalPages: 2 });
+  });
+
+  it('summarises copies, loans and holds for every result', async () => {
+    const biblio = await createBiblioRecord({ title: 'Neuromancer', author: 'William Gibson' });
+    const [, onLoan] = await Promise.all([
+      createItemRecord({ biblionumber: biblio.biblionumber }),
+      createItemRecord({ biblionumber: biblio.biblionumber, status: 'checked_out' }),
+      createItemRecord({ biblionumber: biblio.biblionumber, notforloan: true })
+    ]);
+    const dateDue = new Date('2030-01-15T00:00:00Z');
+    await prisma.issue.create({
+      data: { borrowernumber: member.borrowernumber, itemnumber: onLoan.itemnumber, date_due: dateDue }
+    });
+    await prisma.reserve.createMany({
+      data: [
+        { borrowernumber: member.borrowernumber, biblionumber: biblio.biblionumber, priority: 1 },
+        { borrowernumber: member.borrowernumber, biblionumber: biblio.biblionumber, priority: 2 },
+        {
+          borrowernumber: member.borrowernumber,
+          biblionumber: biblio.biblionumber,
+          cancellationdate: new Date()
+        }
+      ]
+    });
+
+    const expected = { total: 3, available: 1, checked_out: 1, earliest_due: dateDue.toISOString(), holds: 2 };
+    const searched = await search({ q: 'neuromancer' });
+    const listed = await request(app).get('/api/biblio?search=Neuromancer').set('Authorization', `Bearer ${token}`);
+
+    expect(searched.body.data[0].availability).toEqual(expected);
+    expect(listed.body.data[0].availability).toEqual(expected);
+
+    const noCopies = await search({ q: 'title:"left hand"' });
+    expect(noCopies.body.data[0].availability).toEqual({
+      total: 0,
+      available: 0,
+      checked_out: 0,
+      earliest_due: null,
+      holds: 0
+    });
+  });
+
+  describe('facets', () => {
+    beforeEach(async () => {
+      const [dune, children] = await Promise.all([
+        createBiblioRecord({ title: 'Dune Messiah', author: 'Frank Herbert', publisher: 'Ace', publicationyear: 1969 }),
+        createBiblioRecord({ title: 'Dune Encyclopedia', author: 'Willis McNelly', publisher: 'Berkley' })
+      ]);
+      await createItemRecord({ biblionumber: dune.biblionumber, location: 'Fiction', status: 'checked_out' });
+      await createItemRecord({ biblionumber: children.biblionumber, location: 'Reference' });
+      await createItemRecord({ biblionumber: children.biblionumber, location: 'Fiction' });
+    });
+
+    const facet = (response, name) =>
+      Object.fromEntries(response.body.meta.facets[name].map((entry) => [entry.value, entry.count]));
+
+    it('returns facet counts for the whole result set, not just the page', async () => {
+      const response = await search({ q: 'dune', limit: 1 });
+
+      expect(response.body.data).toHaveLength(1);
+      expect(facet(response, 'author')).toEqual({ 'Frank Herbert': 3, 'Willis McNelly': 1 });
+      expect(facet(response, 'publisher')).toEqual({ Ace: 1, Berkley: 1 });
+      expect(facet(response, 'year')).toEqual({ '2020-2029': 3, '1960-1969': 1 });
+      expect(facet(response, 'availability')).toEqual({ available: 1, checked_out: 1, unavailable: 2 });
+      expect(facet(response, 'location')).toEqual({ Fiction: 2, Reference: 1 });
+      expect(facet(response, 'itemtype')).toEqual({ BOOK: 4 });
+    });
+
+    it('applies multi-select filters while keeping counts for the other values of a facet', async () => {
+      const response = await search({
+        q: 'dune',
+        author: ['Frank Herbert', 'Willis McNelly'],
+        location: 'Fiction',
+        availability: ['available', 'checked_out']
+      });
+
+      expect(titles(response).sort()).toEqual(['Dune Encyclopedia', 'Dune Messiah']);
+      expect(response.body.meta.total).toBe(2);
+      expect(facet(response, 'location')).toEqual({ Fiction: 2, Reference: 1 });
+      expect(response.body.meta.facets.location).toContainEqual({ value: 'Fiction', count: 2, selected: true });
+    });
+
+    it('filters by publication year ranges', async () => {
+      const response = await search({ year: ['1960-1969'] });
+
+      expect(titles(response)).toEqual(['Dune Messiah']);
+    });
+
+    it('rejects malformed facet filters', async () => {
+      const response = await search({ year: 'sixties', availability: 'maybe' });
+
+      expect(response.status).toBe(422);
+    });
+  });
+});
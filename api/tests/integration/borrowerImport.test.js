@@ -0,0 +1,166 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createBorrower,
+  createBorrowerWithToken
+} from '../utils/testUtils.js';
+
+const HEADER = 'cardnumber,full_name,email,password,categorycode,phone';
+
+describe('Borrower CSV import', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    await createBorrower({ cardnumber: 'EXIST-1', fullName: 'Old Name', email: 'existing@example.com' });
+  });
+
+  const upload = (csv, mode, token = adminToken) =>
+    request(app)
+      .post(`/api/borrowers/import${mode ? `?mode=${mode}` : ''}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+  it('creates new borrowers and updates existing ones by cardnumber', async () => {
+    const csv = [
+      HEADER,
+      'NEW-1,Ada Lovelace,ada@example.com,Password123!,ADULT,',
+      'EXIST-1,"Renamed, Patron",,,,555-0100'
+    ].join('\n');
+
+    const response = await upload(csv);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toMatchObject({ total: 2, created: 1, updated: 1, failed: 0 });
+    expect(response.body.data.rows).toEqual([
+      expect.objectContaining({ row: 2, cardnumber: 'NEW-1', status: 'created' }),
+      expect.objectContaining({ row: 3, cardnumber: 'EXIST-1', status: 'updated' })
+    ]);
+
+    const updated = await prisma.borrower.findUnique({ where: { cardnumber: 'EXIST-1' } });
+    expect(updated).toMatchObject({ full_name: 'Renamed, Patron', phone: '555-0100', email: 'existing@example.com' });
+  });
+
+  it('rolls back the whole file in transaction mode when a row fails', async () => {
+    const csv = [
+      HEADER,
+      'NEW-1,Ada Lovelace,ada@example.com,Password123!,ADULT,',
+      'NEW-2,Second Patron,existing@example.com,Password123!,ADULT,',
+      'NEW-3,Third Patron,third@example.com,Password123!,NOPE,'
+    ].join('\n');
+
+    const response = await upload(csv);
+
+    expect(response.status).toBe(422);
+    expect(response.body.errors.summary).toMatchObject({ failed: 2, skipped: 1 });
+    expect(response.body.errors.rows).toEqual([
+      expect.objectContaining({ row: 2, status: 'skipped' }),
+      expect.objectContaining({ row: 3, status: 'failed', errors: [{ message: 'Email already registered' }] }),
+      expect.objectContaining({ row: 4, status: 'failed', errors: [{ message: 'Category NOPE not found' }] })
+    ]);
+    expect(await prisma.borrower.count({ where: { cardnumber: { startsWith: 'NEW-' } } })).toBe(0);
+  });
+
+  it('saves valid rows and reports validation errors in row mode', async () => {
+    const csv = [
+      HEADER,
+      'NEW-1,Ada Lovelace,not-an-email,short,ADULT,',
+      'NEW-2,Grace Hopper,grace@example.com,Password123!,ADULT,',
+      'NEW-2,Grace Again,grace2@example.com,Password123!,ADULT,'
+    ].join('\n');
+
+    const response = await upload(csv, 'row');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toMatchObject({ created: 1, failed: 2 });
+    expect(response.body.data.rows[0].errors).toEqual(
+      expect.arrayContaining([
+        { field: 'email', message: 'Email must be valid' },
+        { field: 'password', message: 'Password must be at least 8 characters' }
+      ])
+    );
+    expect(response.body.data.rows[2].errors).toEqual([{ field: 'cardnumber', message: 'Card number repeats row 3' }]);
+    expect(await prisma.borrower.findUnique({ where: { cardnumber: 'NEW-2' } })).toMatchObject({
+      full_name: 'Grace Hopper'
+    });
+  });
+
+  it('fails rows that would update an account with permissions the importer lacks', async () => {
+    const { borrower: admin } = await createAdminWithToken({ cardnumber: 'ADMIN-CSV' });
+    const { token } = await createBorrowerWithToken({
+      categorycode: 'STAFF',
+      role: 'STAFF',
+      permissions: ['manage_borrowers']
+    });
+    const csv = [HEADER, 'ADMIN-CSV,,,Takeover123!,,', 'EXIST-1,,,,,555-0199'].join('\n');
+
+    const response = await upload(csv, 'row', token);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.rows).toEqual([
+      expect.objectContaining({ cardnumber: 'ADMIN-CSV', status: 'failed' }),
+      expect.objectContaining({ cardnumber: 'EXIST-1', status: 'updated' })
+    ]);
+    expect(await prisma.borrower.findUnique({ where: { borrowernumber: admin.borrowernumber } })).toMatchObject({
+      password: admin.password
+    });
+  });
+
+  it('saves every accepted column and applies category changes on update', async () => {
+    const csv = [
+      'cardnumber,fullName,preferredName,password,categorycode,phone,address,dateexpiry',
+      'NEW-1,Ada Lovelace,Ada,Password123!,ADULT,555-0101,1 Analytical Way,2030-06-30',
+      'EXIST-1,,,,CHILD,,,'
+    ].join('\n');
+
+    const response = await upload(csv);
+
+    expect(response.status).toBe(200);
+    expect(await prisma.borrower.findUnique({ where: { cardnumber: 'NEW-1' } })).toMatchObject({
+      preferred_name: 'Ada',
+      phone: '555-0101',
+      address: '1 Analytical Way',
+      dateexpiry: new Date('2030-06-30')
+    });
+    expect(await prisma.borrower.findUnique({ where: { cardnumber: 'EXIST-1' } })).toMatchObject({
+      categorycode: 'CHILD'
+    });
+  });
+
+  it('reports invalid expiry dates and unknown categories on update rows', async () => {
+    const csv = [
+      'cardnumber,fullName,password,categorycode,dateexpiry',
+      'NEW-1,Ada Lovelace,Password123!,ADULT,someday',
+      'EXIST-1,,,NOPE,'
+    ].join('\n');
+
+    const response = await upload(csv, 'row');
+
+    expect(response.body.data.rows).toEqual([
+      expect.objectContaining({
+        status: 'failed',
+        errors: [{ field: 'dateexpiry', message: 'Expiry date must be a valid date' }]
+      }),
+      expect.objectContaining({ status: 'failed', errors: [{ message: 'Category NOPE not found' }] })
+    ]);
+    expect(await prisma.borrower.findUnique({ where: { cardnumber: 'EXIST-1' } })).toMatchObject({
+      categorycode: 'ADULT'
+    });
+  });
+
+  it('rejects files without a cardnumber column or with unknown columns', async () => {
+    const missing = await upload('full_name,email\nAda,ada@example.com');
+    const unknown = await upload('cardnumber,shoe_size\nNEW-1,42');
+
+    expect(missing.status).toBe(400);
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toContain('shoe_size');
+  });
+});
@@ -0,0 +1,106 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord,
+  updateSystemPreference
+} from '../utils/testUtils.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const dateOnly = (date) => date.toISOString().slice(0, 10);
+
+describe('Library calendar', () => {
+  let adminToken;
+  let memberToken;
+  let member;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    ({ borrower: member, token: memberToken } = await createMemberWithToken());
+    const biblio = await createBiblioRecord({ title: 'Calendar Book' });
+    await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'CAL-001' });
+  });
+
+  const addHoliday = (payload) =>
+    request(app)
+      .post('/api/calendar/holidays')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(payload);
+
+  const checkout = () =>
+    request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: member.borrowernumber, barcode: 'CAL-001' });
+
+  it('lets admins manage holidays and members read them', async () => {
+    const created = await addHoliday({ date: '2030-12-25', description: 'Christmas', repeat_yearly: true });
+    expect(created.status).toBe(201);
+
+    const duplicate = await addHoliday({ date: '2030-12-25' });
+    expect(duplicate.status).toBe(409);
+
+    const forbidden = await request(app)
+      .post('/api/calendar/holidays')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ date: '2030-12-26' });
+    expect(forbidden.status).toBe(403);
+
+    const list = await request(app)
+      .get('/api/calendar/holidays')
+      .set('Authorization', `Bearer ${memberToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data).toHaveLength(1);
+
+    const removed = await request(app)
+      .delete(`/api/calendar/holidays/${created.body.data.holiday_id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(removed.status).toBe(200);
+  });
+
+  it('pushes due dates past holidays and closed weekdays', async () => {
+    const naturalDue = new Date(Date.now() + 14 * MS_PER_DAY);
+    const dayAfter = new Date(naturalDue.getTime() + MS_PER_DAY);
+
+    await addHoliday({ date: dateOnly(naturalDue), description: 'Closed for inventory' });
+    await updateSystemPreference('closed_weekdays', String(dayAfter.getUTCDay()));
+
+    const response = await checkout();
+
+    expect(response.status).toBe(201);
+    const expectedDue = new Date(naturalDue.getTime() + 2 * MS_PER_DAY);
+    expect(dateOnly(new Date(response.body.data.date_due))).toBe(dateOnly(expectedDue));
+  });
+
+  it('excludes closed days from overdue fines', async () => {
+    const loan = await checkout();
+    const dueDate = new Date(Date.now() - 5 * MS_PER_DAY + 60 * 60 * 1000);
+
+    await prisma.issue.update({
+      where: { issue_id: loan.body.data.issue_id },
+      data: { date_due: dueDate }
+    });
+
+    await addHoliday({ date: dateOnly(new Date(dueDate.getTime() + MS_PER_DAY)) });
+    await addHoliday({ date: dateOnly(new Date(dueDate.getTime() + 2 * MS_PER_DAY)) });
+
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode: 'CAL-001' });
+
+    const fine = await prisma.accountLine.findFirst({
+      where: { issue_id: loan.body.data.issue_id, accounttype: 'OVERDUE' }
+    });
+
+    expect(Number(fine.amount)).toBe(0.75);
+    expect(fine.description).toMatch(/3 days late \(2 closed days excluded\)/);
+  });
+});
@@ -144,4 +144,43 @@ describe('Circulation API', () => {
     expect(renewResponse.status).toBe(403);
     expect(renewResponse.body.success).toBe(false);
   });
+
+  it('archives returned loans and keeps every past loan in history', async () => {
+    const returnItem = () =>
+      request(app)
+        .post('/api/circulation/return')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ barcode: 'CIRC-001' });
+
+    const first = await checkout(adminToken, { borrowernumber: member.borrowernumber, barcode: 'CIRC-001' });
+    await returnItem();
+    const second = await checkout(adminToken, { borrowernumber: member.borrowernumber, barcode: 'CIRC-001' });
+    await returnItem();
+
+    expect(second.body.data.issue_id).not.toBe(first.body.data.issue_id);
+    expect(await prisma.issue.count({ where: { itemnumber: item.itemnumber } })).toBe(0);
+
+    const archived = await prisma.oldIssue.findMany({ where: { itemnumber: item.itemnumber } });
+    expect(archived).toHaveLength(2);
+
+    const itemHistory = await request(app)
+      .get(`/api/circulation/history?itemnumber=${item.itemnumber}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(itemHistory.status).toBe(200);
+    expect(itemHistory.body.meta.total).toBe(2);
+    expect(itemHistory.body.data.map((loan) => loan.issue_id)).toEqual(
+      expect.arrayContaining([first.body.data.issue_id, second.body.data.issue_id])
+    );
+
+    await checkout(adminToken, { borrowernumber: member.borrowernumber, barcode: 'CIRC-001' });
+
+    const patronHistory = await request(app)
+      .get(`/api/circulation/history?borrowernumber=${member.borrowernumber}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(patronHistory.status).toBe(200);
+    expect(patronHistory.body.meta.total).toBe(3);
+    expect(patronHistory.body.data[0].returndate).toBeNull();
+  });
 });
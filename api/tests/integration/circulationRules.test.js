@@ -0,0 +1,192 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+describe('Circulation rules', () => {
+  let adminToken;
+  let memberToken;
+  let member;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    ({ borrower: member, token: memberToken } = await createMemberWithToken());
+  });
+
+  const createRule = (payload) =>
+    request(app)
+      .post('/api/circulation-rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(payload);
+
+  const checkout = (barcode) =>
+    request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: member.borrowernumber, barcode });
+
+  const createCopy = async (itemtype, barcode) => {
+    const biblio = await createBiblioRecord({ itemtype });
+    return createItemRecord({ biblionumber: biblio.biblionumber, barcode });
+  };
+
+  it('restricts rule management to admins', async () => {
+    const response = await request(app)
+      .post('/api/circulation-rules')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ categorycode: 'ADULT', itemtype: 'DVD', loan_period_days: 3 });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('rejects duplicate scopes and unknown item types', async () => {
+    expect((await createRule({ categorycode: 'ADULT', itemtype: 'DVD', loan_period_days: 3 })).status).toBe(201);
+    expect((await createRule({ categorycode: 'ADULT', itemtype: 'DVD', loan_period_days: 5 })).status).toBe(409);
+    expect((await createRule({ categorycode: 'ADULT', itemtype: 'NOPE', loan_period_days: 5 })).status).toBe(422);
+  });
+
+  it('resolves each field through wildcard fallbacks', async () => {
+    await createRule({ categorycode: '*', itemtype: '*', max_renewals: 1, fine_per_day: 0.1 });
+    await createRule({ categorycode: '*', itemtype: 'DVD', fine_per_day: 1 });
+    await createRule({ categorycode: 'ADULT', itemtype: 'DVD', loan_period_days: 3 });
+
+    const response = await request(app)
+      .get('/api/circulation-rules/resolve?categorycode=ADULT&itemtype=DVD')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      loan_period_days: 3,
+      max_renewals: 1,
+      fine_per_day: 1,
+      fine_cap: null
+    });
+
+    const fallback = await request(app)
+      .get('/api/circulation-rules/resolve?categorycode=CHILD&itemtype=BOOK')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(fallback.body.data).toMatchObject({ loan_period_days: 7, max_renewals: 1, fine_per_day: 0.1 });
+  });
+
+  it('uses the rule loan period and renewal limit', async () => {
+    await createRule({ categorycode: 'ADULT', itemtype: 'DVD', loan_period_days: 3, max_renewals: 0 });
+    await createCopy('DVD', 'RULE-DVD');
+
+    const response = await checkout('RULE-DVD');
+
+    expect(response.status).toBe(201);
+    const loanDays = Math.round(
+      (new Date(response.body.data.date_due) - new Date(response.body.data.issuedate)) / MS_PER_DAY
+    );
+    expect(loanDays).toBe(3);
+
+    const renew = await request(app)
+      .post('/api/circulation/renew')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ issueId: response.body.data.issue_id });
+
+    expect(renew.status).toBe(403);
+    expect(renew.body.message).toMatch(/maximum renewal limit \(0\)/i);
+  });
+
+  it('limits checkouts of a specific item type', async () => {
+    await createRule({ categorycode: 'ADULT', itemtype: 'DVD', max_checkouts: 1 });
+    await createCopy('DVD', 'RULE-DVD-1');
+    await createCopy('DVD', 'RULE-DVD-2');
+    await createCopy('BOOK', 'RULE-BOOK-1');
+
+    expect((await checkout('RULE-DVD-1')).status).toBe(201);
+
+    const blocked = await checkout('RULE-DVD-2');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.message).toMatch(/maximum checkout limit for item type DVD/i);
+
+    expect((await checkout('RULE-BOOK-1')).status).toBe(201);
+  });
+
+  it('blocks item types that are not for loan and charges rental fees', async () => {
+    await prisma.itemType.update({ where: { itemtype: 'MAGAZINE' }, data: { notforloan: true } });
+    await createCopy('MAGAZINE', 'RULE-MAG');
+    await createCopy('DVD', 'RULE-RENT');
+
+    const blocked = await checkout('RULE-MAG');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.message).toMatch(/not for loan/i);
+
+    const rented = await checkout('RULE-RENT');
+    expect(rented.status).toBe(201);
+
+    const rental = await prisma.accountLine.findFirst({
+      where: { issue_id: rented.body.data.issue_id, accounttype: 'RENT' }
+    });
+    expect(Number(rental.amount)).toBe(2);
+  });
+
+  const returnOverdue = async (barcode, daysLate) => {
+    const loan = await checkout(barcode);
+    await prisma.issue.update({
+      where: { issue_id: loan.body.data.issue_id },
+      data: { date_due: new Date(Date.now() - daysLate * MS_PER_DAY) }
+    });
+
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode });
+
+    return prisma.accountLine.findFirst({
+      where: { issue_id: loan.body.data.issue_id, accounttype: 'OVERDUE' }
+    });
+  };
+
+  it('applies the rule fine per day and fine cap on return', async () => {
+    await createRule({ categorycode: '*', itemtype: 'BOOK', fine_per_day: 2, fine_cap: 5 });
+    await createCopy('BOOK', 'RULE-FINE');
+
+    const fine = await returnOverdue('RULE-FINE', 10);
+
+    expect(Number(fine.amount)).toBe(5);
+    expect(fine.description).toMatch(/\(capped at maximum fine 5\.00\)$/);
+  });
+
+  it('falls back to the library-wide fine cap preference', async () => {
+    await prisma.systemPreference.update({ where: { variable: 'overdue_fine_cap' }, data: { value: '3' } });
+    await createRule({ categorycode: '*', itemtype: 'BOOK', fine_per_day: 1 });
+    await createCopy('BOOK', 'PREF-CAP');
+
+    const fine = await returnOverdue('PREF-CAP', 10);
+
+    expect(Number(fine.amount)).toBe(3);
+  });
+
+  it('caps overdue fines at the replacement price when enabled', async () => {
+    await createRule({
+      categorycode: '*',
+      itemtype: 'MAGAZINE',
+      fine_per_day: 1,
+      cap_fine_to_replacement_price: true
+    });
+    await createCopy('MAGAZINE', 'CAP-DEFAULT');
+    const priced = await createCopy('MAGAZINE', 'CAP-PRICED');
+    await prisma.item.update({ where: { itemnumber: priced.itemnumber }, data: { replacementprice: 2.5 } });
+
+    const defaultCapped = await returnOverdue('CAP-DEFAULT', 10);
+    expect(Number(defaultCapped.amount)).toBe(5);
+    expect(defaultCapped.description).toMatch(/capped at replacement cost 5\.00/);
+
+    const priceCapped = await returnOverdue('CAP-PRICED', 10);
+    expect(Number(priceCapped.amount)).toBe(2.5);
+  });
+});
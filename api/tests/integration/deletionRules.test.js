@@ -0,0 +1,157 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+describe('Deletion rules', () => {
+  let adminToken;
+  let member;
+  let biblio;
+  let item;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    ({ borrower: member } = await createMemberWithToken());
+    biblio = await createBiblioRecord({ title: 'Guarded Book' });
+    item = await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'GUARD-001' });
+  });
+
+  const remove = (path) => request(app).delete(path).set('Authorization', `Bearer ${adminToken}`);
+
+  const checkout = () =>
+    request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: member.borrowernumber, barcode: 'GUARD-001' });
+
+  const setStatus = (status) =>
+    request(app).put(`/api/items/${item.itemnumber}`).set('Authorization', `Bearer ${adminToken}`).send({ status });
+
+  const listed = async () => {
+    const list = await request(app).get('/api/items').set('Authorization', `Bearer ${adminToken}`);
+    return list.body.data.map((entry) => entry.itemnumber).includes(item.itemnumber);
+  };
+
+  const reasons = (response) => response.body.errors.map((entry) => entry.reason);
+
+  it('refuses to delete a checked out item or its record', async () => {
+    await checkout();
+
+    const itemResponse = await remove(`/api/items/${item.itemnumber}`);
+    const biblioResponse = await remove(`/api/biblio/${biblio.biblionumber}`);
+
+    expect(itemResponse.status).toBe(409);
+    expect(reasons(itemResponse)).toEqual(['checked_out']);
+    expect(biblioResponse.status).toBe(409);
+    expect(reasons(biblioResponse)).toContain('checked_out');
+    expect(await prisma.item.findUnique({ where: { itemnumber: item.itemnumber } })).not.toBeNull();
+  });
+
+  it('refuses to delete a record with active holds', async () => {
+    await prisma.reserve.create({ data: { borrowernumber: member.borrowernumber, biblionumber: biblio.biblionumber } });
+
+    const response = await remove(`/api/biblio/${biblio.biblionumber}`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({ reason: 'holds', reserve_ids: [expect.any(Number)] })
+    ]);
+  });
+
+  it('refuses to delete an item with outstanding fines', async () => {
+    await prisma.accountLine.create({
+      data: {
+        borrowernumber: member.borrowernumber,
+        itemnumber: item.itemnumber,
+        amount: 4.5,
+        amountoutstanding: 4.5,
+        accounttype: 'OVERDUE',
+        status: 'open'
+      }
+    });
+
+    const response = await remove(`/api/items/${item.itemnumber}`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({ reason: 'outstanding_fines', barcode: 'GUARD-001', amount: 4.5 })
+    ]);
+  });
+
+  it('withdraws an item with loan history instead of deleting it', async () => {
+    const { body } = await checkout();
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ issueId: body.data.issue_id });
+
+    const response = await remove(`/api/items/${item.itemnumber}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Item withdrawn');
+    expect(response.body.data).toMatchObject({ status: 'withdrawn', withdrawn_at: expect.any(String) });
+    expect(await prisma.oldIssue.count({ where: { itemnumber: item.itemnumber } })).toBe(1);
+
+    expect(await listed()).toBe(false);
+  });
+
+  it('refuses to delete a record whose copies have history, even once withdrawn', async () => {
+    const { body } = await checkout();
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ issueId: body.data.issue_id });
+
+    const blocked = await remove(`/api/biblio/${biblio.biblionumber}`);
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.errors).toEqual([
+      expect.objectContaining({ reason: 'history', message: expect.stringContaining('merge the record') })
+    ]);
+
+    await remove(`/api/items/${item.itemnumber}`);
+    const stillBlocked = await remove(`/api/biblio/${biblio.biblionumber}`);
+    expect(stillBlocked.status).toBe(409);
+    expect(reasons(stillBlocked)).toEqual(['history']);
+    expect(await prisma.oldIssue.count({ where: { itemnumber: item.itemnumber } })).toBe(1);
+  });
+
+  it('refuses to delete a record with past holds', async () => {
+    const hold = await prisma.reserve.create({
+      data: { borrowernumber: member.borrowernumber, biblionumber: biblio.biblionumber, cancellationdate: new Date() }
+    });
+
+    const response = await remove(`/api/biblio/${biblio.biblionumber}`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({ reason: 'history', reserve_ids: [hold.reserve_id] })
+    ]);
+  });
+
+  it('marks an item withdrawn through a status change', async () => {
+    const response = await setStatus('withdrawn');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.withdrawn_at).not.toBeNull();
+    expect(await listed()).toBe(false);
+  });
+
+  it('reinstates a withdrawn item when its status changes back', async () => {
+    await setStatus('withdrawn');
+
+    const response = await setStatus('available');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'available', withdrawn_at: null });
+    expect(await listed()).toBe(true);
+  });
+});
@@ -0,0 +1,147 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+describe('Overdue fine accrual', () => {
+  let adminToken;
+  let member;
+  let issueId;
+  let dateDue;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    await prisma.systemPreference.update({ where: { variable: 'fine_per_day' }, data: { value: '1' } });
+    ({ token: adminToken } = await createAdminWithToken());
+    ({ borrower: member } = await createMemberWithToken());
+
+    const biblio = await createBiblioRecord({ title: 'Accruing Fine Book' });
+    await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'ACCRUE-001' });
+    await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'ACCRUE-002' });
+
+    const checkout = await request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: member.borrowernumber, barcode: 'ACCRUE-001' });
+    issueId = checkout.body.data.issue_id;
+
+    dateDue = new Date(Date.now() - 3 * MS_PER_DAY + 60 * 60 * 1000);
+    await prisma.issue.update({ where: { issue_id: issueId }, data: { date_due: dateDue } });
+  });
+
+  const runAccrual = (daysAfterDue) =>
+    request(app)
+      .post('/api/jobs/accrue-fines/run')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ asOf: new Date(dateDue.getTime() + daysAfterDue * MS_PER_DAY).toISOString() });
+
+  const overdueLines = () =>
+    prisma.accountLine.findMany({ where: { issue_id: issueId, accounttype: 'OVERDUE' } });
+
+  it('keeps a single running fine per overdue loan', async () => {
+    const first = await runAccrual(1);
+    expect(first.status).toBe(200);
+    expect(first.body.data.result).toMatchObject({ processed: 1, updated: [] });
+    expect(first.body.data.result.created).toHaveLength(1);
+
+    const second = await runAccrual(2);
+    expect(second.body.data.result.updated).toEqual(first.body.data.result.created);
+
+    const lines = await overdueLines();
+    expect(lines).toHaveLength(1);
+    expect(Number(lines[0].amount)).toBe(2);
+    expect(Number(lines[0].amountoutstanding)).toBe(2);
+  });
+
+  it('blocks checkouts while the item is still out', async () => {
+    await runAccrual(6);
+
+    const response = await request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: member.borrowernumber, barcode: 'ACCRUE-002' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toMatch(/outstanding fines/i);
+  });
+
+  it('finalizes the accrued fine on return', async () => {
+    await runAccrual(1);
+    const [accrued] = await overdueLines();
+
+    await request(app)
+      .post(`/api/accounts/${accrued.accountlines_id}/pay`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 0.5 });
+
+    const response = await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode: 'ACCRUE-001' });
+    expect(response.status).toBe(200);
+
+    const lines = await overdueLines();
+    expect(lines).toHaveLength(1);
+    expect(lines[0].accountlines_id).toBe(accrued.accountlines_id);
+    expect(Number(lines[0].amount)).toBe(3);
+    expect(Number(lines[0].amountoutstanding)).toBe(2.5);
+    expect(lines[0].status).toBe('partially_paid');
+  });
+
+  it('keeps the days accrued before a renewal once the new due date passes', async () => {
+    const renewal = await request(app)
+      .post('/api/circulation/renew')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ issueId });
+    expect(renewal.status).toBe(200);
+    expect(renewal.body.data.carried_overdue_days).toBe(3);
+
+    const [settled] = await overdueLines();
+    expect(Number(settled.amount)).toBe(3);
+
+    const newDue = new Date(renewal.body.data.date_due);
+    await request(app)
+      .post('/api/jobs/accrue-fines/run')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ asOf: new Date(newDue.getTime() + 2 * MS_PER_DAY - 60 * 60 * 1000).toISOString() });
+
+    const lines = await overdueLines();
+    expect(lines).toHaveLength(1);
+    expect(Number(lines[0].amount)).toBe(5);
+  });
+
+  it('does not reopen a written-off fine as the loan stays overdue', async () => {
+    await runAccrual(1);
+    const [accrued] = await overdueLines();
+
+    const writeOff = await request(app)
+      .post(`/api/accounts/${accrued.accountlines_id}/writeoff`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Forgiven at the desk' });
+    expect(writeOff.status).toBe(200);
+
+    const later = await runAccrual(3);
+    expect(later.body.data.result.updated).toEqual([]);
+
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode: 'ACCRUE-001' });
+
+    const lines = await overdueLines();
+    expect(lines).toHaveLength(1);
+    expect(Number(lines[0].amount)).toBe(1);
+    expect(Number(lines[0].amountoutstanding)).toBe(0);
+    expect(lines[0].status).toBe('written_off');
+  });
+});
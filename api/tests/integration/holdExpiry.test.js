@@ -0,0 +1,129 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+describe('Hold expiry job', () => {
+  let adminToken;
+  let memberToken;
+  let firstHold;
+  let secondHold;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    const { borrower: member, token } = await createMemberWithToken();
+    memberToken = token;
+    const { borrower: first } = await createMemberWithToken({
+      cardnumber: 'EXP-FIRST',
+      email: 'exp.first@example.com'
+    });
+    const { borrower: second } = await createMemberWithToken({
+      cardnumber: 'EXP-SECOND',
+      email: 'exp.second@example.com'
+    });
+
+    const biblio = await createBiblioRecord({ title: 'Expiring Hold Book' });
+    await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'EXP-001' });
+
+    await request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: member.borrowernumber, barcode: 'EXP-001' });
+
+    for (const borrower of [first, second]) {
+      await request(app)
+        .post('/api/reserves')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ borrowernumber: borrower.borrowernumber, biblionumber: biblio.biblionumber });
+    }
+
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode: 'EXP-001' });
+
+    firstHold = await prisma.reserve.findFirst({ where: { borrowernumber: first.borrowernumber } });
+    secondHold = await prisma.reserve.findFirst({ where: { borrowernumber: second.borrowernumber } });
+  });
+
+  const runExpiry = (token, asOf) =>
+    request(app)
+      .post('/api/jobs/expire-holds/run')
+      .set('Authorization', `Bearer ${token}`)
+      .send(asOf ? { asOf: asOf.toISOString() } : {});
+
+  it('sets a pickup deadline when a hold becomes waiting', async () => {
+    expect(firstHold.found).toBe('W');
+    expect(firstHold.expirationdate).not.toBeNull();
+    expect(secondHold.found).toBeNull();
+  });
+
+  it('keeps waiting holds that are still inside the pickup window', async () => {
+    const response = await runExpiry(adminToken, daysFromNow(3));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.result.expired).toHaveLength(0);
+
+    const stored = await prisma.reserve.findUnique({ where: { reserve_id: firstHold.reserve_id } });
+    expect(stored.cancellationdate).toBeNull();
+  });
+
+  it('cancels expired waiting holds and promotes the next reserve', async () => {
+    const response = await runExpiry(adminToken, daysFromNow(10));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.result.expired).toEqual([firstHold.reserve_id]);
+    expect(response.body.data.result.promoted).toEqual([secondHold.reserve_id]);
+
+    const expired = await prisma.reserve.findUnique({ where: { reserve_id: firstHold.reserve_id } });
+    expect(expired.cancellationdate).not.toBeNull();
+    expect(expired.notes).toMatch(/expired/i);
+
+    const promoted = await prisma.reserve.findUnique({ where: { reserve_id: secondHold.reserve_id } });
+    expect(promoted.found).toBe('W');
+    expect(promoted.expirationdate).not.toBeNull();
+  });
+
+  it('does not promote or notify the next hold when no copy was trapped', async () => {
+    await prisma.reserve.update({ where: { reserve_id: firstHold.reserve_id }, data: { itemnumber: null } });
+
+    const response = await runExpiry(adminToken, daysFromNow(10));
+
+    expect(response.body.data.result.expired).toEqual([firstHold.reserve_id]);
+    expect(response.body.data.result.promoted).toEqual([]);
+    const next = await prisma.reserve.findUnique({ where: { reserve_id: secondHold.reserve_id } });
+    expect(next).toMatchObject({ found: null, priority: 1 });
+    expect(
+      await prisma.messageQueue.count({ where: { borrowernumber: secondHold.borrowernumber, code: 'HOLD_AVAILABLE' } })
+    ).toBe(0);
+  });
+
+  it('rejects job runs from members', async () => {
+    const response = await runExpiry(memberToken);
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 404 for unknown jobs', async () => {
+    const response = await request(app)
+      .post('/api/jobs/does-not-exist/run')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+
+    expect(response.status).toBe(404);
+  });
+});
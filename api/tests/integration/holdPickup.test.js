@@ -0,0 +1,140 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+describe('Hold pickup', () => {
+  let adminToken;
+  let holder;
+  let patron;
+  let item;
+  let hold;
+  let returnResponse;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    ({ borrower: holder } = await createMemberWithToken());
+    ({ borrower: patron } = await createMemberWithToken({
+      cardnumber: 'PICKUP-PATRON',
+      email: 'pickup.patron@example.com'
+    }));
+
+    const biblio = await createBiblioRecord({ title: 'Pickup Book' });
+    item = await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'PICKUP-001' });
+
+    await request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: holder.borrowernumber, barcode: 'PICKUP-001' });
+
+    const reserveResponse = await request(app)
+      .post('/api/reserves')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: patron.borrowernumber, biblionumber: biblio.biblionumber });
+    hold = reserveResponse.body.data;
+
+    returnResponse = await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode: 'PICKUP-001' });
+  });
+
+  const checkout = (borrowernumber) =>
+    request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber, barcode: 'PICKUP-001' });
+
+  it('traps the returned copy for the waiting hold', async () => {
+    expect(returnResponse.status).toBe(200);
+    expect(returnResponse.body.data.hold).toMatchObject({
+      reserve_id: hold.reserve_id,
+      borrowernumber: patron.borrowernumber
+    });
+
+    const reserve = await prisma.reserve.findUnique({ where: { reserve_id: hold.reserve_id } });
+    expect(reserve.found).toBe('W');
+    expect(reserve.itemnumber).toBe(item.itemnumber);
+
+    const storedItem = await prisma.item.findUnique({ where: { itemnumber: item.itemnumber } });
+    expect(storedItem.status).toBe('on_hold_shelf');
+  });
+
+  it('only lets the hold owner borrow a trapped copy', async () => {
+    const blocked = await checkout(holder.borrowernumber);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.message).toMatch(/on hold for another patron/i);
+
+    const allowed = await checkout(patron.borrowernumber);
+    expect(allowed.status).toBe(201);
+
+    const reserve = await prisma.reserve.findUnique({ where: { reserve_id: hold.reserve_id } });
+    expect(reserve.found).toBe('P');
+  });
+
+  it('lists holds awaiting pickup for staff', async () => {
+    const response = await request(app)
+      .get('/api/reserves/awaiting-pickup')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]).toMatchObject({
+      reserve_id: hold.reserve_id,
+      expired: false,
+      item: { barcode: 'PICKUP-001', status: 'on_hold_shelf' }
+    });
+  });
+
+  it('returns the copy to the shelf when the waiting hold is cancelled', async () => {
+    await request(app)
+      .patch(`/api/reserves/${hold.reserve_id}/cancel`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+
+    const storedItem = await prisma.item.findUnique({ where: { itemnumber: item.itemnumber } });
+    expect(storedItem.status).toBe('available');
+    expect((await checkout(holder.borrowernumber)).status).toBe(201);
+  });
+
+  it('refuses to cancel a waiting hold twice', async () => {
+    const cancel = () =>
+      request(app)
+        .patch(`/api/reserves/${hold.reserve_id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+    expect((await cancel()).status).toBe(200);
+    expect((await checkout(holder.borrowernumber)).status).toBe(201);
+
+    const again = await cancel();
+    expect(again.status).toBe(400);
+    const storedItem = await prisma.item.findUnique({ where: { itemnumber: item.itemnumber } });
+    expect(storedItem.status).toBe('checked_out');
+  });
+
+  it('keeps a trapped copy on the hold shelf until its hold is released', async () => {
+    const updateStatus = (status) =>
+      request(app).put(`/api/items/${item.itemnumber}`).set('Authorization', `Bearer ${adminToken}`).send({ status });
+
+    const kept = await updateStatus('on_hold_shelf');
+    expect(kept.status).toBe(200);
+
+    const blocked = await updateStatus('available');
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.message).toContain(`hold ${hold.reserve_id}`);
+
+    await prisma.reserve.update({ where: { reserve_id: hold.reserve_id }, data: { cancellationdate: new Date() } });
+    const released = await updateStatus('available');
+    expect(released.status).toBe(200);
+  });
+});
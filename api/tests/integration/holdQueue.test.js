@@ -0,0 +1,158 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+describe('Hold queue management', () => {
+  let adminToken;
+  let patrons;
+  let biblio;
+  let holds;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    const { borrower: holder } = await createMemberWithToken();
+
+    patrons = [];
+    for (const suffix of ['A', 'B', 'C']) {
+      patrons.push(
+        await createMemberWithToken({
+          cardnumber: `QUEUE-${suffix}`,
+          email: `queue.${suffix.toLowerCase()}@example.com`
+        })
+      );
+    }
+
+    biblio = await createBiblioRecord({ title: 'Queue Book' });
+    await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'QUEUE-001' });
+
+    await request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber: holder.borrowernumber, barcode: 'QUEUE-001' });
+
+    holds = [];
+    for (const { borrower } of patrons) {
+      const response = await request(app)
+        .post('/api/reserves')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ borrowernumber: borrower.borrowernumber, biblionumber: biblio.biblionumber });
+      holds.push(response.body.data);
+    }
+  });
+
+  const getQueue = () =>
+    request(app)
+      .get(`/api/reserves/biblio/${biblio.biblionumber}/queue`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+  const queueIds = async () => (await getQueue()).body.data.map((reserve) => reserve.reserve_id);
+
+  it('reorders the whole queue', async () => {
+    const reversed = holds.map((hold) => hold.reserve_id).reverse();
+
+    const response = await request(app)
+      .put(`/api/reserves/biblio/${biblio.biblionumber}/queue`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reserve_ids: reversed });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((reserve) => reserve.reserve_id)).toEqual(reversed);
+    expect(response.body.data.map((reserve) => reserve.priority)).toEqual([1, 2, 3]);
+
+    const incomplete = await request(app)
+      .put(`/api/reserves/biblio/${biblio.biblionumber}/queue`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reserve_ids: reversed.slice(1) });
+    expect(incomplete.status).toBe(400);
+  });
+
+  it('bumps a hold to the top of the queue for staff only', async () => {
+    const [first, second, third] = holds;
+
+    const forbidden = await request(app)
+      .patch(`/api/reserves/${third.reserve_id}/priority`)
+      .set('Authorization', `Bearer ${patrons[2].token}`)
+      .send({ priority: 1 });
+    expect(forbidden.status).toBe(403);
+
+    const response = await request(app)
+      .patch(`/api/reserves/${third.reserve_id}/priority`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ priority: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.priority).toBe(1);
+    expect(await queueIds()).toEqual([third.reserve_id, first.reserve_id, second.reserve_id]);
+  });
+
+  it('skips suspended holds when the item comes back', async () => {
+    const [first, second] = holds;
+
+    const suspended = await request(app)
+      .patch(`/api/reserves/${first.reserve_id}/suspend`)
+      .set('Authorization', `Bearer ${patrons[0].token}`)
+      .send({});
+    expect(suspended.status).toBe(200);
+    expect(suspended.body.data.suspended).toBe(true);
+
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode: 'QUEUE-001' });
+
+    const waiting = await prisma.reserve.findUnique({ where: { reserve_id: second.reserve_id } });
+    expect(waiting.found).toBe('W');
+
+    const queue = (await getQueue()).body.data;
+    expect(queue.map((reserve) => [reserve.reserve_id, reserve.priority])).toEqual([
+      [first.reserve_id, 1],
+      [holds[2].reserve_id, 2]
+    ]);
+
+    const resumed = await request(app)
+      .patch(`/api/reserves/${first.reserve_id}/resume`)
+      .set('Authorization', `Bearer ${patrons[0].token}`);
+    expect(resumed.body.data.suspended).toBe(false);
+  });
+
+  it('resumes holds automatically on their resume date', async () => {
+    const resumeOn = new Date();
+    resumeOn.setUTCDate(resumeOn.getUTCDate() + 3);
+
+    await request(app)
+      .patch(`/api/reserves/${holds[0].reserve_id}/suspend`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ until: resumeOn.toISOString().slice(0, 10) });
+
+    const response = await request(app)
+      .post('/api/jobs/resume-holds/run')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ asOf: resumeOn.toISOString() });
+
+    expect(response.body.data.result.resumed).toBe(1);
+    const reserve = await prisma.reserve.findUnique({ where: { reserve_id: holds[0].reserve_id } });
+    expect(reserve.suspended).toBe(false);
+    expect(reserve.suspend_until).toBeNull();
+  });
+
+  it('renumbers the queue when a hold is cancelled', async () => {
+    await request(app)
+      .patch(`/api/reserves/${holds[0].reserve_id}/cancel`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+
+    const queue = (await getQueue()).body.data;
+    expect(queue.map((reserve) => reserve.priority)).toEqual([1, 2]);
+    expect(queue[0].reserve_id).toBe(holds[1].reserve_id);
+  });
+});
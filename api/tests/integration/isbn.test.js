@@ -0,0 +1,114 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord
+} from '../utils/testUtils.js';
+
+describe('ISBN handling', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+  });
+
+  const createBiblio = (payload) =>
+    request(app)
+      .post('/api/biblio')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ itemtype: 'BOOK', ...payload });
+
+  it('rejects ISBNs with a bad checksum', async () => {
+    const response = await createBiblio({ title: 'Bad Checksum', isbn: '0-306-40615-3' });
+
+    expect(response.status).toBe(422);
+  });
+
+  it('stores ISBN-10 input in ISBN-13 form', async () => {
+    const response = await createBiblio({ title: 'Normalized', isbn: '0-306-40615-2' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.isbn).toBe('9780306406157');
+  });
+
+  it('rejects an ISBN already catalogued in another form', async () => {
+    const existing = await createBiblioRecord({ title: 'Legacy Record', isbn: '0-306-40615-2' });
+
+    const response = await createBiblio({ title: 'Same Book', isbn: '9780306406157' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toContain(String(existing.biblionumber));
+  });
+
+  it('allows a record to keep its own ISBN on update', async () => {
+    const biblio = await createBiblioRecord({ title: 'Own ISBN', isbn: '0306406152' });
+
+    const response = await request(app)
+      .put(`/api/biblio/${biblio.biblionumber}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isbn: '978-0-306-40615-7' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.isbn).toBe('9780306406157');
+  });
+
+  it('looks up a record by any form of its ISBN', async () => {
+    const biblio = await createBiblioRecord({ title: 'Lookup', isbn: '9780306406157' });
+
+    const lookup = (isbn) => request(app).get(`/api/biblio/isbn/${isbn}`).set('Authorization', `Bearer ${adminToken}`);
+    const found = await lookup('0-306-40615-2');
+    const missing = await lookup('080442957X');
+    const invalid = await lookup('0306406153');
+
+    expect(found.status).toBe(200);
+    expect(found.body.data.biblionumber).toBe(biblio.biblionumber);
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(422);
+  });
+
+  it('reports probable duplicates by ISBN and by title and author', async () => {
+    const legacy = await createBiblioRecord({ title: 'Legacy Entry', isbn: '0-306-40615-2' });
+    const current = await createBiblioRecord({ title: 'Current Entry', isbn: '9780306406157' });
+    const first = await createBiblioRecord({ title: 'The Pragmatic Programmer', author: 'Andrew Hunt', isbn: null });
+    const second = await createBiblioRecord({
+      title: 'Pragmatic Programmer, The',
+      author: 'Hunt, Andrew',
+      isbn: '9780201616224'
+    });
+    await createBiblioRecord({ title: 'Unrelated Volume', author: 'Someone Else', isbn: null });
+
+    const response = await request(app)
+      .get('/api/biblio/duplicates')
+      .query({ minSimilarity: 0.5 })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.isbn_matches).toEqual([
+      {
+        isbn: '9780306406157',
+        records: [
+          expect.objectContaining({ biblionumber: legacy.biblionumber }),
+          expect.objectContaining({ biblionumber: current.biblionumber })
+        ]
+      }
+    ]);
+    expect(response.body.data.similar_records).toHaveLength(1);
+    expect(response.body.data.similar_records[0].records.map((record) => record.biblionumber)).toEqual([
+      first.biblionumber,
+      second.biblionumber
+    ]);
+  });
+
+  it('restricts the duplicate report to cataloguers', async () => {
+    const { token } = await createMemberWithToken();
+
+    const response = await request(app).get('/api/biblio/duplicates').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,86 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import { config } from '../../src/config/env.js';
+import { authRateLimiter } from '../../src/middleware/rateLimit.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createBorrower,
+  createAdminWithToken,
+  updateSystemPreference
+} from '../utils/testUtils.js';
+
+const login = (cardnumber, password) => request(app).post('/api/auth/login').send({ cardnumber, password });
+
+describe('Login brute-force protection', () => {
+  let borrower;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    authRateLimiter.reset();
+    await updateSystemPreference('failed_login_attempts', '3');
+    borrower = await createBorrower({ cardnumber: 'LOCK-001', password: 'Correct123!' });
+  });
+
+  it('locks the account after repeated failed logins', async () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const response = await login('LOCK-001', 'Wrong123!');
+      expect(response.status).toBe(401);
+    }
+
+    const locked = await login('LOCK-001', 'Correct123!');
+    const unknown = await login('NO-SUCH-CARD', 'Correct123!');
+    expect(locked.status).toBe(401);
+    expect(locked.body).toEqual(unknown.body);
+
+    const stored = await prisma.borrower.findUnique({ where: { borrowernumber: borrower.borrowernumber } });
+    expect(stored.locked_until.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('resets the failure counter after a successful login', async () => {
+    await login('LOCK-001', 'Wrong123!');
+    await login('LOCK-001', 'Wrong123!');
+    expect((await login('LOCK-001', 'Correct123!')).status).toBe(200);
+
+    await login('LOCK-001', 'Wrong123!');
+    expect((await login('LOCK-001', 'Correct123!')).status).toBe(200);
+  });
+
+  it('lets the lockout expire', async () => {
+    await prisma.borrower.update({
+      where: { borrowernumber: borrower.borrowernumber },
+      data: { locked_until: new Date(Date.now() - 1000) }
+    });
+
+    expect((await login('LOCK-001', 'Correct123!')).status).toBe(200);
+  });
+
+  it('lets staff unlock a borrower', async () => {
+    const { token } = await createAdminWithToken();
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await login('LOCK-001', 'Wrong123!');
+    }
+
+    const unlock = await request(app)
+      .post(`/api/borrowers/${borrower.borrowernumber}/unlock`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(unlock.status).toBe(200);
+    expect((await login('LOCK-001', 'Correct123!')).status).toBe(200);
+  });
+
+  it('throttles authentication requests per IP', async () => {
+    await updateSystemPreference('failed_login_attempts', '0');
+
+    for (let attempt = 0; attempt < config.authRateLimitMax; attempt += 1) {
+      const response = await login('UNKNOWN', 'Wrong123!');
+      expect(response.status).toBe(401);
+    }
+
+    const throttled = await login('LOCK-001', 'Correct123!');
+    expect(throttled.status).toBe(429);
+    expect(throttled.headers['retry-after']).toBeDefined();
+  });
+});
@@ -0,0 +1,177 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import { biblioToMarc, parseMarc, serializeIso2709, serializeMarcXml } from '../../src/utils/marc.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+const vendorFile = () =>
+  serializeIso2709([
+    biblioToMarc({
+      biblionumber: 1,
+      title: 'Existing Title',
+      isbn: '9780321146533',
+      itemtype: 'BOOK'
+    }),
+    biblioToMarc({
+      biblionumber: 2,
+      title: 'Fresh Arrival',
+      author: 'New Author',
+      isbn: '9781111111113',
+      publisher: 'Vendor Press',
+      publicationyear: 2024,
+      itemtype: 'BOOK',
+      items: [{ barcode: 'MARC-1', location: 'New Shelf' }, { barcode: 'TAKEN' }]
+    }),
+    biblioToMarc({ biblionumber: 3, title: 'Same ISBN Again', isbn: '9781111111113' }),
+    biblioToMarc({ biblionumber: 4, title: '' })
+  ]);
+
+describe('MARC import and export', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    const existing = await createBiblioRecord({ title: 'Test Driven Development', isbn: '9780321146533' });
+    await createItemRecord({ biblionumber: existing.biblionumber, barcode: 'TAKEN' });
+  });
+
+  const importFile = (query = '') =>
+    request(app)
+      .post(`/api/biblio/import${query}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/marc')
+      .send(vendorFile());
+
+  it('reports matches and duplicates by ISBN without writing on a dry run', async () => {
+    const response = await importFile('?dryRun=true&withItems=true');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toEqual({ total: 4, new: 1, duplicate: 2, invalid: 1, items: 1 });
+    expect(response.body.data.records).toEqual([
+      expect.objectContaining({
+        record: 1,
+        status: 'duplicate',
+        match: expect.objectContaining({ isbn: '9780321146533' })
+      }),
+      expect.objectContaining({
+        record: 2,
+        status: 'new',
+        items: { accepted: 1, skipped: [{ barcode: 'TAKEN', reason: 'Barcode already exists' }] }
+      }),
+      expect.objectContaining({ record: 3, status: 'duplicate', duplicate_of_record: 2 }),
+      expect.objectContaining({ record: 4, status: 'invalid' })
+    ]);
+    expect(await prisma.biblio.count()).toBe(1);
+  });
+
+  it('imports new records and their 952 holdings', async () => {
+    const response = await importFile('?withItems=true');
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.summary).toMatchObject({ created: 1, duplicate: 2, items: 1 });
+
+    const created = await prisma.biblio.findUnique({ where: { isbn: '9781111111113' }, include: { items: true } });
+    expect(created).toMatchObject({ title: 'Fresh Arrival', publisher: 'Vendor Press', publicationyear: 2024 });
+    expect(created.items).toEqual([expect.objectContaining({ barcode: 'MARC-1', location: 'New Shelf' })]);
+  });
+
+  it('accepts MARCXML and skips holdings unless asked for', async () => {
+    const xml = serializeMarcXml([biblioToMarc({ title: 'XML Title', items: [{ barcode: 'XML-1' }] })]);
+
+    const response = await request(app)
+      .post('/api/biblio/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/marcxml+xml')
+      .send(xml);
+
+    expect(response.status).toBe(201);
+    expect(await prisma.item.count({ where: { barcode: 'XML-1' } })).toBe(0);
+  });
+
+  it('treats a record catalogued under another form of the ISBN as a duplicate', async () => {
+    const legacy = await createBiblioRecord({ title: 'Legacy Entry', isbn: '0-306-40615-2' });
+    const xml = serializeMarcXml([biblioToMarc({ title: 'Vendor Entry', isbn: '9780306406157' })]);
+
+    const response = await request(app)
+      .post('/api/biblio/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/marcxml+xml')
+      .send(xml);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.records[0]).toMatchObject({
+      status: 'duplicate',
+      match: { biblionumber: legacy.biblionumber, isbn: '0-306-40615-2' }
+    });
+    expect(await prisma.biblio.count({ where: { title: 'Vendor Entry' } })).toBe(0);
+  });
+
+  it('skips holdings whose price does not fit the price columns', async () => {
+    const xml = serializeMarcXml([
+      biblioToMarc({ title: 'Priced Title', items: [{ barcode: 'PRICEY-1', price: 1000000000, replacementprice: 20 }] })
+    ]);
+
+    const response = await request(app)
+      .post('/api/biblio/import?withItems=true')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/marcxml+xml')
+      .send(xml);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.records[0]).toMatchObject({
+      status: 'created',
+      items: { accepted: 0, skipped: [{ barcode: 'PRICEY-1', reason: 'Price out of range (952$g/$v)' }] }
+    });
+  });
+
+  it('rejects an empty upload', async () => {
+    const response = await request(app)
+      .post('/api/biblio/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/marc')
+      .send(Buffer.alloc(0));
+
+    expect(response.status).toBe(400);
+  });
+
+  it('exports selected records with items as ISO 2709', async () => {
+    const biblio = await prisma.biblio.findUnique({ where: { isbn: '9780321146533' } });
+
+    const response = await request(app)
+      .get(`/api/biblio/export?format=iso2709&ids=${biblio.biblionumber}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/marc');
+    const [record] = parseMarc(response.body);
+    expect(record.fields).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ tag: '245', subfields: [{ code: 'a', value: 'Test Driven Development' }] }),
+        expect.objectContaining({ tag: '952', subfields: expect.arrayContaining([{ code: 'p', value: 'TAKEN' }]) })
+      ])
+    );
+  });
+
+  it('restricts import and export to cataloguers', async () => {
+    const { token } = await createMemberWithToken();
+
+    const response = await request(app).get('/api/biblio/export').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+  });
+});
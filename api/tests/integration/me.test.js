@@ -0,0 +1,128 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+describe('Patron summary API', () => {
+  let adminToken;
+  let memberToken;
+  let member;
+  let other;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    ({ borrower: member, token: memberToken } = await createMemberWithToken());
+    ({ borrower: other } = await createMemberWithToken({
+      cardnumber: 'SUM-OTHER',
+      email: 'summary.other@example.com'
+    }));
+  });
+
+  const checkout = (borrowernumber, barcode) =>
+    request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber, barcode });
+
+  const getSummary = (token) =>
+    request(app)
+      .get('/api/me/summary')
+      .set('Authorization', `Bearer ${token}`);
+
+  it('requires authentication', async () => {
+    const response = await request(app).get('/api/me/summary');
+    expect(response.status).toBe(401);
+  });
+
+  it('lists current checkouts with due dates and renewal eligibility', async () => {
+    const biblio = await createBiblioRecord({ title: 'Summary Loan' });
+    await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'SUM-LOAN' });
+    const loan = await checkout(member.borrowernumber, 'SUM-LOAN');
+
+    const response = await getSummary(memberToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.checkouts).toHaveLength(1);
+    expect(response.body.data.checkouts[0]).toMatchObject({
+      issue_id: loan.body.data.issue_id,
+      overdue: false,
+      renewable: true
+    });
+    expect(response.body.data.checkouts[0].date_due).toBeDefined();
+    expect(response.body.data.can_checkout).toBe(true);
+  });
+
+  it('reports holds with queue position and waiting holds', async () => {
+    const queued = await createBiblioRecord({ title: 'Queued Title' });
+    await createItemRecord({ biblionumber: queued.biblionumber, barcode: 'SUM-QUEUE' });
+    await checkout(other.borrowernumber, 'SUM-QUEUE');
+
+    const { borrower: ahead } = await createMemberWithToken({
+      cardnumber: 'SUM-AHEAD',
+      email: 'summary.ahead@example.com'
+    });
+
+    for (const borrower of [ahead, member]) {
+      await request(app)
+        .post('/api/reserves')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ borrowernumber: borrower.borrowernumber, biblionumber: queued.biblionumber });
+    }
+
+    const waiting = await createBiblioRecord({ title: 'Waiting Title' });
+    await createItemRecord({ biblionumber: waiting.biblionumber, barcode: 'SUM-WAIT' });
+    await checkout(other.borrowernumber, 'SUM-WAIT');
+    await request(app)
+      .post('/api/reserves')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ borrowernumber: member.borrowernumber, biblionumber: waiting.biblionumber });
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode: 'SUM-WAIT' });
+
+    const response = await getSummary(memberToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.holds.active).toHaveLength(1);
+    expect(response.body.data.holds.active[0].queue_position).toBe(2);
+    expect(response.body.data.holds.waiting).toHaveLength(1);
+    expect(response.body.data.holds.waiting[0].biblio.title).toBe('Waiting Title');
+  });
+
+  it('totals outstanding fines and reports checkout blocks', async () => {
+    await prisma.accountLine.create({
+      data: {
+        borrowernumber: member.borrowernumber,
+        amount: 7.5,
+        amountoutstanding: 7.5,
+        description: 'Late fee',
+        accounttype: 'OVERDUE',
+        status: 'open'
+      }
+    });
+
+    const expired = new Date();
+    expired.setDate(expired.getDate() - 1);
+    await prisma.borrower.update({
+      where: { borrowernumber: member.borrowernumber },
+      data: { dateexpiry: expired }
+    });
+
+    const response = await getSummary(memberToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.fines.outstanding).toBe(7.5);
+    expect(response.body.data.blocks.map((block) => block.type)).toEqual(['expired', 'fines']);
+    expect(response.body.data.can_checkout).toBe(false);
+  });
+});
@@ -0,0 +1,186 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import { sendQueuedNotices } from '../../src/services/notificationService.js';
+import { createTransport } from '../../src/notifications/transports.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+describe('Notifications', () => {
+  let adminToken;
+  let member;
+  let memberToken;
+  let biblio;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ token: adminToken } = await createAdminWithToken());
+    ({ borrower: member, token: memberToken } = await createMemberWithToken({ fullName: 'Notice Reader' }));
+    biblio = await createBiblioRecord({ title: 'Notice Book' });
+    await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'NOTICE-001' });
+  });
+
+  const checkout = (borrowernumber) =>
+    request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ borrowernumber, barcode: 'NOTICE-001' });
+
+  const runJob = (name, asOf) =>
+    request(app)
+      .post(`/api/jobs/${name}/run`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(asOf ? { asOf: asOf.toISOString() } : {});
+
+  const savePreferences = (preferences) =>
+    request(app)
+      .put('/api/me/notification-preferences')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ preferences });
+
+  it('queues a hold-available notice when a returned copy is trapped', async () => {
+    const { borrower: holder } = await createMemberWithToken();
+    await checkout(holder.borrowernumber);
+    await request(app)
+      .post('/api/reserves')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ borrowernumber: member.borrowernumber, biblionumber: biblio.biblionumber });
+
+    await request(app)
+      .post('/api/circulation/return')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ barcode: 'NOTICE-001' });
+
+    const messages = await prisma.messageQueue.findMany({ where: { borrowernumber: member.borrowernumber } });
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      code: 'HOLD_AVAILABLE',
+      to_address: member.email,
+      subject: 'Your hold is ready: Notice Book',
+      status: 'pending'
+    });
+    expect(messages[0].content).toMatch(/Dear Notice Reader/);
+    expect(messages[0].content).toMatch(/NOTICE-001/);
+  });
+
+  it('queues due-soon and overdue notices once per loan', async () => {
+    const loan = await checkout(member.borrowernumber);
+    const dueDate = new Date(loan.body.data.date_due);
+
+    const early = await runJob('due-date-notices', new Date(dueDate.getTime() - 5 * MS_PER_DAY));
+    expect(early.body.data.result).toEqual({ due_soon: [], overdue: [] });
+
+    const dayBefore = new Date(dueDate.getTime() - MS_PER_DAY);
+    const dueSoon = await runJob('due-date-notices', dayBefore);
+    expect(dueSoon.body.data.result.due_soon).toHaveLength(1);
+
+    const repeat = await runJob('due-date-notices', dayBefore);
+    expect(repeat.body.data.result.due_soon).toHaveLength(0);
+
+    const overdue = await runJob('due-date-notices', new Date(dueDate.getTime() + 2 * MS_PER_DAY));
+    expect(overdue.body.data.result.overdue).toHaveLength(1);
+
+    const codes = (await prisma.messageQueue.findMany({ orderBy: { message_id: 'asc' } })).map(
+      (message) => message.code
+    );
+    expect(codes).toEqual(['DUE_SOON', 'OVERDUE']);
+  });
+
+  it('honours patron opt-outs and lead times', async () => {
+    const saved = await savePreferences([
+      { code: 'DUE_SOON', days_in_advance: 0 },
+      { code: 'OVERDUE', enabled: false }
+    ]);
+
+    expect(saved.status).toBe(200);
+    expect(saved.body.data).toEqual(
+      expect.arrayContaining([
+        { code: 'DUE_SOON', enabled: true, days_in_advance: 0 },
+        { code: 'OVERDUE', enabled: false },
+        { code: 'HOLD_AVAILABLE', enabled: true }
+      ])
+    );
+
+    const loan = await checkout(member.borrowernumber);
+    const dueDate = new Date(loan.body.data.date_due);
+
+    const dayBefore = await runJob('due-date-notices', new Date(dueDate.getTime() - MS_PER_DAY));
+    expect(dayBefore.body.data.result.due_soon).toHaveLength(0);
+
+    const overdue = await runJob('due-date-notices', new Date(dueDate.getTime() + MS_PER_DAY));
+    expect(overdue.body.data.result.overdue).toHaveLength(0);
+  });
+
+  it('delivers pending notices through the file transport and retries failures', async () => {
+    const queueMessage = (subject) =>
+      prisma.messageQueue.create({
+        data: {
+          borrowernumber: member.borrowernumber,
+          code: 'OVERDUE',
+          to_address: member.email,
+          subject,
+          content: `${subject} body`
+        }
+      });
+    await queueMessage('One');
+    await queueMessage('Two');
+
+    const filePath = path.join(os.tmpdir(), `notices-${Date.now()}.log`);
+    const result = await sendQueuedNotices({ transport: createTransport('file', { filePath }) });
+
+    expect(result.sent).toHaveLength(2);
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines.map((line) => line.subject)).toEqual(['One', 'Two']);
+    expect(lines[0].to).toBe(member.email);
+    await fs.rm(filePath, { force: true });
+
+    await queueMessage('Three');
+    const broken = {
+      name: 'broken',
+      send: async () => {
+        throw new Error('connection refused');
+      }
+    };
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await sendQueuedNotices({ transport: broken });
+    }
+
+    const failed = await prisma.messageQueue.findFirst({ where: { subject: 'Three' } });
+    expect(failed).toMatchObject({ status: 'failed', attempts: 3, last_error: 'connection refused' });
+  });
+
+  it('lets staff edit templates and browse the outbox', async () => {
+    const update = await request(app)
+      .put('/api/notifications/templates/DUE_SOON')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ subject: 'Reminder: {{title}}', body: 'Hi {{full_name}}, due {{date_due}}.' });
+    expect(update.status).toBe(200);
+
+    const loan = await checkout(member.borrowernumber);
+    await runJob('due-date-notices', new Date(new Date(loan.body.data.date_due).getTime() - MS_PER_DAY));
+
+    const outbox = await request(app)
+      .get('/api/notifications/queue?status=pending')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(outbox.status).toBe(200);
+    expect(outbox.body.data[0].subject).toBe('Reminder: Notice Book');
+
+    const forbidden = await request(app)
+      .get('/api/notifications/queue')
+      .set('Authorization', `Bearer ${memberToken}`);
+    expect(forbidden.status).toBe(403);
+  });
+});
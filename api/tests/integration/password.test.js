@@ -0,0 +1,142 @@
+import fs from 'node:fs/promises';
+import request from 'supertest';
+import app from '../../src/app.js';
+import prisma from '../../src/prisma.js';
+import { config } from '../../src/config/env.js';
+import { registerTransport } from '../../src/notifications/transports.js';
+import { resetDatabase, seedBaseData, createBorrower, createBorrowerWithToken } from '../utils/testUtils.js';
+
+// The test environment delivers mail through the file transport, so the
+// reset link can be read back from config.notificationFile.
+const readResetToken = async (email) => {
+  const lines = (await fs.readFile(config.notificationFile, 'utf8')).trim().split('\n');
+  const message = lines
+    .map((line) => JSON.parse(line))
+    .filter((entry) => entry.to === email)
+    .pop();
+  return message && new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+describe('Password management', () => {
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    await fs.rm(config.notificationFile, { force: true });
+  });
+
+  it('changes the password and signs out other sessions', async () => {
+    const { token } = await createBorrowerWithToken({ email: 'change@example.com', password: 'OldPass123!' });
+    const otherSession = (await login('change@example.com', 'OldPass123!')).body.data;
+
+    const response = await request(app)
+      .post('/api/auth/password/change')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'OldPass123!', newPassword: 'NewPass123!' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+
+    expect((await login('change@example.com', 'OldPass123!')).status).toBe(401);
+    expect((await login('change@example.com', 'NewPass123!')).status).toBe(200);
+
+    const stale = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${otherSession.token}`);
+    expect(stale.status).toBe(401);
+
+    const fresh = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${response.body.data.token}`);
+    expect(fresh.status).toBe(200);
+  });
+
+  it('rejects a password change with the wrong current password', async () => {
+    const { token } = await createBorrowerWithToken({ password: 'OldPass123!' });
+
+    const response = await request(app)
+      .post('/api/auth/password/change')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'Wrong123!', newPassword: 'NewPass123!' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('resets a forgotten password with a single-use token', async () => {
+    const borrower = await createBorrower({ email: 'forgot@example.com', password: 'OldPass123!' });
+
+    const requestReset = await request(app)
+      .post('/api/auth/password/forgot')
+      .send({ email: 'forgot@example.com' });
+    expect(requestReset.status).toBe(202);
+
+    const token = await readResetToken('forgot@example.com');
+    expect(token).toBeTruthy();
+
+    const stored = await prisma.passwordResetToken.findFirst({
+      where: { borrowernumber: borrower.borrowernumber }
+    });
+    expect(stored.token_hash).not.toBe(token);
+
+    const reset = await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, newPassword: 'ResetPass123!' });
+    expect(reset.status).toBe(200);
+    expect((await login('forgot@example.com', 'ResetPass123!')).status).toBe(200);
+
+    const reused = await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, newPassword: 'Another123!' });
+    expect(reused.status).toBe(400);
+  });
+
+  it('rejects expired reset tokens', async () => {
+    const borrower = await createBorrower({ email: 'expired@example.com' });
+
+    await request(app).post('/api/auth/password/forgot').send({ email: 'expired@example.com' });
+    const token = await readResetToken('expired@example.com');
+    await prisma.passwordResetToken.updateMany({
+      where: { borrowernumber: borrower.borrowernumber },
+      data: { expires_at: new Date(Date.now() - 1000) }
+    });
+
+    const response = await request(app)
+      .post('/api/auth/password/reset')
+      .send({ token, newPassword: 'ResetPass123!' });
+    expect(response.status).toBe(400);
+  });
+
+  it('responds the same way when the reset mail cannot be delivered', async () => {
+    await createBorrower({ email: 'undeliverable@example.com' });
+    registerTransport('failing', () => ({
+      name: 'failing',
+      send: async () => {
+        throw new Error('SMTP connection refused');
+      }
+    }));
+    const configured = config.notificationTransport;
+    config.notificationTransport = 'failing';
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const response = await request(app)
+        .post('/api/auth/password/forgot')
+        .send({ email: 'undeliverable@example.com' });
+
+      expect(response.status).toBe(202);
+      expect(consoleError).toHaveBeenCalled();
+    } finally {
+      config.notificationTransport = configured;
+      consoleError.mockRestore();
+    }
+  });
+
+  it('responds the same way for unknown accounts', async () => {
+    const response = await request(app)
+      .post('/api/auth/password/forgot')
+      .send({ email: 'nobody@example.com' });
+
+    expect(response.status).toBe(202);
+    expect(await prisma.passwordResetToken.count()).toBe(0);
+  });
+});
@@ -0,0 +1,128 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import {
+  resetDatabase,
+  seedBaseData,
+  createBorrowerWithToken,
+  createAdminWithToken,
+  createMemberWithToken,
+  createBiblioRecord,
+  createItemRecord
+} from '../utils/testUtils.js';
+
+const createStaffWithToken = (permissions = []) =>
+  createBorrowerWithToken({ categorycode: 'STAFF', role: 'STAFF', permissions });
+
+describe('Permissions', () => {
+  let member;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await seedBaseData();
+    ({ borrower: member } = await createMemberWithToken());
+  });
+
+  it('lets circulation staff check out for patrons but not change preferences or the catalogue', async () => {
+    const { token } = await createStaffWithToken();
+    const biblio = await createBiblioRecord();
+    await createItemRecord({ biblionumber: biblio.biblionumber, barcode: 'PERM-001' });
+
+    const checkout = await request(app)
+      .post('/api/circulation/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ borrowernumber: member.borrowernumber, barcode: 'PERM-001' });
+    expect(checkout.status).toBe(201);
+
+    const preference = await request(app)
+      .put('/api/system-preferences/due_soon_days')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ value: '5' });
+    expect(preference.status).toBe(403);
+
+    const deletion = await request(app)
+      .delete(`/api/biblio/${biblio.biblionumber}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(deletion.status).toBe(403);
+  });
+
+  it('grants extra permissions through per-user flags', async () => {
+    const { token } = await createStaffWithToken(['catalogue']);
+
+    const response = await request(app)
+      .post('/api/biblio')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Cataloguer Book', author: 'Staff Author', itemtype: 'BOOK' });
+
+    expect(response.status).toBe(201);
+  });
+
+  it('reports effective permissions on the profile', async () => {
+    const { token } = await createStaffWithToken(['manage_fines']);
+
+    const response = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.effective_permissions.sort()).toEqual(['circulate', 'manage_fines']);
+  });
+
+  it('prevents staff from granting permissions they do not hold', async () => {
+    const { token } = await createStaffWithToken(['manage_borrowers']);
+
+    const escalate = await request(app)
+      .put(`/api/borrowers/${member.borrowernumber}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ permissions: ['manage_preferences'] });
+    expect(escalate.status).toBe(403);
+
+    const promote = await request(app)
+      .put(`/api/borrowers/${member.borrowernumber}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'ADMIN' });
+    expect(promote.status).toBe(403);
+
+    const allowed = await request(app)
+      .put(`/api/borrowers/${member.borrowernumber}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'STAFF' });
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.role).toBe('STAFF');
+  });
+
+  it('stops staff from taking over or removing accounts stronger than their own', async () => {
+    const { token } = await createStaffWithToken(['manage_borrowers']);
+    const { borrower: admin } = await createAdminWithToken();
+    const path = `/api/borrowers/${admin.borrowernumber}`;
+
+    const reset = await request(app)
+      .put(path)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'Takeover123!', email: 'takeover@example.com' });
+    expect(reset.status).toBe(403);
+
+    const deletion = await request(app).delete(path).set('Authorization', `Bearer ${token}`);
+    expect(deletion.status).toBe(403);
+
+    const sessions = await request(app).delete(`${path}/sessions`).set('Authorization', `Bearer ${token}`);
+    expect(sessions.status).toBe(403);
+
+    const unlock = await request(app).post(`${path}/unlock`).set('Authorization', `Bearer ${token}`);
+    expect(unlock.status).toBe(403);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ cardnumber: admin.cardnumber, password: 'Takeover123!' });
+    expect(login.status).toBe(401);
+  });
+
+  it('lets administrators assign permissions', async () => {
+    const { token } = await createAdminWithToken();
+
+    const response = await request(app)
+      .put(`/api/borrowers/${member.borrowernumber}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'STAFF', permissions: ['catalogue', 'manage_fines'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.permissions).toEqual(['catalogue', 'manage_fines']);
+  });
+});
@@ -325,8 +325,11 @@ describe('Advanced Workflows', () => {
     expect(lossCharge).not.toBeNull();
     expect(Number(lossCharge.amount)).toBe(40);
 
-    const updatedIssue = await prisma.issue.findUnique({ where: { issue_id: checkout.body.data.issue_id } });
-    expect(updatedIssue.returndate).not.toBeNull();
+    const activeIssue = await prisma.issue.findUnique({ where: { issue_id: checkout.body.data.issue_id } });
+    expect(activeIssue).toBeNull();
+
+    const archivedIssue = await prisma.oldIssue.findUnique({ where: { issue_id: checkout.body.data.issue_id } });
+    expect(archivedIssue.returndate).not.toBeNull();
   });
 
   it('creates damage fee when item is marked damaged without duplicating charges', async () => {
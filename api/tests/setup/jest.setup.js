@@ -16,6 +16,8 @@ process.env.PORT = process.env.PORT || '0';
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
 process.env.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 process.env.BCRYPT_SALT_ROUNDS = process.env.BCRYPT_SALT_ROUNDS || '4';
+process.env.NOTIFICATION_TRANSPORT = process.env.NOTIFICATION_TRANSPORT || 'file';
+process.env.NOTIFICATION_FILE = process.env.NOTIFICATION_FILE || 'tmp/notifications.test.log';
 
 afterAll(async () => {
 	await prisma.$disconnect().catch(() => undefined);
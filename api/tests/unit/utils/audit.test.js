@@ -0,0 +1,42 @@
+import { diffRecords } from '../../../src/utils/audit.js';
+
+describe('diffRecords', () => {
+  it('keeps only the fields that changed', () => {
+    const before = { itemnumber: 1, status: 'available', location: 'Main', updated_at: '2024-01-01' };
+    const after = { itemnumber: 1, status: 'lost', location: 'Main', updated_at: '2024-02-01' };
+
+    expect(diffRecords(before, after)).toEqual({
+      before: { status: 'available' },
+      after: { status: 'lost' }
+    });
+  });
+
+  it('keeps whole records for creates and deletes and redacts secrets', () => {
+    const borrower = { borrowernumber: 7, full_name: 'Ada', password: 'hash', token_version: 2 };
+
+    expect(diffRecords(null, borrower)).toEqual({
+      before: null,
+      after: { borrowernumber: 7, full_name: 'Ada' }
+    });
+    expect(diffRecords(borrower, null).before).not.toHaveProperty('password');
+  });
+
+  it('ignores relations included on one side but keeps extra plain values', () => {
+    const before = { accountlines_id: 3, amountoutstanding: '5.00', borrower: { borrowernumber: 1 } };
+    const after = { accountlines_id: 3, amountoutstanding: '0.00', credit_id: 9 };
+
+    expect(diffRecords(before, after)).toEqual({
+      before: { amountoutstanding: '5.00' },
+      after: { amountoutstanding: '0.00', credit_id: 9 }
+    });
+  });
+
+  it('compares JSON values and dates by content', () => {
+    const date = new Date('2024-03-01T00:00:00.000Z');
+
+    const before = { address: { city: 'Oslo' }, dateexpiry: date };
+    const after = { address: { city: 'Oslo' }, dateexpiry: new Date(date) };
+
+    expect(diffRecords(before, after)).toEqual({ before: {}, after: {} });
+  });
+});
@@ -0,0 +1,51 @@
+import {
+  createCalendar,
+  parseClosedWeekdays,
+  isClosedDay,
+  nextOpenDay,
+  countOpenDays
+} from '../../../src/utils/calendar.js';
+
+describe('calendar utilities', () => {
+  const calendar = createCalendar({
+    closedWeekdays: [0, 6],
+    holidays: [
+      { holiday_date: new Date('2025-12-25T00:00:00Z'), repeat_yearly: true },
+      { holiday_date: new Date('2025-04-14T00:00:00Z'), repeat_yearly: false }
+    ]
+  });
+
+  it('parses closed weekdays and ignores invalid entries', () => {
+    expect(parseClosedWeekdays('0, 6,9,x')).toEqual([0, 6]);
+    expect(parseClosedWeekdays('')).toEqual([]);
+    expect(parseClosedWeekdays(null)).toEqual([]);
+  });
+
+  it('detects weekends, one-off holidays and yearly holidays', () => {
+    expect(isClosedDay(calendar, new Date('2025-04-12T10:00:00Z'))).toBe(true);
+    expect(isClosedDay(calendar, new Date('2025-04-14T10:00:00Z'))).toBe(true);
+    expect(isClosedDay(calendar, new Date('2026-04-14T10:00:00Z'))).toBe(false);
+    expect(isClosedDay(calendar, new Date('2026-12-25T10:00:00Z'))).toBe(true);
+    expect(isClosedDay(calendar, new Date('2025-04-15T10:00:00Z'))).toBe(false);
+  });
+
+  it('moves dates forward to the next open day and keeps the time', () => {
+    const friday = new Date('2025-04-11T15:30:00Z');
+    expect(nextOpenDay(calendar, friday)).toEqual(friday);
+
+    const saturday = new Date('2025-04-12T15:30:00Z');
+    expect(nextOpenDay(calendar, saturday)).toEqual(new Date('2025-04-15T15:30:00Z'));
+  });
+
+  it('returns the original date when every day is closed', () => {
+    const alwaysClosed = createCalendar({ closedWeekdays: [0, 1, 2, 3, 4, 5, 6] });
+    const date = new Date('2025-04-11T00:00:00Z');
+    expect(nextOpenDay(alwaysClosed, date)).toEqual(date);
+  });
+
+  it('counts only open days after the start date', () => {
+    const due = new Date('2025-04-10T12:00:00Z');
+    expect(countOpenDays(calendar, due, 7)).toBe(4);
+    expect(countOpenDays(createCalendar(), due, 7)).toBe(7);
+  });
+});
@@ -0,0 +1,23 @@
+import { parseCsv } from '../../../src/utils/csv.js';
+
+describe('parseCsv', () => {
+  it('splits records and cells, skipping blank lines', () => {
+    expect(parseCsv('a,b\r\n1,2\n\n3,\n')).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+      { line: 2, cells: ['1', '2'] },
+      { line: 4, cells: ['3', ''] }
+    ]);
+  });
+
+  it('handles quoted commas, quotes and newlines', () => {
+    expect(parseCsv('﻿name,notes\n"Doe, Jane","Said ""hi""\nthen left"\nnext,row')).toEqual([
+      { line: 1, cells: ['name', 'notes'] },
+      { line: 2, cells: ['Doe, Jane', 'Said "hi"\nthen left'] },
+      { line: 4, cells: ['next', 'row'] }
+    ]);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a\n"open')).toThrow('line 2');
+  });
+});
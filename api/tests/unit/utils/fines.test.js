@@ -0,0 +1,55 @@
+import { calculateOverdueFine, describeOverdueFine } from '../../../src/utils/fines.js';
+
+describe('calculateOverdueFine', () => {
+  it('multiplies chargeable days by the daily fine', () => {
+    expect(calculateOverdueFine({ chargeableDays: 4, finePerDay: 0.25 })).toEqual({
+      amount: 1,
+      uncapped: 1,
+      capReason: null
+    });
+  });
+
+  it('applies an absolute fine cap', () => {
+    const result = calculateOverdueFine({ chargeableDays: 100, finePerDay: 0.25, fineCap: 10 });
+    expect(result.amount).toBe(10);
+    expect(result.uncapped).toBe(25);
+    expect(result.capReason).toBe('capped at maximum fine 10.00');
+  });
+
+  it('caps at the replacement cost when it is the lower ceiling', () => {
+    const result = calculateOverdueFine({
+      chargeableDays: 365,
+      finePerDay: 1,
+      fineCap: 50,
+      replacementCost: 19.99
+    });
+    expect(result.amount).toBe(19.99);
+    expect(result.capReason).toBe('capped at replacement cost 19.99');
+  });
+
+  it('ignores missing or zero replacement costs', () => {
+    const result = calculateOverdueFine({ chargeableDays: 10, finePerDay: 1, replacementCost: 0 });
+    expect(result.amount).toBe(10);
+    expect(result.capReason).toBeNull();
+  });
+
+  it('leaves fines below the cap untouched', () => {
+    const result = calculateOverdueFine({ chargeableDays: 2, finePerDay: 1, fineCap: 10 });
+    expect(result.amount).toBe(2);
+    expect(result.capReason).toBeNull();
+  });
+});
+
+describe('describeOverdueFine', () => {
+  it('describes a plain overdue fine', () => {
+    expect(describeOverdueFine({ daysOverdue: 3, chargeableDays: 3, capReason: null })).toBe(
+      'Overdue fine - 3 days late'
+    );
+  });
+
+  it('records excluded closed days and the cap reason', () => {
+    expect(
+      describeOverdueFine({ daysOverdue: 10, chargeableDays: 8, capReason: 'capped at replacement cost 5.00' })
+    ).toBe('Overdue fine - 8 days late (2 closed days excluded; capped at replacement cost 5.00)');
+  });
+});
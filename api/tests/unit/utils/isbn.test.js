@@ -0,0 +1,33 @@
+import {
+  isValidIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn13,
+  toIsbn10,
+  isbnVariants
+} from '../../../src/utils/isbn.js';
+
+describe('isbn utils', () => {
+  it('validates ISBN-10 and ISBN-13 checksums', () => {
+    expect(isValidIsbn10('0-306-40615-2')).toBe(true);
+    expect(isValidIsbn10('080442957x')).toBe(true);
+    expect(isValidIsbn10('0306406153')).toBe(false);
+    expect(isValidIsbn13('978-0-306-40615-7')).toBe(true);
+    expect(isValidIsbn13('9780306406158')).toBe(false);
+    expect(isValidIsbn('not an isbn')).toBe(false);
+  });
+
+  it('converts between ISBN-10 and ISBN-13', () => {
+    expect(toIsbn13('0-306-40615-2')).toBe('9780306406157');
+    expect(toIsbn13('080442957X')).toBe('9780804429573');
+    expect(toIsbn13('0306406153')).toBeNull();
+    expect(toIsbn10('9780306406157')).toBe('0306406152');
+    expect(toIsbn10('979-10-90636-07-1')).toBeNull();
+  });
+
+  it('lists every unhyphenated form of an ISBN', () => {
+    expect(isbnVariants('978-0-306-40615-7')).toEqual(['9780306406157', '0306406152']);
+    expect(isbnVariants('9791090636071')).toEqual(['9791090636071']);
+    expect(isbnVariants('12345')).toEqual([]);
+  });
+});
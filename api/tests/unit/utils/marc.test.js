@@ -0,0 +1,93 @@
+import {
+  biblioToMarc,
+  marcToBiblio,
+  parseMarc,
+  serializeIso2709,
+  serializeMarcXml
+} from '../../../src/utils/marc.js';
+
+const marcXml = `<?xml version="1.0" encoding="UTF-8"?>
+<marc:collection xmlns:marc="http://www.loc.gov/MARC21/slim">
+  <marc:record>
+    <marc:leader>00000nam a2200000 i 4500</marc:leader>
+    <marc:controlfield tag="001">vendor-1</marc:controlfield>
+    <marc:datafield tag="020" ind1=" " ind2=" ">
+      <marc:subfield code="a">978-0-441-17271-9 (pbk.)</marc:subfield>
+    </marc:datafield>
+    <marc:datafield tag="100" ind1="1" ind2=" ">
+      <marc:subfield code="a">Herbert, Frank,</marc:subfield>
+    </marc:datafield>
+    <marc:datafield tag="245" ind1="1" ind2="0">
+      <marc:subfield code="a">Dune :</marc:subfield>
+      <marc:subfield code="b">a novel /</marc:subfield>
+    </marc:datafield>
+    <marc:datafield tag="264" ind1=" " ind2="1">
+      <marc:subfield code="b">Ace &amp; Co,</marc:subfield>
+      <marc:subfield code="c">c1965.</marc:subfield>
+    </marc:datafield>
+    <marc:datafield tag="520" ind1=" " ind2=" ">
+      <marc:subfield code="a">Desert planet politics.</marc:subfield>
+    </marc:datafield>
+    <marc:datafield tag="952" ind1=" " ind2=" ">
+      <marc:subfield code="p">DUNE-1</marc:subfield>
+      <marc:subfield code="o">SF HER</marc:subfield>
+      <marc:subfield code="g">9.99</marc:subfield>
+      <marc:subfield code="7">1</marc:subfield>
+    </marc:datafield>
+  </marc:record>
+</marc:collection>`;
+
+describe('MARC utilities', () => {
+  it('maps MARCXML fields onto a biblio and its holdings', () => {
+    const [record] = parseMarc(marcXml);
+
+    expect(marcToBiblio(record)).toEqual({
+      biblio: {
+        title: 'Dune',
+        subtitle: 'a novel',
+        author: 'Herbert, Frank',
+        isbn: '9780441172719',
+        publisher: 'Ace & Co',
+        publicationyear: 1965,
+        abstract: 'Desert planet politics',
+        itemtype: undefined
+      },
+      items: [
+        expect.objectContaining({ barcode: 'DUNE-1', itemcallnumber: 'SF HER', price: 9.99, notforloan: true })
+      ]
+    });
+  });
+
+  it('falls back to 260 when there is no 264 publication statement', () => {
+    const [record] = parseMarc(
+      marcXml.replace('tag="264" ind1=" " ind2="1"', 'tag="260" ind1=" " ind2=" "')
+    );
+
+    expect(marcToBiblio(record).biblio).toMatchObject({ publisher: 'Ace & Co', publicationyear: 1965 });
+  });
+
+  it('round-trips records through ISO 2709 using byte offsets for multibyte text', () => {
+    const record = biblioToMarc({
+      biblionumber: 7,
+      title: 'Ærøskøbing',
+      author: 'Zoë Müller',
+      isbn: '9780000000002',
+      items: [{ barcode: 'B-1', location: 'Stacks', notforloan: false }]
+    });
+
+    const file = serializeIso2709([record, record]);
+    const parsed = parseMarc(file);
+
+    expect(parsed).toHaveLength(2);
+    expect(file.readUInt8(file.length - 1)).toBe(0x1d);
+    expect(Number(parsed[0].leader.slice(0, 5))).toBe(file.length / 2);
+    expect(marcToBiblio(parsed[1]).biblio).toMatchObject({ title: 'Ærøskøbing', author: 'Zoë Müller' });
+    expect(marcToBiblio(parsed[1]).items[0]).toMatchObject({ barcode: 'B-1', location: 'Stacks' });
+  });
+
+  it('serializes MARCXML that parses back to the same record', () => {
+    const record = biblioToMarc({ biblionumber: 3, title: 'Fish & <Chips>', publisher: 'Q "Press"' });
+
+    expect(parseMarc(serializeMarcXml([record]))).toEqual([record]);
+  });
+});
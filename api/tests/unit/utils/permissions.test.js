@@ -0,0 +1,38 @@
+import { PERMISSIONS, resolvePermissions, hasPermission, missingPermissions } from '../../../src/utils/permissions.js';
+
+describe('resolvePermissions', () => {
+  it('grants every permission to administrators', () => {
+    expect(resolvePermissions({ role: 'ADMIN' })).toEqual(PERMISSIONS);
+  });
+
+  it('combines role permissions with per-user flags without duplicates', () => {
+    expect(resolvePermissions({ role: 'STAFF', permissions: ['circulate', 'catalogue'] })).toEqual([
+      'circulate',
+      'catalogue'
+    ]);
+  });
+
+  it('gives members no staff permissions', () => {
+    expect(resolvePermissions({ role: 'MEMBER' })).toEqual([]);
+  });
+});
+
+describe('hasPermission', () => {
+  it('checks the resolved permissions of a user', () => {
+    const user = { permissions: resolvePermissions({ role: 'STAFF' }) };
+
+    expect(hasPermission(user, 'circulate')).toBe(true);
+    expect(hasPermission(user, 'manage_preferences')).toBe(false);
+    expect(hasPermission(undefined, 'circulate')).toBe(false);
+  });
+});
+
+describe('missingPermissions', () => {
+  it('lists the permissions of another account that a user lacks', () => {
+    const user = { permissions: ['circulate', 'manage_borrowers'] };
+
+    expect(missingPermissions(user, { role: 'STAFF', permissions: ['manage_borrowers'] })).toEqual([]);
+    expect(missingPermissions(user, { role: 'STAFF', permissions: ['catalogue'] })).toEqual(['catalogue']);
+    expect(missingPermissions(user, { role: 'ADMIN' })).toHaveLength(PERMISSIONS.length - 2);
+  });
+});
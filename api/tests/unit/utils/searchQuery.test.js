@@ -0,0 +1,27 @@
+import { parseSearchQuery, toWebSearch } from '../../../src/utils/searchQuery.js';
+
+describe('parseSearchQuery', () => {
+  it('separates free terms, phrases and field-qualified values', () => {
+    const parsed = parseSearchQuery('dune "desert planet" author:herbert Title:"children of dune" isbn:978-0');
+
+    expect(parsed).toEqual({
+      terms: ['dune'],
+      phrases: ['desert planet'],
+      fields: { author: ['herbert'], title: ['children of dune'], isbn: ['978-0'] }
+    });
+    expect(toWebSearch(parsed)).toBe('dune "desert planet"');
+  });
+
+  it('treats unknown prefixes and unterminated quotes as free text', () => {
+    expect(parseSearchQuery('series:dune "spice must flow')).toEqual({
+      terms: ['series:dune'],
+      phrases: ['spice must flow'],
+      fields: {}
+    });
+  });
+
+  it('ignores empty input and empty qualifiers', () => {
+    expect(parseSearchQuery('   ')).toEqual({ terms: [], phrases: [], fields: {} });
+    expect(parseSearchQuery('author:"" ""')).toEqual({ terms: [], phrases: [], fields: {} });
+  });
+});
@@ -0,0 +1,17 @@
+import { renderTemplate } from '../../../src/utils/template.js';
+
+describe('renderTemplate', () => {
+  it('replaces placeholders including nested keys', () => {
+    const text = 'Dear {{ full_name }}, "{{title}}" is due on {{ loan.date_due }}.';
+
+    expect(renderTemplate(text, { full_name: 'Ada', title: 'Dune', loan: { date_due: '2024-03-01' } })).toBe(
+      'Dear Ada, "Dune" is due on 2024-03-01.'
+    );
+  });
+
+  it('renders missing values as empty strings', () => {
+    expect(renderTemplate('Barcode: {{barcode}}; due {{ loan.date_due }}', { barcode: 0 })).toBe(
+      'Barcode: 0; due '
+    );
+  });
+});
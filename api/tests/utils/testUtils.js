@@ -3,19 +3,31 @@ import bcrypt from 'bcryptjs';
 import prisma from '../../src/prisma.js';
 import { config } from '../../src/config/env.js';
 import { generateToken } from '../../src/utils/token.js';
+import { DEFAULT_TEMPLATES } from '../../src/notifications/templates.js';
 
 const uniqueSuffix = () => crypto.randomBytes(4).toString('hex');
 
 export const resetDatabase = async () => {
+  // audit_log rejects DELETE, but TRUNCATE bypasses its row triggers
+  await prisma.$executeRaw`TRUNCATE TABLE "audit_log"`;
+  await prisma.refreshToken.deleteMany();
+  await prisma.passwordResetToken.deleteMany();
+  await prisma.messageQueue.deleteMany();
+  await prisma.messagePreference.deleteMany();
+  await prisma.messageTemplate.deleteMany();
+  await prisma.accountOffset.deleteMany();
   await prisma.accountLine.deleteMany();
   await prisma.reserve.deleteMany();
   await prisma.issue.deleteMany();
+  await prisma.oldIssue.deleteMany();
   await prisma.item.deleteMany();
   await prisma.biblio.deleteMany();
   await prisma.borrower.deleteMany();
   await prisma.category.deleteMany();
   await prisma.itemType.deleteMany();
   await prisma.systemPreference.deleteMany();
+  await prisma.circulationRule.deleteMany();
+  await prisma.holiday.deleteMany();
 };
 
 export const seedBaseData = async () => {
@@ -88,10 +100,48 @@ export const seedBaseData = async () => {
         value: '7',
         explanation: 'Number of days before canceling waiting hold',
         type: 'Integer'
+      },
+      {
+        variable: 'closed_weekdays',
+        value: '',
+        explanation: 'Comma-separated weekdays the library is closed (0 = Sunday, 6 = Saturday)',
+        type: 'Free'
+      },
+      {
+        variable: 'overdue_fine_cap',
+        value: '',
+        explanation: 'Maximum overdue fine charged per loan (empty for no cap)',
+        type: 'Currency'
+      },
+      {
+        variable: 'cap_fine_to_replacement_price',
+        value: 'false',
+        explanation: 'Never charge more overdue fine than the item replacement price',
+        type: 'YesNo'
+      },
+      {
+        variable: 'due_soon_days',
+        value: '2',
+        explanation: 'Days before the due date to send the courtesy notice',
+        type: 'Integer'
+      },
+      {
+        variable: 'failed_login_attempts',
+        value: '5',
+        explanation: 'Failed logins before an account is locked (0 to disable)',
+        type: 'Integer'
+      },
+      {
+        variable: 'lockout_minutes',
+        value: '15',
+        explanation: 'Minutes an account stays locked after too many failed logins',
+        type: 'Integer'
       }
     ],
     skipDuplicates: true
   });
+
+  await prisma.messageTemplate.createMany({ data: DEFAULT_TEMPLATES, skipDuplicates: true });
 };
 
 export const createBorrower = async ({